@@ -5,7 +5,8 @@ import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { SessionTracker } from '../src/core/SessionTracker.js';
 import { UndoManager } from '../src/core/UndoManager.js';
-import { formatDistance } from '../src/utils/formatting.js';
+import { formatDistance, formatAgent, formatShellEffect, formatBytes, parseSize, parseDuration } from '../src/utils/formatting.js';
+import { createPathMatcher } from '../src/utils/glob.js';
 import { Operation, OperationType } from '../src/core/Operation.js';
 import { ClaudeSessionParser } from '../src/core/ClaudeSessionParser.js';
 import { OperationPreview } from '../src/core/OperationPreview.js';
@@ -15,6 +16,19 @@ import { RedoManager } from '../src/core/RedoManager.js';
 import { TurnManager } from '../src/core/TurnManager.js';
 import { TurnUndoManager } from '../src/core/TurnUndoManager.js';
 import { Turn } from '../src/core/Turn.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { GarbageCollector } from '../src/core/GarbageCollector.js';
+import { UndoTransaction } from '../src/core/UndoTransaction.js';
+import { ConflictDetector } from '../src/core/ConflictDetector.js';
+import { UndoPatch } from '../src/core/UndoPatch.js';
+import { BashSnapshot } from '../src/core/BashSnapshot.js';
+import { HookInstaller } from '../src/core/HookInstaller.js';
+import { DependencyGraph } from '../src/core/DependencyGraph.js';
+import { FileIdentity } from '../src/core/FileIdentity.js';
+import { CheckoutManager } from '../src/core/CheckoutManager.js';
+import { FileHistory } from '../src/core/FileHistory.js';
+import { createPatch, formatPatch } from '../src/utils/patch.js';
+import fs from 'fs/promises';
 import path from 'path';
 
 // Initialize i18n
@@ -22,6 +36,132 @@ await i18n.init();
 
 const program = new Command();
 
+const CONFLICT_MODES = ['abort', 'force', 'merge'];
+
+/**
+ * Decide how to handle files that changed after Claude edited them.
+ * Uses --on-conflict if given, otherwise asks; with --yes and no choice the undo aborts.
+ * @returns {string|null} 'force', 'merge' or 'abort', or null when nothing changed
+ */
+async function chooseConflictMode(conflicts, options) {
+  if (conflicts.size === 0) return null;
+
+  const files = [...new Set([...conflicts.values()].map(conflict => conflict.filePath))];
+  console.log(chalk.red(`\n⚠️  ${files.length} file(s) changed after Claude edited them:`));
+  files.forEach(file => console.log(chalk.red(`   ${file}`)));
+
+  let mode = options.onConflict;
+  if (mode && !CONFLICT_MODES.includes(mode)) {
+    throw new Error(`Invalid --on-conflict value: ${mode} (expected ${CONFLICT_MODES.join(', ')})`);
+  }
+
+  if (!mode && !options.yes) {
+    const answer = await inquirer.prompt([{
+      type: 'list',
+      name: 'mode',
+      message: 'How should these files be undone?',
+      choices: [
+        { name: 'Abort the undo', value: 'abort' },
+        { name: 'Force: restore the pre-Claude content, discarding later changes', value: 'force' },
+        { name: 'Merge: revert only Claude\'s changes, marking any conflicts', value: 'merge' }
+      ]
+    }]);
+    mode = answer.mode;
+  }
+
+  if (!mode || mode === 'abort') {
+    if (!mode) {
+      console.log(chalk.gray('Pass --on-conflict force or --on-conflict merge to undo anyway.'));
+    }
+    return 'abort';
+  }
+  return mode;
+}
+
+/**
+ * Operations that touched files matching a glob. Renames are followed, so
+ * a file that was moved matches under its old name as well as its new one.
+ * @param {Array} operations - Oldest first
+ */
+function filterByPath(operations, pattern) {
+  const identity = new FileIdentity(operations);
+  const matches = createPathMatcher(pattern);
+  return operations.filter(operation => identity.touches(operation, matches));
+}
+
+/**
+ * Bash commands among the operations to undo that also changed files
+ * outside the glob. Undoing a command puts back every file it changed.
+ * @param {Array} operations - All operations in effect, oldest first
+ * @returns {Array} { operation, paths } for each such command
+ */
+function findOutOfScope(operations, operationsToUndo, pattern) {
+  const identity = new FileIdentity(operations);
+  const matches = createPathMatcher(pattern);
+  return operationsToUndo
+    .filter(operation => operation.data.changes)
+    .map(operation => ({ operation, paths: identity.getPathsOutside(operation, matches) }))
+    .filter(entry => entry.paths.length > 0);
+}
+
+/**
+ * Show how each file would end up once the operations are undone
+ */
+async function printFileResults(operations, undoManager) {
+  const undoPatch = new UndoPatch(undoManager);
+  const notes = [];
+  for (const operation of operations) {
+    const result = await undoPatch.add(operation);
+    if (!result.success || result.skipped) notes.push(result.message);
+  }
+
+  const files = undoPatch.getFileSummaries();
+  console.log(chalk.bold(`\nResult per file (${files.length}):`));
+  for (const file of files) {
+    const stat = file.status === 'modified' ? ` ${chalk.green(`+${file.added}`)} ${chalk.red(`-${file.removed}`)}` : '';
+    console.log(`  ${chalk.cyan(file.status.padEnd(8))} ${file.path}${stat}`);
+  }
+  notes.forEach(note => console.log(chalk.gray(`  ${note}`)));
+}
+
+/**
+ * Write what undoing the operations would change to a patch file, leaving
+ * the working tree and undo state alone
+ */
+async function exportUndoPatch(operations, undoManager, options, conflictMode) {
+  const undoPatch = new UndoPatch(undoManager, { conflictMode });
+  let failed = false;
+
+  for (const operation of operations) {
+    const result = await undoPatch.add(operation);
+    if (result.skipped) {
+      console.log(chalk.gray(`- ${result.message}`));
+    } else if (result.success) {
+      console.log(chalk.green(`✓ ${result.message}`));
+    } else {
+      console.log(chalk.red(`✗ ${result.message}`));
+      failed = true;
+      if (!options.allowPartial) break;
+    }
+  }
+
+  if (failed && !options.allowPartial) {
+    console.log(chalk.yellow('\nAn operation cannot be undone, so no patch was written.'));
+    console.log(chalk.gray('Use --allow-partial to write a patch for the operations that can.'));
+    return;
+  }
+
+  const patch = undoPatch.render();
+  if (!patch) {
+    console.log(chalk.yellow('\nUndoing these operations would not change any files; no patch written.'));
+    return;
+  }
+
+  await fs.writeFile(options.patch, patch);
+  console.log(chalk.bold(`\nPatch for ${undoPatch.getChangedFiles().length} file(s) written to ${options.patch}`));
+  console.log(chalk.gray(`Apply it with: git apply ${options.patch}  (or patch -p1 < ${options.patch})`));
+}
+
 program
   .name('ccundo')
   .description('Undo individual steps performed by Claude Code within a session')
@@ -34,6 +174,7 @@ program
   .option('-s, --session <id>', i18n.t('opt.session'))
   .option('--claude', i18n.t('opt.claude'), true)
   .option('--local', i18n.t('opt.local'))
+  .option('--path <glob>', 'Only list operations on files matching the glob')
   .action(async (options) => {
     try {
       let operations = [];
@@ -65,34 +206,70 @@ program
         console.log(chalk.bold(`\nOperations in local session ${sessionId}:\n`));
       }
       
+      // Files are shown under their current name, following renames still in effect
+      const identity = new FileIdentity(operations);
+      const undoneIds = new Set(operations.filter(op => op.undone).map(op => op.id));
+      
+      if (options.path) {
+        operations = filterByPath(operations, options.path);
+      }
+      
       if (operations.length === 0) {
         console.log(chalk.yellow('No operations found.'));
         return;
       }
 
+      let currentTaskId = null;
+      
       operations.forEach((op, index) => {
         const status = op.undone ? chalk.red('[UNDONE]') : chalk.green('[ACTIVE]');
         const time = formatDistance(op.timestamp);
+        const { agent } = op.data;
+        const located = identity.locate(op, undoneIds).data;
+        const named = (key) => located[key] === op.data[key]
+          ? op.data[key]
+          : `${located[key]} ${chalk.gray(`(was ${op.data[key]})`)}`;
+        // Subagent operations are nested under the agent that made them
+        const indent = '   '.repeat(agent?.depth || 0);
         
-        console.log(`${index + 1}. ${status} ${chalk.cyan(op.type)} - ${time}`);
-        console.log(`   ID: ${op.id}`);
+        if (agent && agent.taskId !== currentTaskId) {
+          console.log(`${'   '.repeat(agent.depth - 1)}${chalk.magenta(`↳ Subagent ${formatAgent(agent)}`)}`);
+        }
+        currentTaskId = agent?.taskId || null;
+        
+        console.log(`${indent}${index + 1}. ${status} ${chalk.cyan(op.type)} - ${time}`);
+        console.log(`${indent}   ID: ${op.id}`);
         
         switch (op.type) {
           case 'file_create':
           case 'file_edit':
+          case 'file_overwrite':
           case 'file_delete':
-            console.log(`   File: ${op.data.filePath}`);
+            console.log(`${indent}   File: ${named('filePath')}`);
             break;
           case 'file_rename':
-            console.log(`   From: ${op.data.oldPath}`);
-            console.log(`   To: ${op.data.newPath}`);
+            console.log(`${indent}   From: ${op.data.oldPath}`);
+            console.log(`${indent}   To: ${named('newPath')}`);
             break;
           case 'directory_create':
           case 'directory_delete':
-            console.log(`   Directory: ${op.data.dirPath}`);
+            console.log(`${indent}   Directory: ${named('dirPath')}`);
+            break;
+          case 'notebook_edit':
+            console.log(`${indent}   Notebook: ${named('filePath')}`);
+            console.log(`${indent}   Cell: ${op.data.cellId || `new, after ${op.data.anchorCellId || 'the start'}`} (${op.data.editMode})`);
             break;
           case 'bash_command':
-            console.log(`   Command: ${op.data.command}`);
+            console.log(`${indent}   Command: ${op.data.command}`);
+            for (const change of op.data.changes || []) {
+              console.log(`${indent}   Changes: ${change.change} ${change.path}`);
+            }
+            for (const effect of op.data.effects || []) {
+              console.log(`${indent}   Changes: ${formatShellEffect(effect)}`);
+            }
+            for (const part of op.data.unanalyzed || []) {
+              console.log(chalk.yellow(`${indent}   Not analyzed: ${part.command} (${part.reason})`));
+            }
             break;
         }
         console.log('');
@@ -108,10 +285,17 @@ program
   .option('-s, --session <id>', 'Specify session ID')
   .option('-y, --yes', 'Skip confirmation')
   .option('--local', 'Use local ccundo tracking instead of Claude sessions')
+  .option('--allow-partial', 'Keep successful undos even if others fail')
+  .option('--on-conflict <mode>', 'How to undo files changed since Claude edited them: abort, force or merge')
+  .option('-U, --context <lines>', 'Number of context lines in diff previews', parseInt)
+  .option('--patch <file>', 'Write the undo as a patch file instead of changing any files')
+  .option('--only', 'Undo just the selected operation and the later ones that depend on it')
+  .option('--path <glob>', 'Only undo operations on files matching the glob')
   .action(async (operationId, options) => {
     try {
       let operations = [];
       let sessionFile = null;
+      let tracker = null;
       
       if (options.local) {
         // Use local ccundo tracking
@@ -121,7 +305,7 @@ program
           return;
         }
 
-        const tracker = new SessionTracker(sessionId);
+        tracker = new SessionTracker(sessionId);
         await tracker.init();
         operations = await tracker.getOperations();
       } else {
@@ -142,14 +326,29 @@ program
         return;
       }
 
+      // The dependency graph wants them oldest first
+      const graph = options.only ? new DependencyGraph(operations) : null;
+      const activeOperations = [...operations];
+      
+      if (options.path) {
+        operations = filterByPath(operations, options.path);
+        if (operations.length === 0) {
+          console.log(chalk.yellow(`No operations touched ${options.path}.`));
+          return;
+        }
+      }
+      
       // Reverse operations so most recent is first
       operations.reverse();
       
       let selectedIndex = 0;
       
-      if (!operationId) {
+      if (!operationId && options.path && options.yes) {
+        // Everything on the matching files
+        selectedIndex = operations.length - 1;
+      } else if (!operationId) {
         const choices = operations.map((op, index) => {
-          const operationsToUndo = index + 1;
+          const operationsToUndo = graph ? graph.getUndoSet(op).length : index + 1;
           let name = `${op.type} - ${formatDistance(op.timestamp)}`;
           
           if (operationsToUndo > 1) {
@@ -163,7 +362,13 @@ program
           };
         });
         
-        console.log(chalk.yellow('\\n⚠️  Cascading undo: Selecting an operation will undo it and ALL operations that came after it.\\n'));
+        if (graph) {
+          console.log(chalk.yellow('\nSelecting an operation will undo it and only the later operations that depend on it.\n'));
+        } else if (options.path) {
+          console.log(chalk.yellow(`\n⚠️  Cascading undo: Selecting an operation will undo it and all later operations on files matching ${options.path}.\n`));
+        } else {
+          console.log(chalk.yellow('\\n⚠️  Cascading undo: Selecting an operation will undo it and ALL operations that came after it.\\n'));
+        }
         
         const answer = await inquirer.prompt([{
           type: 'list',
@@ -177,22 +382,61 @@ program
       } else {
         selectedIndex = operations.findIndex(op => op.id === operationId);
         if (selectedIndex === -1) {
-          console.log(chalk.red(`Operation ${operationId} not found.`));
+          console.log(chalk.red(options.path
+            ? `Operation ${operationId} not found among operations on ${options.path}.`
+            : `Operation ${operationId} not found.`));
           return;
         }
       }
       
-      const operationsToUndo = operations.slice(0, selectedIndex + 1);
+      let operationsToUndo = operations.slice(0, selectedIndex + 1);
+      if (graph) {
+        const selected = operations[selectedIndex];
+        operationsToUndo = graph.getUndoSet(selected);
+        
+        if (operationsToUndo.length === 1) {
+          console.log(chalk.gray('No later operation depends on it, so it will be undone on its own.'));
+        } else {
+          console.log(chalk.yellow(`\nThese later operations depend on ${selected.id} and will be undone with it:`));
+          for (const op of operationsToUndo.filter(op => op !== selected)) {
+            console.log(`  ${chalk.cyan(op.type)} ${op.getAffectedPaths()[0] || ''} - ${formatDistance(op.timestamp)} ${chalk.gray(`(${op.id})`)}`);
+          }
+        }
+      }
+      if (options.path) {
+        const outOfScope = findOutOfScope(activeOperations, operationsToUndo, options.path);
+        if (outOfScope.length > 0) {
+          console.log(chalk.red(`\nThese commands also changed files outside ${options.path}, which undoing them would put back too:`));
+          for (const { operation, paths } of outOfScope) {
+            console.log(`  ${chalk.cyan(operation.data.command)} ${chalk.gray(`(${operation.id})`)}`);
+            paths.forEach(filePath => console.log(`    ${chalk.yellow('outside')} ${filePath}`));
+          }
+          console.log(chalk.gray('Undo them without --path, or pick an operation after them.'));
+          return;
+        }
+      }
       
-      if (!options.yes) {
+      // Operations from before a rename act on the file where it is now
+      operationsToUndo = new FileIdentity(activeOperations).locateAll(operationsToUndo);
+      const conflicts = await ConflictDetector.detect(operationsToUndo, activeOperations);
+      
+      if (options.path && !options.patch) {
+        await printFileResults(operationsToUndo, new UndoManager({ session: sessionFile }));
+      }
+      
+      // Writing a patch changes nothing, so there is nothing to confirm
+      if (!options.yes && !options.patch) {
         console.log(chalk.yellow(`\\nThis will undo ${operationsToUndo.length} operation(s):\\n`));
         
         for (let i = 0; i < operationsToUndo.length; i++) {
           const op = operationsToUndo[i];
           console.log(`${chalk.bold(`${i + 1}.`)} ${chalk.cyan(op.type)} - ${formatDistance(op.timestamp)}`);
           
-          const preview = await OperationPreview.generatePreview(op);
-          console.log(`   ${preview.preview.replace(/\\n/g, '\\n   ')}`);
+          const preview = await OperationPreview.generatePreview(op, {
+            conflict: conflicts.get(op.id),
+            contextLines: options.context
+          });
+          console.log(`   ${preview.preview.replace(/\n/g, '\n   ')}`);
           console.log('');
         }
         
@@ -208,8 +452,20 @@ program
           return;
         }
       }
+      
+      const conflictMode = await chooseConflictMode(conflicts, options);
+      if (conflictMode === 'abort') {
+        console.log(chalk.yellow('Undo cancelled.'));
+        return;
+      }
 
-      const undoManager = new UndoManager();
+      const undoManager = new UndoManager({ session: sessionFile });
+      
+      if (options.patch) {
+        await exportUndoPatch(operationsToUndo, undoManager, options, conflictMode);
+        return;
+      }
+      
       await undoManager.init();
       
       const undoTracker = new UndoTracker();
@@ -217,30 +473,41 @@ program
       
       console.log(chalk.cyan(`\\nUndoing ${operationsToUndo.length} operations...\\n`));
       
-      let successCount = 0;
-      let failCount = 0;
-      
-      for (const operation of operationsToUndo) {
-        const result = await undoManager.undo(operation);
-        
-        if (result.success) {
-          successCount++;
+      const transaction = new UndoTransaction(undoManager, { allowPartial: options.allowPartial, conflictMode });
+      const outcome = await transaction.run(operationsToUndo, (operation, result) => {
+        if (result.skipped) {
+          console.log(chalk.gray(`- ${result.message}`));
+        } else if (result.success) {
           console.log(chalk.green(`✓ ${result.message}`));
-          if (result.backupPath) {
-            console.log(chalk.gray(`  Backup saved to: ${result.backupPath}`));
+          if (result.snapshotId) {
+            console.log(chalk.gray(`  Backup saved as snapshot ${result.snapshotId}`));
           }
-          
-          // Mark operation as undone if using Claude Code sessions
-          if (sessionFile) {
-            await undoTracker.markAsUndone(operation.id, sessionFile);
+          for (const backup of result.backups || []) {
+            console.log(chalk.gray(`  ${backup.path} backed up as snapshot ${backup.snapshotId}`));
           }
         } else {
-          failCount++;
           console.log(chalk.red(`✗ ${result.message}`));
         }
+      });
+      
+      // Only operations that stayed undone are recorded
+      for (const operation of outcome.undoneOperations) {
+        if (sessionFile) {
+          await undoTracker.markAsUndone(operation.id, sessionFile);
+        } else if (tracker) {
+          // The backup of what the operation left behind is what redo writes back
+          const { result } = outcome.results.find(entry => entry.operation === operation);
+          await tracker.markUndone(operation.id, result.snapshotId ? { snapshotId: result.snapshotId } : null);
+        }
       }
       
-      console.log(chalk.bold(`\\nCompleted: ${chalk.green(successCount)} successful, ${chalk.red(failCount)} failed`));
+      if (outcome.rolledBack) {
+        const reason = outcome.interrupted ? 'Interrupted' : 'An operation failed';
+        console.log(chalk.yellow(`\n${reason}: all changes were rolled back, nothing was undone.`));
+        console.log(chalk.gray('Use --allow-partial to keep the operations that succeeded.'));
+      } else {
+        console.log(chalk.bold(`\\nCompleted: ${chalk.green(outcome.successCount)} successful, ${chalk.red(outcome.failCount)} failed`));
+      }
       
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -256,7 +523,9 @@ program
   .action(async (operationId, options) => {
     try {
       let operations = [];
+      let allOperations = [];
       let sessionFile = null;
+      let tracker = null;
       
       if (options.local) {
         // Use local ccundo tracking
@@ -266,11 +535,10 @@ program
           return;
         }
 
-        const tracker = new SessionTracker(sessionId);
+        tracker = new SessionTracker(sessionId);
         await tracker.init();
-        // For local tracking, we'd need to implement redo tracking
-        console.log(chalk.yellow('Redo for local tracking is not yet implemented.'));
-        return;
+        operations = await tracker.getUndoneOperations();
+        allOperations = await tracker.getOperations(true);
       } else {
         // Use Claude Code sessions
         const parser = new ClaudeSessionParser();
@@ -281,45 +549,13 @@ program
           return;
         }
         
-        // Get all operations first
-        const allOperations = await parser.parseSessionFile(sessionFile);
-        // Then get undone operations by temporarily disabling filtering
+        // Get every operation in the session, including undone ones
+        const originalOperations = await parser.readSessionOperations(sessionFile);
         const undoTracker = new UndoTracker();
         await undoTracker.init();
         
-        // Get the original operations without filtering by calling parser method directly
-        const parser2 = new ClaudeSessionParser();
-        const originalOperations = [];
-        
-        // We need to parse the session file without the undo filtering
-        const { createReadStream } = await import('fs');
-        const { createInterface } = await import('readline');
-        
-        const fileStream = createReadStream(sessionFile);
-        const rl = createInterface({
-          input: fileStream,
-          crlfDelay: Infinity
-        });
-
-        for await (const line of rl) {
-          try {
-            const entry = JSON.parse(line);
-            if (entry.type === 'assistant' && entry.message?.content) {
-              for (const content of entry.message.content) {
-                if (content.type === 'tool_use') {
-                  const operation = parser2.extractOperation(content, entry.timestamp);
-                  if (operation) {
-                    originalOperations.push(operation);
-                  }
-                }
-              }
-            }
-          } catch (e) {
-            // Skip invalid JSON lines
-          }
-        }
-        
         operations = await undoTracker.getUndoneOperationsList(originalOperations, sessionFile);
+        allOperations = originalOperations;
       }
       
       if (operations.length === 0) {
@@ -365,7 +601,9 @@ program
         }
       }
       
-      const operationsToRedo = operations.slice(0, selectedIndex + 1);
+      // Renames still in effect moved the files these operations act on
+      const undoneIds = new Set(operations.map(op => op.id));
+      const operationsToRedo = new FileIdentity(allOperations).locateAll(operations.slice(0, selectedIndex + 1), undoneIds);
       
       if (!options.yes) {
         console.log(chalk.yellow(`\\n${i18n.t('header.this_will_redo', { count: operationsToRedo.length })}\\n`));
@@ -389,7 +627,7 @@ program
         }
       }
 
-      const redoManager = new RedoManager();
+      const redoManager = new RedoManager({ session: sessionFile });
       await redoManager.init();
       
       const undoTracker = new UndoTracker();
@@ -406,14 +644,16 @@ program
         
         if (result.success) {
           successCount++;
-          console.log(chalk.green(`✓ ${result.message}`));
-          if (result.backupPath) {
-            console.log(chalk.gray(`  Backup saved to: ${result.backupPath}`));
+          console.log(result.skipped ? chalk.gray(`- ${result.message}`) : chalk.green(`✓ ${result.message}`));
+          if (result.snapshotId) {
+            console.log(chalk.gray(`  Backup saved as snapshot ${result.snapshotId}`));
           }
           
           // Mark operation as redone (remove from undone list)
           if (sessionFile) {
             await undoTracker.markAsRedone(operation.id, sessionFile);
+          } else if (tracker) {
+            await tracker.markRedone(operation.id);
           }
         } else {
           failCount++;
@@ -428,11 +668,188 @@ program
     }
   });
 
+program
+  .command('checkout')
+  .description('Put the project back to how it was at a time or right before a turn')
+  .option('--at <when>', 'Time ("14:32", "2h ago", "2026-03-01 14:32") or turn id to go back to')
+  .option('--undo [checkout-id]', 'Undo a checkout (the latest by default), jumping forward again')
+  .option('-s, --session <id>', 'Specify session ID')
+  .option('-y, --yes', 'Skip confirmation')
+  .option('--local', 'Use local ccundo tracking instead of Claude sessions')
+  .option('--on-conflict <mode>', 'How to undo files changed since Claude edited them: abort, force or merge')
+  .option('--force', 'Undo a checkout even if its files changed since, backing them up first')
+  .action(async (options) => {
+    try {
+      let operations = [];
+      let sessionFile = null;
+      let tracker = null;
+      let checkoutManager;
+      
+      if (options.local) {
+        const sessionId = options.session || await SessionTracker.getCurrentSession();
+        if (!sessionId) {
+          console.log(chalk.yellow('No local ccundo session found.'));
+          return;
+        }
+
+        tracker = new SessionTracker(sessionId);
+        await tracker.init();
+        operations = await tracker.getOperations();
+        checkoutManager = new CheckoutManager({ localSession: sessionId });
+      } else {
+        const parser = new ClaudeSessionParser();
+        sessionFile = await parser.getCurrentSessionFile();
+        
+        if (!sessionFile) {
+          console.log(chalk.yellow('No active Claude Code session found in this directory.'));
+          return;
+        }
+        
+        operations = await parser.parseSessionFile(sessionFile);
+        checkoutManager = new CheckoutManager({ session: sessionFile });
+      }
+      await checkoutManager.init();
+      
+      const undoTracker = new UndoTracker();
+      await undoTracker.init();
+      
+      if (options.undo) {
+        const checkout = await checkoutManager.getCheckout(options.undo === true ? null : options.undo);
+        if (!checkout) {
+          console.log(chalk.yellow(options.undo === true ? 'No checkout to undo.' : `Checkout ${options.undo} not found.`));
+          return;
+        }
+        
+        console.log(chalk.bold(`\nUndoing the checkout to ${checkout.label} (${formatDistance(checkout.createdAt)})`));
+        console.log(chalk.gray(`${checkout.operations.length} operation(s) will be back in effect, ${checkout.paths.length} path(s) restored.`));
+        
+        if (!options.yes) {
+          const confirm = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'proceed',
+            message: 'Jump forward to before the checkout?',
+            default: false
+          }]);
+          
+          if (!confirm.proceed) {
+            console.log(chalk.yellow('Cancelled.'));
+            return;
+          }
+        }
+        
+        const result = await checkoutManager.undoCheckout(checkout, { force: options.force });
+        if (!result.success) {
+          console.log(chalk.red(`✗ ${result.message}`));
+          result.changed.forEach(file => console.log(chalk.red(`   ${file}`)));
+          if (result.changed.length > 0) {
+            console.log(chalk.gray('Pass --force to overwrite them; they are backed up first.'));
+          }
+          return;
+        }
+        
+        for (const operationId of checkout.operations) {
+          if (sessionFile) {
+            await undoTracker.markAsRedone(operationId, sessionFile);
+          } else {
+            await tracker.markRedone(operationId);
+          }
+        }
+        
+        console.log(chalk.green(`✓ ${result.message}`));
+        for (const backup of result.backups) {
+          console.log(chalk.gray(`  ${backup.path} backed up as snapshot ${backup.snapshotId}`));
+        }
+        return;
+      }
+      
+      if (!options.at) {
+        const checkouts = await checkoutManager.getCheckouts();
+        if (checkouts.length === 0) {
+          console.log(chalk.yellow('No checkouts in this session. Use --at <time|turn-id> to go back.'));
+          return;
+        }
+        
+        console.log(chalk.bold('\nCheckouts (most recent first):\n'));
+        for (const checkout of checkouts) {
+          console.log(`${chalk.cyan(checkout.id.slice(0, 8))} to ${checkout.label} - ${formatDistance(checkout.createdAt)}`);
+          console.log(chalk.gray(`   ${checkout.operations.length} operation(s) undone, ${checkout.paths.length} path(s) changed`));
+        }
+        console.log(chalk.gray('\nUndo one with: ccundo checkout --undo <id>'));
+        return;
+      }
+      
+      const point = checkoutManager.resolvePoint(options.at);
+      const operationsToUndo = checkoutManager.getOperationsAfter(operations, point);
+      
+      if (operationsToUndo.length === 0) {
+        console.log(chalk.yellow(`Nothing changed after ${point.label}; the project is already there.`));
+        return;
+      }
+      
+      console.log(chalk.bold(`\nGoing back to ${point.label} undoes ${operationsToUndo.length} operation(s).`));
+      await printFileResults(operationsToUndo, checkoutManager.undoManager);
+      
+      const conflicts = await ConflictDetector.detect(operationsToUndo, operations);
+      
+      if (!options.yes) {
+        const confirm = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'proceed',
+          message: `Put these files back as they were at ${point.label}?`,
+          default: false
+        }]);
+        
+        if (!confirm.proceed) {
+          console.log(chalk.yellow('Checkout cancelled.'));
+          return;
+        }
+      }
+      
+      const conflictMode = await chooseConflictMode(conflicts, options);
+      if (conflictMode === 'abort') {
+        console.log(chalk.yellow('Checkout cancelled.'));
+        return;
+      }
+      
+      const outcome = await checkoutManager.checkout(operationsToUndo, point, {
+        conflictMode,
+        onResult: (operation, result) => {
+          if (result.skipped) {
+            console.log(chalk.gray(`- ${result.message}`));
+          } else if (!result.success) {
+            console.log(chalk.red(`✗ ${result.message}`));
+          }
+        }
+      });
+      
+      if (outcome.rolledBack) {
+        const reason = outcome.interrupted ? 'Interrupted' : 'An operation failed';
+        console.log(chalk.yellow(`\n${reason}: all changes were rolled back, nothing was checked out.`));
+        return;
+      }
+      
+      for (const { operation, result } of outcome.results) {
+        if (sessionFile) {
+          await undoTracker.markAsUndone(operation.id, sessionFile);
+        } else {
+          await tracker.markUndone(operation.id, result.snapshotId ? { snapshotId: result.snapshotId } : null);
+        }
+      }
+      
+      console.log(chalk.green(`\n✓ Checked out ${point.label}: ${outcome.successCount} operation(s) undone.`));
+      console.log(chalk.gray(`Jump forward again with: ccundo checkout --undo ${outcome.checkout.id.slice(0, 8)}`));
+      
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
 program
   .command('preview [operation-id]')
   .description('Preview what would be undone without making changes')
   .option('-s, --session <id>', 'Specify session ID')
   .option('--local', 'Use local ccundo tracking instead of Claude sessions')
+  .option('-U, --context <lines>', 'Number of context lines in diff previews', parseInt)
   .action(async (operationId, options) => {
     try {
       let operations = [];
@@ -464,6 +881,7 @@ program
         return;
       }
 
+      const identity = new FileIdentity(operations);
       operations.reverse();
       
       let selectedIndex = 0;
@@ -500,7 +918,8 @@ program
         }
       }
       
-      const operationsToUndo = operations.slice(0, selectedIndex + 1);
+      const operationsToUndo = identity.locateAll(operations.slice(0, selectedIndex + 1));
+      const conflicts = await ConflictDetector.detect(operationsToUndo, operations);
       
       console.log(chalk.blue(`\\n📋 Preview: Would undo ${operationsToUndo.length} operation(s):\\n`));
       
@@ -508,11 +927,17 @@ program
         const op = operationsToUndo[i];
         console.log(`${chalk.bold(`${i + 1}.`)} ${chalk.cyan(op.type)} - ${formatDistance(op.timestamp)}`);
         
-        const preview = await OperationPreview.generatePreview(op);
-        console.log(`   ${preview.preview.replace(/\\n/g, '\\n   ')}`);
+        const preview = await OperationPreview.generatePreview(op, {
+          conflict: conflicts.get(op.id),
+          contextLines: options.context
+        });
+        console.log(`   ${preview.preview.replace(/\n/g, '\n   ')}`);
         console.log('');
       }
       
+      if (conflicts.size > 0) {
+        console.log(chalk.yellow('⚠️  Some files changed after Claude edited them; undo will ask whether to abort, force or merge.'));
+      }
       console.log(chalk.gray('💡 To actually perform these undos, run: ccundo undo'));
       
     } catch (error) {
@@ -520,6 +945,172 @@ program
     }
   });
 
+program
+  .command('history <file>')
+  .description('List the operations that touched a file, with its content at each revision')
+  .option('-s, --session <id>', 'Specify session ID')
+  .option('--local', 'Use local ccundo tracking instead of Claude sessions')
+  .option('--all-sessions', 'Include every Claude Code session of this project')
+  .option('--show <n>', 'Print the file as it was at revision n', parseInt)
+  .option('--diff <a..b>', 'Print the diff from revision a to revision b')
+  .action(async (file, options) => {
+    try {
+      let operations = [];
+      const sessionOf = new Map(); // operation id -> session file
+      const describeTurn = new Map(); // operation id -> turn description or prompt
+      
+      if (options.local) {
+        const sessionId = options.session || await SessionTracker.getCurrentSession();
+        if (!sessionId) {
+          console.log(chalk.yellow('No local ccundo session found.'));
+          return;
+        }
+
+        const tracker = new SessionTracker(sessionId);
+        await tracker.init();
+        operations = await tracker.getOperations(true);
+      } else {
+        const parser = new ClaudeSessionParser();
+        let sessionFiles;
+        
+        if (options.allSessions) {
+          const projectDir = path.basename(await parser.getCurrentProjectDir());
+          sessionFiles = (await parser.getAllSessions())
+            .filter(session => session.rawProjectDir === projectDir)
+            .map(session => session.file);
+        } else {
+          const sessionFile = await parser.getCurrentSessionFile();
+          sessionFiles = sessionFile ? [sessionFile] : [];
+        }
+        
+        if (sessionFiles.length === 0) {
+          console.log(chalk.yellow('No active Claude Code session found in this directory.'));
+          return;
+        }
+        
+        const undoTracker = new UndoTracker();
+        await undoTracker.init();
+        const undone = await undoTracker.getUndoneOperations();
+        
+        for (const sessionFile of sessionFiles) {
+          const sessionOperations = await parser.readSessionOperations(sessionFile);
+          const prompts = new Map((await parser.readSessionPrompts(sessionFile)).map(prompt => [prompt.id, prompt.text]));
+          const turnManager = new TurnManager({ session: sessionFile });
+          await turnManager.init();
+          const turns = turnManager.getAllTurns();
+          
+          for (const op of sessionOperations) {
+            op.undone = (undone[sessionFile] || []).includes(op.id);
+            sessionOf.set(op.id, sessionFile);
+            const turn = turns.find(turn => turn.operations.includes(op.id));
+            const description = turn?.description || prompts.get(op.data.promptId);
+            if (description) describeTurn.set(op.id, description.split('\n')[0]);
+          }
+          operations.push(...sessionOperations);
+        }
+        
+        // Sessions are merged in the order things happened
+        operations.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      }
+      
+      const history = new FileHistory(operations);
+      const revisions = await history.getRevisions(file);
+      
+      if (revisions.length === 0) {
+        console.log(chalk.yellow(`No operations touched ${file}.`));
+        return;
+      }
+      
+      const getRevision = (number) => {
+        const revision = revisions[number];
+        if (!revision) {
+          throw new Error(`No revision ${number}: ${file} has revisions 0 to ${revisions.length - 1}`);
+        }
+        if (revision.after === undefined) {
+          throw new Error(`The content of ${file} at revision ${number} was not recorded`);
+        }
+        return revision;
+      };
+      
+      if (options.show !== undefined) {
+        const revision = getRevision(options.show);
+        if (revision.after === null) {
+          console.log(chalk.yellow(`${file} did not exist at revision ${options.show}.`));
+          return;
+        }
+        process.stdout.write(revision.after);
+        return;
+      }
+      
+      if (options.diff) {
+        const match = options.diff.match(/^(\d+)\.\.(\d+)$/);
+        if (!match) {
+          throw new Error(`Invalid --diff value: ${options.diff} (expected <a>..<b>, e.g. 0..3)`);
+        }
+        
+        const from = getRevision(Number(match[1]));
+        const to = getRevision(Number(match[2]));
+        const relative = (revision) => revision.after === null
+          ? null
+          : path.relative(process.cwd(), revision.path).split(path.sep).join('/');
+        const patch = formatPatch(createPatch(from.after ?? '', to.after ?? ''), relative(from), relative(to));
+        
+        if (!patch) {
+          console.log(chalk.gray(`No changes between revisions ${match[1]} and ${match[2]}.`));
+          return;
+        }
+        for (const line of patch.replace(/\n$/, '').split('\n')) {
+          if (line.startsWith('+') && !line.startsWith('+++')) {
+            console.log(chalk.green(line));
+          } else if (line.startsWith('-') && !line.startsWith('---')) {
+            console.log(chalk.red(line));
+          } else if (line.startsWith('@@')) {
+            console.log(chalk.cyan(line));
+          } else {
+            console.log(line);
+          }
+        }
+        return;
+      }
+      
+      console.log(chalk.bold(`\nHistory of ${file} (${revisions.length - 1} operation(s)):\n`));
+      
+      const [first, ...changes] = revisions;
+      const initial = first.after === null ? 'did not exist' : first.after === undefined ? 'content not recorded' : 'content known';
+      console.log(`0. ${chalk.gray(`before the first operation (${initial})`)}`);
+      console.log('');
+      
+      for (const revision of changes) {
+        const op = revision.operation;
+        const status = op.undone ? chalk.red('[UNDONE]') : chalk.green('[ACTIVE]');
+        const stat = revision.after === null
+          ? chalk.red('deleted')
+          : op.type === 'file_rename'
+            ? chalk.gray('renamed')
+            : revision.added === null
+              ? chalk.gray('content not recorded')
+              : `${chalk.green(`+${revision.added}`)} ${chalk.red(`-${revision.removed}`)}`;
+        
+        console.log(`${revision.number}. ${status} ${chalk.cyan(op.type)} - ${formatDistance(op.timestamp)} (${new Date(op.timestamp).toLocaleString()}) ${stat}`);
+        console.log(`   ID: ${op.id}`);
+        if (describeTurn.has(op.id)) {
+          console.log(`   Turn: ${describeTurn.get(op.id)}`);
+        }
+        if (options.allSessions) {
+          console.log(`   Session: ${path.basename(sessionOf.get(op.id), '.jsonl')}`);
+        }
+        if (revision.path !== path.resolve(file)) {
+          console.log(chalk.gray(`   As: ${revision.path}`));
+        }
+        console.log('');
+      }
+      
+      console.log(chalk.gray('Show a revision with --show <n>, or compare two with --diff <a>..<b>.'));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
 program
   .command('sessions')
   .description('List all available Claude Code sessions')
@@ -613,8 +1204,8 @@ program
 program
   .command('turns')
   .description('List conversation turns (grouped operations)')
-  .option('--auto-group', 'Automatically group operations into turns')
-  .option('--gap <minutes>', 'Time gap in minutes for auto-grouping (default: 5)', '5')
+  .option('--auto-group', 'Automatically group operations into turns, one per prompt')
+  .option('--gap <minutes>', 'Time gap in minutes for operations without a known prompt (default: 5)', '5')
   .action(async (options) => {
     try {
       const parser = new ClaudeSessionParser();
@@ -626,12 +1217,13 @@ program
       }
       
       const operations = await parser.parseSessionFile(sessionFile);
-      const turnUndoManager = new TurnUndoManager();
+      const turnUndoManager = new TurnUndoManager({ session: sessionFile });
       await turnUndoManager.init();
       
       if (options.autoGroup) {
         console.log(chalk.cyan('Auto-grouping operations into turns...'));
-        const result = await turnUndoManager.autoGroupOperations(operations, parseInt(options.gap));
+        const prompts = await parser.readSessionPrompts(sessionFile);
+        const result = await turnUndoManager.autoGroupOperations(operations, parseInt(options.gap), prompts);
         console.log(chalk.green(result.message));
         console.log('');
       }
@@ -657,6 +1249,17 @@ program
           console.log(`   Description: ${description}`);
           console.log(`   Operations: ${count}`);
           
+          // Operations made by subagents, per agent
+          const agents = new Map();
+          for (const op of operations.filter(op => op.data.agent)) {
+            const { agent } = op.data;
+            if (!agents.has(agent.taskId)) agents.set(agent.taskId, { agent, count: 0 });
+            agents.get(agent.taskId).count++;
+          }
+          for (const { agent, count: agentCount } of agents.values()) {
+            console.log(`   ${'  '.repeat(agent.depth - 1)}${chalk.magenta(`↳ Subagent ${formatAgent(agent)}`)} (${agentCount} ops)`);
+          }
+          
           if (operations.length > 0) {
             const firstOp = operations[0];
             const lastOp = operations[operations.length - 1];
@@ -679,6 +1282,9 @@ program
   .command('undo-turn [turn-id]')
   .description('Undo an entire conversation turn')
   .option('-y, --yes', 'Skip confirmation')
+  .option('--allow-partial', 'Keep successful undos even if others fail')
+  .option('--on-conflict <mode>', 'How to undo files changed since Claude edited them: abort, force or merge')
+  .option('--patch <file>', 'Write the undo as a patch file instead of changing any files')
   .action(async (turnId, options) => {
     try {
       const parser = new ClaudeSessionParser();
@@ -690,7 +1296,7 @@ program
       }
       
       const operations = await parser.parseSessionFile(sessionFile);
-      const turnUndoManager = new TurnUndoManager();
+      const turnUndoManager = new TurnUndoManager({ session: sessionFile });
       await turnUndoManager.init();
       
       const availableTurns = turnUndoManager.getTurnsForUndoSelection(operations);
@@ -731,8 +1337,12 @@ program
       }
       
       const { turn, operations: turnOps, isUngrouped, cascadeWarning, totalCascadedOps } = selectedTurnGroup;
+      const operationsToUndo = turnUndoManager.locate(isUngrouped
+        ? turnUndoManager.getUngroupedOperations(operations)
+        : turnUndoManager.getCascadedTurnsForUndo(turn.id, operations).operations, operations);
+      const conflicts = await ConflictDetector.detect(operationsToUndo, operations);
       
-      if (!options.yes) {
+      if (!options.yes && !options.patch) {
         console.log(chalk.yellow(`\\nThis will undo the entire ${isUngrouped ? 'ungrouped operations' : 'turn'}:\\n`));
         console.log(`${chalk.bold('Description:')} ${selectedTurnGroup.description}`);
         console.log(`${chalk.bold('Operations:')} ${turnOps.length}`);
@@ -758,9 +1368,21 @@ program
         }
       }
       
+      const conflictMode = await chooseConflictMode(conflicts, options);
+      if (conflictMode === 'abort') {
+        console.log(chalk.yellow('Turn undo cancelled.'));
+        return;
+      }
+      
+      if (options.patch) {
+        await exportUndoPatch(operationsToUndo, turnUndoManager.undoManager, options, conflictMode);
+        return;
+      }
+      
+      const undoOptions = { allowPartial: options.allowPartial, conflictMode };
       const result = isUngrouped 
-        ? await turnUndoManager.undoUngroupedOperations(operations)
-        : await turnUndoManager.undoTurnWithCascading(turn.id, operations);
+        ? await turnUndoManager.undoUngroupedOperations(operations, undoOptions)
+        : await turnUndoManager.undoTurnWithCascading(turn.id, operations, undoOptions);
       
       if (result.success) {
         console.log(chalk.green(`\\n✅ ${result.message}`));
@@ -769,8 +1391,8 @@ program
         const undoTracker = new UndoTracker();
         await undoTracker.init();
         
-        for (const op of turnOps) {
-          await undoTracker.markAsUndone(op.id, sessionFile);
+        for (const opId of result.undoneOperationIds) {
+          await undoTracker.markAsUndone(opId, sessionFile);
         }
       } else {
         console.log(chalk.red(`\\n❌ ${result.message}`));
@@ -786,6 +1408,7 @@ program
   .description('Preview what would be undone for a conversation turn')
   .option('-s, --session <id>', 'Specify session ID')
   .option('--detailed', 'Show detailed diff previews')
+  .option('-U, --context <lines>', 'Number of context lines in diff previews', parseInt)
   .action(async (turnId, options) => {
     try {
       const parser = new ClaudeSessionParser();
@@ -797,7 +1420,7 @@ program
       }
       
       const operations = await parser.parseSessionFile(sessionFile);
-      const turnUndoManager = new TurnUndoManager();
+      const turnUndoManager = new TurnUndoManager({ session: sessionFile });
       await turnUndoManager.init();
       
       const turnsWithOps = turnUndoManager.getTurnsWithOperations(operations);
@@ -838,7 +1461,7 @@ program
       const { turn } = selectedTurnGroup;
       console.log(chalk.cyan('\\n🔍 Generating turn preview...\\n'));
       
-      const previewResult = await turnUndoManager.previewTurn(turn.id, operations);
+      const previewResult = await turnUndoManager.previewTurn(turn.id, operations, { contextLines: options.context });
       
       if (!previewResult.success) {
         console.log(chalk.red(`❌ ${previewResult.message}`));
@@ -862,6 +1485,9 @@ program
       if (summary.warningCount > 0) {
         console.log(chalk.yellow(`   ⚠️  ${summary.warningCount} operations have warnings`));
       }
+      if (summary.conflictCount > 0) {
+        console.log(chalk.red(`   ⚠️  ${summary.conflictCount} operations touch files changed since Claude edited them`));
+      }
       console.log('');
       
       // Show individual operation previews
@@ -881,10 +1507,10 @@ program
         }
         
         if (options.detailed || !canUndo) {
-          console.log(chalk.gray(`   Preview: ${preview}`));
+          console.log(`   Preview: ${preview.replace(/\n/g, '\n   ')}`);
         } else {
           // Show abbreviated preview
-          const lines = preview.split('\\n');
+          const lines = preview.split('\n');
           if (lines.length > 3) {
             console.log(chalk.gray(`   Preview: ${lines[0]}`));
             console.log(chalk.gray(`   ... (${lines.length - 1} more lines, use --detailed for full preview)`));
@@ -922,7 +1548,7 @@ program
   .command('group-turns')
   .description('Manually group operations into conversation turns')
   .option('-s, --session <id>', 'Specify session ID')
-  .option('--gap <minutes>', 'Time gap in minutes for auto-grouping (default: 5)', '5')
+  .option('--gap <minutes>', 'Time gap in minutes for operations without a known prompt (default: 5)', '5')
   .option('--clear', 'Clear existing turn groupings first')
   .action(async (options) => {
     try {
@@ -935,7 +1561,7 @@ program
       }
       
       const operations = await parser.parseSessionFile(sessionFile);
-      const turnUndoManager = new TurnUndoManager();
+      const turnUndoManager = new TurnUndoManager({ session: sessionFile });
       await turnUndoManager.init();
       
       if (options.clear) {
@@ -944,9 +1570,10 @@ program
       }
       
       console.log(chalk.cyan(`Grouping ${operations.length} operations into conversation turns...`));
-      console.log(chalk.gray(`Using ${options.gap} minute gaps between turns.`));
+      console.log(chalk.gray(`One turn per prompt; ${options.gap} minute gaps split operations without one.`));
       
-      const result = await turnUndoManager.autoGroupOperations(operations, parseInt(options.gap));
+      const prompts = await parser.readSessionPrompts(sessionFile);
+      const result = await turnUndoManager.autoGroupOperations(operations, parseInt(options.gap), prompts);
       
       console.log(chalk.green(`\\n✅ ${result.message}`));
       console.log(chalk.gray('\\nRun "ccundo turns" to see the grouped turns.'));
@@ -955,4 +1582,312 @@ program
     }
   });
 
+program
+  .command('bash-snapshot')
+  .description('Snapshot the project around Bash commands (run from PreToolUse and PostToolUse hooks)')
+  .action(async () => {
+    try {
+      let data = '';
+      for await (const chunk of process.stdin) data += chunk;
+      const input = JSON.parse(data || '{}');
+      
+      // Results are matched to the session's tool calls by their id
+      if (input.tool_name !== 'Bash' || !input.tool_use_id) return;
+      
+      const bashSnapshot = new BashSnapshot();
+      await bashSnapshot.init();
+      
+      if (input.hook_event_name === 'PreToolUse') {
+        await bashSnapshot.before({
+          toolUseId: input.tool_use_id,
+          root: process.env.CLAUDE_PROJECT_DIR || input.cwd || process.cwd(),
+          command: input.tool_input?.command ?? null,
+          sessionFile: input.transcript_path || null
+        });
+      } else if (input.hook_event_name === 'PostToolUse') {
+        await bashSnapshot.after({ toolUseId: input.tool_use_id, sessionFile: input.transcript_path || null });
+      }
+    } catch (error) {
+      // Never block the command over a failed snapshot
+      console.error(chalk.red(`ccundo bash-snapshot: ${error.message}`));
+    }
+  });
+
+// Hook commands
+const hooksCommand = program
+  .command('hooks')
+  .description('Install ccundo\'s hooks into Claude Code settings');
+
+hooksCommand
+  .command('install')
+  .description('Add ccundo\'s hooks to a settings file, keeping any other hooks')
+  .option('--scope <scope>', 'Settings file: local (.claude/settings.local.json), project (.claude/settings.json) or user (~/.claude/settings.json)', 'local')
+  .option('--no-bash-snapshots', 'Don\'t snapshot the project around Bash commands')
+  .action(async (options) => {
+    try {
+      const installer = new HookInstaller();
+      const result = await installer.install(options.scope, { bashSnapshots: options.bashSnapshots });
+      
+      console.log(chalk.green(`✅ ${result.message}`));
+      if (options.scope === 'project') {
+        console.log(chalk.yellow('The hooks point at ccundo on this machine, so they won\'t work for others sharing .claude/settings.json.'));
+      }
+      if (result.snapshotId) {
+        console.log(chalk.gray(`Previous settings saved as snapshot ${result.snapshotId} (ccundo snapshot restore ${result.snapshotId})`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+hooksCommand
+  .command('uninstall')
+  .description('Remove ccundo\'s hooks from a settings file')
+  .option('--scope <scope>', 'Settings file: local, project or user', 'local')
+  .action(async (options) => {
+    try {
+      const installer = new HookInstaller();
+      const result = await installer.uninstall(options.scope);
+      
+      console.log(chalk.green(`✅ ${result.message}`));
+      if (result.snapshotId) {
+        console.log(chalk.gray(`Previous settings saved as snapshot ${result.snapshotId} (ccundo snapshot restore ${result.snapshotId})`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+hooksCommand
+  .command('status')
+  .description('Show which settings files have ccundo\'s hooks')
+  .action(async () => {
+    try {
+      const installer = new HookInstaller();
+      const scopes = await installer.status();
+      
+      console.log(chalk.bold('\nccundo hooks:\n'));
+      
+      for (const { scope, file, exists, error, hooks } of scopes) {
+        console.log(`${chalk.cyan(scope)} ${chalk.gray(file)}`);
+        if (error) {
+          console.log(chalk.red(`   ${error}`));
+        } else if (!exists) {
+          console.log(chalk.gray('   No settings file'));
+        } else if (hooks.length === 0) {
+          console.log(chalk.gray('   Not installed'));
+        }
+        for (const hook of hooks) {
+          const line = `   ${hook.event} [${hook.matcher || '*'}] ${hook.command}`;
+          console.log(hook.broken ? chalk.red(`${line} (script not found; run ccundo hooks install --scope ${scope})`) : line);
+        }
+        console.log('');
+      }
+      
+      if (scopes.every(({ hooks }) => hooks.length === 0)) {
+        console.log(chalk.yellow('ccundo hooks are not installed. Run "ccundo hooks install" to track changes as Claude Code makes them.'));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+// Snapshot commands
+const snapshotCommand = program
+  .command('snapshot')
+  .description('Inspect and restore file backups kept by ccundo');
+
+snapshotCommand
+  .command('list')
+  .description('List stored snapshots, newest first')
+  .option('-f, --file <path>', 'Only show snapshots of this file')
+  .option('-o, --operation <id>', 'Only show snapshots taken for this operation')
+  .action(async (options) => {
+    try {
+      const store = new SnapshotStore();
+      await store.init();
+      
+      const snapshots = await store.list({
+        filePath: options.file ? path.resolve(options.file) : undefined,
+        operationId: options.operation
+      });
+      
+      if (snapshots.length === 0) {
+        console.log(chalk.yellow('No snapshots found.'));
+        return;
+      }
+      
+      console.log(chalk.bold('\nSnapshots:\n'));
+      
+      snapshots.forEach((entry, index) => {
+        console.log(`${index + 1}. ${chalk.cyan(entry.id)} - ${formatDistance(entry.createdAt)}`);
+        console.log(`   File: ${entry.filePath || '(unknown)'}`);
+        if (entry.operationId) {
+          console.log(`   Operation: ${entry.operationId}`);
+        }
+        console.log(`   Reason: ${entry.reason || '-'}, ${entry.size} bytes, ${entry.hash.slice(0, 12)}`);
+        console.log('');
+      });
+      
+      console.log(chalk.gray(`Total: ${snapshots.length} snapshots`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+snapshotCommand
+  .command('show <snapshot-id>')
+  .description('Print the content of a snapshot')
+  .action(async (snapshotId) => {
+    try {
+      const store = new SnapshotStore();
+      await store.init();
+      
+      const entry = await store.get(snapshotId);
+      if (!entry) {
+        console.log(chalk.red(`Snapshot ${snapshotId} not found.`));
+        return;
+      }
+      
+      console.log(chalk.bold(`Snapshot ${entry.id}`));
+      console.log(chalk.gray(`File: ${entry.filePath || '(unknown)'}`));
+      console.log(chalk.gray(`Session: ${entry.session || '-'}`));
+      console.log(chalk.gray(`Operation: ${entry.operationId || '-'}`));
+      console.log(chalk.gray(`Reason: ${entry.reason || '-'}`));
+      console.log(chalk.gray(`Taken: ${new Date(entry.createdAt).toLocaleString()}`));
+      console.log('');
+      process.stdout.write(await store.read(entry));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+snapshotCommand
+  .command('restore <snapshot-id>')
+  .description('Write a snapshot back to its file')
+  .option('--to <path>', 'Restore to a different path')
+  .option('-y, --yes', 'Skip confirmation')
+  .action(async (snapshotId, options) => {
+    try {
+      const store = new SnapshotStore();
+      await store.init();
+      
+      const entry = await store.get(snapshotId);
+      if (!entry) {
+        console.log(chalk.red(`Snapshot ${snapshotId} not found.`));
+        return;
+      }
+      
+      const destination = options.to ? path.resolve(options.to) : entry.filePath;
+      
+      if (!options.yes) {
+        const confirm = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'proceed',
+          message: `Overwrite ${destination} with snapshot ${entry.id}?`,
+          default: false
+        }]);
+        
+        if (!confirm.proceed) {
+          console.log(chalk.yellow('Restore cancelled.'));
+          return;
+        }
+      }
+      
+      const result = await store.restore(entry.id, destination);
+      
+      if (result.success) {
+        console.log(chalk.green(`✓ ${result.message}`));
+        if (result.snapshotId) {
+          console.log(chalk.gray(`  Previous content saved as snapshot ${result.snapshotId}`));
+        }
+      } else {
+        console.log(chalk.red(`✗ ${result.message}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
+program
+  .command('gc')
+  .description('Prune old backups, undo records and turns for deleted sessions')
+  .option('--max-age <duration>', 'Remove backups older than this (e.g. 30d, 12h)')
+  .option('--max-size <size>', 'Keep total backup size under this (e.g. 500M, 2G)')
+  .option('--keep <n>', 'Keep only the newest n snapshots per session')
+  .option('--dry-run', 'Report what would be removed without deleting anything')
+  .option('-y, --yes', 'Skip confirmation')
+  .action(async (options) => {
+    try {
+      const policy = {
+        maxAgeMs: options.maxAge ? parseDuration(options.maxAge) : null,
+        maxSizeBytes: options.maxSize ? parseSize(options.maxSize) : null,
+        keepPerSession: options.keep !== undefined ? parseInt(options.keep) : null
+      };
+      
+      if (policy.keepPerSession !== null && !(policy.keepPerSession >= 0)) {
+        console.log(chalk.red(`Invalid --keep value: ${options.keep}`));
+        return;
+      }
+      
+      const collector = new GarbageCollector();
+      await collector.init();
+      
+      console.log(chalk.cyan('Scanning ccundo data...'));
+      const plan = await collector.plan(policy);
+      
+      const byReason = {};
+      plan.snapshots.forEach(entry => {
+        byReason[entry.gcReason] = (byReason[entry.gcReason] || 0) + 1;
+      });
+      
+      console.log(chalk.bold(`\n${options.dryRun ? 'Would remove' : 'Will remove'}:\n`));
+      console.log(`   Snapshots: ${plan.snapshots.length}` +
+        (plan.snapshots.length > 0 ? chalk.gray(` (${Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ')})`) : ''));
+      console.log(`   Snapshot objects: ${plan.objects.length}`);
+      console.log(`   Legacy backups: ${plan.legacyBackups.length}`);
+      console.log(`   Undo records: ${plan.undoRecords.reduce((sum, record) => sum + record.count, 0)} from ${plan.undoRecords.length} deleted sessions`);
+      console.log(`   Bash snapshot records: ${plan.bashRecords.reduce((sum, records) => sum + records.count, 0)} from ${plan.bashRecords.length} deleted sessions`);
+      console.log(`   Turns: ${plan.turns.length}`);
+      console.log(chalk.bold(`\n   Space freed: ${formatBytes(plan.freedBytes)}`));
+      
+      if (options.dryRun) {
+        plan.undoRecords.forEach(record => {
+          console.log(chalk.gray(`   - undo records for ${record.sessionFile}`));
+        });
+        plan.turns.forEach(turn => {
+          console.log(chalk.gray(`   - turn ${turn.id}: ${turn.description}`));
+        });
+        console.log(chalk.gray('\n💡 To actually remove these, run: ccundo gc without --dry-run'));
+        return;
+      }
+      
+      const total = plan.snapshots.length + plan.objects.length + plan.legacyBackups.length +
+        plan.undoRecords.length + plan.bashRecords.length + plan.turns.length;
+      if (total === 0) {
+        console.log(chalk.green('\nNothing to clean up.'));
+        return;
+      }
+      
+      if (!options.yes) {
+        const confirm = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'proceed',
+          message: 'Remove these entries?',
+          default: false
+        }]);
+        
+        if (!confirm.proceed) {
+          console.log(chalk.yellow('Garbage collection cancelled.'));
+          return;
+        }
+      }
+      
+      const result = await collector.apply(plan);
+      console.log(chalk.green(`\n✅ ${result.message}`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+    }
+  });
+
 program.parse(process.argv);
\ No newline at end of file
@@ -4,4 +4,5 @@ export { Operation, OperationType } from './src/core/Operation.js';
 export { formatDistance } from './src/utils/formatting.js';
 export { Turn } from './src/core/Turn.js';
 export { TurnManager } from './src/core/TurnManager.js';
-export { TurnUndoManager } from './src/core/TurnUndoManager.js'; 
\ No newline at end of file
+export { TurnUndoManager } from './src/core/TurnUndoManager.js';
+export { SnapshotStore } from './src/core/SnapshotStore.js';
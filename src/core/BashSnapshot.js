@@ -0,0 +1,300 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { SnapshotStore, MAX_FILE_SIZE, MAX_FILES } from './SnapshotStore.js';
+import { readJSON, writeJSON, updateJSON } from '../utils/state.js';
+import { hashContent } from '../utils/hash.js';
+
+// Directories that are rebuilt rather than edited, and too big to copy
+const IGNORED_DIRECTORIES = new Set(['.git', '.hg', '.svn', 'node_modules', '__pycache__', '.venv', 'venv']);
+// Commands whose PostToolUse hook never ran
+const STALE_PENDING_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BashSnapshot records what a Bash command did to the project by scanning
+ * the tree before and after it ran. A per-project index of size, mtime and
+ * hash means only files changed since the previous scan are read again;
+ * their content goes to the snapshot store, so every file the command
+ * modifies or deletes can be put back.
+ */
+export class BashSnapshot {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || path.join(os.homedir(), '.ccundo', 'bash');
+    this.snapshotStore = options.snapshotStore || new SnapshotStore();
+    // Larger files are tracked by size and mtime only, so changes to them can't be undone
+    this.maxFileSize = options.maxFileSize ?? MAX_FILE_SIZE;
+    // Projects with more files than this are not snapshotted at all
+    this.maxFiles = options.maxFiles ?? MAX_FILES;
+  }
+
+  async init() {
+    await this.snapshotStore.init();
+  }
+
+  /**
+   * Index of the last scan of a project directory
+   */
+  getIndexFile(root) {
+    return path.join(this.baseDir, 'index', `${hashContent(path.resolve(root)).slice(0, 16)}.json`);
+  }
+
+  getPendingFile(toolUseId) {
+    return path.join(this.baseDir, 'pending', `${toolUseId}.json`);
+  }
+
+  /**
+   * Changes recorded for a Claude Code session, laid out like its turns
+   */
+  getRecordsFile(sessionFile) {
+    const project = path.basename(path.dirname(sessionFile));
+    return path.join(this.baseDir, 'records', project, `${path.basename(sessionFile, '.jsonl')}.json`);
+  }
+
+  /**
+   * Scan root before a command runs (the PreToolUse hook)
+   * @param {Object} info - { toolUseId, root, command, sessionFile }
+   * @returns {boolean} Whether a snapshot was taken
+   */
+  async before({ toolUseId, root, command = null, sessionFile = null }) {
+    await this.removeStalePending();
+
+    const index = await readJSON(this.getIndexFile(root), { root, files: {} });
+    const files = await this.scan(root, index.files);
+    if (!files) return false;
+
+    await writeJSON(this.getPendingFile(toolUseId), {
+      toolUseId,
+      root: path.resolve(root),
+      command,
+      sessionFile,
+      startedAt: new Date().toISOString(),
+      files
+    });
+    await this.updateIndex(root, index.files, files);
+    return true;
+  }
+
+  /**
+   * Fold a scan into the project's index, under its lock so concurrent
+   * commands don't lose each other's entries. Only files the scan found
+   * gone since previous are dropped.
+   * @param {Object} previous - The files the scan started from
+   */
+  async updateIndex(root, previous, files) {
+    await updateJSON(this.getIndexFile(root), { files: {} }, index => {
+      const merged = { ...index.files };
+      Object.keys(previous).filter(filePath => !(filePath in files)).forEach(filePath => delete merged[filePath]);
+      return { root: path.resolve(root), files: Object.assign(merged, files) };
+    });
+  }
+
+  /**
+   * Scan again once the command finished (the PostToolUse hook) and record
+   * the files it created, modified and deleted
+   * @returns {Object|null} The record, or null without a snapshot from before
+   */
+  async after({ toolUseId, sessionFile = null }) {
+    const pendingFile = this.getPendingFile(toolUseId);
+    const pending = await readJSON(pendingFile, null);
+    if (!pending) return null;
+
+    const files = await this.scan(pending.root, pending.files);
+    await fs.rm(pendingFile, { force: true });
+    await fs.rm(`${pendingFile}.bak`, { force: true });
+    if (!files) return null;
+
+    const changes = this.diff(pending.root, pending.files, files);
+    const session = sessionFile || pending.sessionFile;
+    const record = {
+      toolUseId,
+      command: pending.command,
+      root: pending.root,
+      startedAt: pending.startedAt,
+      finishedAt: new Date().toISOString(),
+      changes
+    };
+
+    // Manifest entries keep the blobs for as long as the session's other backups
+    await this.snapshotStore.addEntries(changes.flatMap(change => [
+      change.before?.hash && { ...change.before, filePath: change.path, operationId: toolUseId, session, reason: 'pre-bash' },
+      change.after?.hash && { ...change.after, filePath: change.path, operationId: toolUseId, session, reason: 'post-bash' }
+    ].filter(Boolean)));
+
+    if (session) {
+      await updateJSON(this.getRecordsFile(session), { session, commands: {} }, data => {
+        data.commands[toolUseId] = record;
+      });
+    }
+    await this.updateIndex(pending.root, pending.files, files);
+    return record;
+  }
+
+  /**
+   * Changes recorded for a session, by tool_use id
+   */
+  async getRecords(sessionFile) {
+    const data = await readJSON(this.getRecordsFile(sessionFile), { commands: {} });
+    return data.commands || {};
+  }
+
+  /**
+   * Records files with the session each belongs to
+   * @returns {Array} { file, session, count }
+   */
+  async listRecordFiles() {
+    const recordsDir = path.join(this.baseDir, 'records');
+    const result = [];
+    let projects = [];
+    try {
+      projects = await fs.readdir(recordsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const project of projects) {
+      const names = await fs.readdir(path.join(recordsDir, project)).catch(() => []);
+      for (const name of names.filter(name => name.endsWith('.json'))) {
+        const file = path.join(recordsDir, project, name);
+        const data = await readJSON(file, { commands: {} });
+        if (data.session) {
+          result.push({ file, session: data.session, count: Object.keys(data.commands || {}).length });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Every blob the project indexes refer to; they hold the current content
+   * of files the next command may change, so garbage collection keeps them
+   */
+  async listIndexedHashes() {
+    const hashes = new Set();
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(this.baseDir, 'index'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const index = await readJSON(path.join(this.baseDir, 'index', name), { files: {} });
+      Object.values(index.files || {}).forEach(file => file.hash && hashes.add(file.hash));
+    }
+    return hashes;
+  }
+
+  /**
+   * Walk root and describe every file. Files whose size and mtime match
+   * the previous scan keep their hash; others are read, hashed and stored.
+   * @returns {Object|null} relative path -> { size, mtimeMs, mode, hash }, or null past maxFiles
+   */
+  async scan(root, previous = {}) {
+    const files = {};
+    let count = 0;
+    const pending = [''];
+
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+      } catch (error) {
+        // Directories can disappear mid-scan or be unreadable
+        if (error.code === 'ENOENT' || error.code === 'EACCES') continue;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const relativePath = dir ? path.join(dir, entry.name) : entry.name;
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.has(entry.name)) pending.push(relativePath);
+          continue;
+        }
+        // Symlinks and special files are left alone
+        if (!entry.isFile()) continue;
+
+        if (++count > this.maxFiles) return null;
+
+        const file = await this.describeFile(path.join(root, relativePath), previous[relativePath]);
+        if (file) files[relativePath] = file;
+      }
+    }
+
+    return files;
+  }
+
+  async describeFile(filePath, previous) {
+    let stat;
+    try {
+      stat = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const file = { size: stat.size, mtimeMs: stat.mtimeMs, mode: stat.mode & 0o777, hash: null };
+    if (previous && previous.size === file.size && previous.mtimeMs === file.mtimeMs) {
+      return { ...file, hash: previous.hash };
+    }
+    if (stat.size > this.maxFileSize) return file;
+
+    try {
+      const { hash } = await this.snapshotStore.saveObject(await fs.readFile(filePath));
+      return { ...file, hash };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (error.code === 'EACCES') return file;
+      throw error;
+    }
+  }
+
+  /**
+   * Files created, modified and deleted between two scans, by path.
+   * A file without a hash (too large to copy) counts as modified when its
+   * size or mtime changed, and can't be restored.
+   */
+  diff(root, before, after) {
+    const describe = (file) => file && { hash: file.hash, size: file.size, mode: file.mode };
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    const changes = [];
+
+    for (const relativePath of paths) {
+      const old = before[relativePath];
+      const now = after[relativePath];
+      let change = null;
+
+      if (!old) {
+        change = 'created';
+      } else if (!now) {
+        change = 'deleted';
+      } else if (old.hash !== now.hash ||
+          (old.hash === null && (old.size !== now.size || old.mtimeMs !== now.mtimeMs))) {
+        change = 'modified';
+      }
+
+      if (change) {
+        changes.push({ path: path.join(root, relativePath), change, before: describe(old) || null, after: describe(now) || null });
+      }
+    }
+    return changes;
+  }
+
+  async removeStalePending() {
+    const dir = path.join(this.baseDir, 'pending');
+    let names = [];
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_PENDING_MS) {
+        await fs.rm(file, { force: true });
+      }
+    }
+  }
+}
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { UndoManager } from './UndoManager.js';
+import { TurnManager } from './TurnManager.js';
+import { UndoTransaction } from './UndoTransaction.js';
+import { FileIdentity } from './FileIdentity.js';
+import { readJSON, updateJSON } from '../utils/state.js';
+import { hashContent } from '../utils/hash.js';
+import { parseTime } from '../utils/formatting.js';
+
+/**
+ * CheckoutManager puts the project back to how it was at a point in the
+ * session, by undoing every operation after it in one transaction. Each
+ * checkout is recorded with the state of every path it changed, before
+ * and after, so it can be undone as a whole to jump forward again.
+ */
+export class CheckoutManager {
+  /**
+   * @param {Object} options - { session } for a Claude session file, or { localSession } for local
+   *   tracking; { snapshotStore } to keep backups elsewhere
+   */
+  constructor(options = {}) {
+    this.session = options.session || null;
+    this.key = this.session || `local:${options.localSession}`;
+    this.undoManager = new UndoManager({ session: this.session, snapshotStore: options.snapshotStore });
+    this.snapshotStore = this.undoManager.snapshotStore;
+    this.turnManager = new TurnManager({ session: this.session });
+    this.checkoutsFile = path.join(os.homedir(), '.ccundo', 'checkouts.json');
+  }
+
+  async init() {
+    await this.undoManager.init();
+    if (this.session) {
+      await this.turnManager.init();
+    }
+    await fs.mkdir(path.dirname(this.checkoutsFile), { recursive: true });
+  }
+
+  /**
+   * Work out the point to go back to: right before a turn, given its id,
+   * otherwise a time as parseTime reads it
+   * @returns {Object} { time, turn, label }
+   */
+  resolvePoint(value) {
+    const turn = this.session ? this.turnManager.getTurn(value) : null;
+    if (turn) {
+      return { time: new Date(turn.startTime), turn, label: `before turn "${turn.description}"` };
+    }
+
+    const time = parseTime(value);
+    return { time, turn: null, label: time.toLocaleString() };
+  }
+
+  /**
+   * Operations to undo to get back to the point: those after it, and for a
+   * turn those in it, pointed at where their files are now
+   * @param {Array} operations - Operations in effect, oldest first
+   * @returns {Array} Most recent first
+   */
+  getOperationsAfter(operations, point) {
+    const after = operations.filter(op =>
+      point.turn?.operations.includes(op.id) ||
+      (point.turn ? new Date(op.timestamp) >= point.time : new Date(op.timestamp) > point.time));
+
+    return new FileIdentity(operations).locateAll([...after].reverse());
+  }
+
+  /**
+   * Undo the operations all-or-nothing and record the checkout
+   * @param {Array} operations - From getOperationsAfter
+   * @param {Object} options - { conflictMode, onResult }
+   * @returns {Object} The transaction outcome, with the recorded checkout
+   */
+  async checkout(operations, point, options = {}) {
+    const transaction = new UndoTransaction(this.undoManager, { conflictMode: options.conflictMode });
+    const outcome = await transaction.run(operations, options.onResult);
+    if (!outcome.success) {
+      return outcome;
+    }
+
+    const paths = [];
+    for (const saved of transaction.savedPaths) {
+      paths.push({
+        path: saved.path,
+        kind: saved.kind,
+        snapshot: saved.snapshot ? { id: saved.snapshot.id, hash: saved.snapshot.hash } : null,
+        mode: saved.mode ?? null,
+        ...(saved.kind === 'symlink' && { target: saved.target }),
+        after: await this.getState(saved.path)
+      });
+    }
+
+    const checkout = {
+      id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.floor(Math.random()*1e9)}`,
+      at: point.time.toISOString(),
+      label: point.label,
+      createdAt: new Date().toISOString(),
+      operations: outcome.undoneOperations.map(op => op.id),
+      paths
+    };
+
+    await updateJSON(this.checkoutsFile, {}, checkouts => {
+      (checkouts[this.key] = checkouts[this.key] || []).push(checkout);
+    });
+
+    return { ...outcome, checkout };
+  }
+
+  /**
+   * Checkouts of this session that can still be undone, most recent first
+   */
+  async getCheckouts() {
+    const checkouts = await readJSON(this.checkoutsFile, {});
+    return [...(checkouts[this.key] || [])].reverse();
+  }
+
+  /**
+   * A checkout by id or id prefix, or the latest one without an id
+   */
+  async getCheckout(id = null) {
+    const checkouts = await this.getCheckouts();
+    if (!id) return checkouts[0] || null;
+    return checkouts.find(checkout => checkout.id === id) ||
+      checkouts.find(checkout => checkout.id.startsWith(id)) || null;
+  }
+
+  /**
+   * What is at a path now: { kind: 'missing'|'directory'|'symlink'|'file', hash, target }
+   */
+  async getState(filePath) {
+    let stat;
+    try {
+      stat = await fs.lstat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { kind: 'missing' };
+      throw error;
+    }
+
+    if (stat.isDirectory()) return { kind: 'directory' };
+    if (stat.isSymbolicLink()) return { kind: 'symlink', target: await fs.readlink(filePath) };
+    return { kind: 'file', hash: hashContent(await fs.readFile(filePath)) };
+  }
+
+  /**
+   * Paths that changed since the checkout left them
+   */
+  async findChanged(checkout) {
+    const changed = [];
+    for (const entry of checkout.paths) {
+      const state = await this.getState(entry.path);
+      if (state.kind !== entry.after.kind || state.hash !== entry.after.hash || state.target !== entry.after.target) {
+        changed.push(entry.path);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Jump forward again: put every path the checkout changed back the way
+   * it was before it. Refuses when those paths changed since, unless forced;
+   * forcing backs up the files that would be overwritten.
+   * @param {Object} options - { force }
+   */
+  async undoCheckout(checkout, options = {}) {
+    const changed = await this.findChanged(checkout);
+    if (changed.length > 0 && !options.force) {
+      return {
+        success: false,
+        changed,
+        message: `${changed.length} file(s) changed since the checkout`
+      };
+    }
+
+    for (const entry of checkout.paths.filter(entry => entry.kind === 'file')) {
+      const exists = await fs.access(this.snapshotStore.getObjectPath(entry.snapshot.hash)).then(() => true).catch(() => false);
+      if (!exists) {
+        return {
+          success: false,
+          changed: [],
+          message: `The backup of ${entry.path} is gone (removed by ccundo gc?), so the checkout can't be undone`
+        };
+      }
+    }
+
+    const backups = [];
+    for (const filePath of changed) {
+      if ((await this.getState(filePath)).kind !== 'file') continue;
+      const snapshot = await this.snapshotStore.saveFile(filePath, {
+        session: this.session,
+        reason: 'pre-checkout-undo'
+      });
+      backups.push({ path: filePath, snapshotId: snapshot.id });
+    }
+
+    await UndoTransaction.restorePaths(checkout.paths, this.snapshotStore);
+
+    await updateJSON(this.checkoutsFile, {}, checkouts => {
+      checkouts[this.key] = (checkouts[this.key] || []).filter(entry => entry.id !== checkout.id);
+    });
+
+    return {
+      success: true,
+      backups,
+      message: `Restored ${checkout.paths.length} path(s) as they were before the checkout`
+    };
+  }
+}
@@ -5,10 +5,18 @@ import { createReadStream } from 'fs';
 import { createInterface } from 'readline';
 import { Operation, OperationType } from './Operation.js';
 import { UndoTracker } from './UndoTracker.js';
+import { hashContent } from '../utils/hash.js';
+import { parseNotebook, findCellIndex } from '../utils/notebook.js';
+import { analyzeCommand } from '../utils/shell.js';
+import { BashSnapshot } from './BashSnapshot.js';
+
+// Tools that launch a subagent; newer Claude Code versions call it Agent
+const AGENT_TOOLS = new Set(['Task', 'Agent']);
 
 export class ClaudeSessionParser {
   constructor() {
     this.claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
+    this.bashSnapshot = new BashSnapshot();
   }
 
   async getCurrentProjectDir() {
@@ -29,12 +37,20 @@ export class ClaudeSessionParser {
     return path.join(this.claudeProjectsDir, safePath);
   }
 
+  /**
+   * Whether a file in a project directory is a session, rather than the
+   * transcript of a subagent launched from one
+   */
+  isSessionFile(fileName) {
+    return fileName.endsWith('.jsonl') && !fileName.startsWith('agent-');
+  }
+
   async getCurrentSessionFile() {
     const projectDir = await this.getCurrentProjectDir();
     
     try {
       const files = await fs.readdir(projectDir);
-      const sessionFiles = files.filter(f => f.endsWith('.jsonl'));
+      const sessionFiles = files.filter(f => this.isSessionFile(f));
       
       if (sessionFiles.length === 0) return null;
       
@@ -56,7 +72,106 @@ export class ClaudeSessionParser {
   }
 
   async parseSessionFile(sessionFile) {
+    const operations = await this.readSessionOperations(sessionFile);
+
+    // Filter out operations that have already been undone
+    const undoTracker = new UndoTracker();
+    await undoTracker.init();
+    const filteredOperations = await undoTracker.filterUndoneOperations(operations, sessionFile);
+    
+    return filteredOperations;
+  }
+
+  /**
+   * Read every operation recorded in a session file, including undone ones.
+   * Each assistant tool_use is joined with the user-side tool_result that
+   * carries the same tool_use_id, so operations get the file contents
+   * Claude Code saw before and after the tool ran. Operations are tagged
+   * with the id of the user prompt that led to them (data.promptId), and
+   * ones made by a subagent with the agent (data.agent).
+   */
+  async readSessionOperations(sessionFile) {
+    const { toolUses, toolResults, prompts, tasks } = await this.scanSession(sessionFile);
+    const bashRecords = await this.bashSnapshot.getRecords(sessionFile);
+
     const operations = [];
+    const knownContent = new Map(); // filePath -> content after the latest operation on it
+    
+    for (const { toolUse, timestamp, promptId, taskId, cwd } of toolUses) {
+      const toolResult = toolResults.get(toolUse.id);
+      
+      // A failed tool call never touched the file system
+      if (toolResult?.isError) continue;
+      
+      const extracted = toolUse.name === 'Bash'
+        ? this.extractBashOperations(toolUse, timestamp, cwd, bashRecords[toolUse.id])
+        : [this.extractOperation(toolUse, timestamp, toolResult?.result)];
+      
+      for (const operation of extracted) {
+        if (!operation) continue;
+        
+        if (promptId && prompts.has(promptId)) {
+          operation.data.promptId = promptId;
+        }
+        
+        const task = tasks.get(taskId);
+        if (task) {
+          operation.data.agent = {
+            taskId: task.id,
+            agentId: task.agentId,
+            type: task.type,
+            description: task.description,
+            depth: task.depth
+          };
+        }
+        
+        const { filePath, oldPath, newPath } = operation.data;
+        
+        // Older sessions don't record what a Write replaced, but an earlier
+        // operation in the same session may have left the file in a known state
+        if (operation.type === OperationType.FILE_OVERWRITE &&
+            operation.data.beforeContent === undefined && knownContent.has(filePath)) {
+          operation.data.beforeContent = knownContent.get(filePath);
+        }
+        
+        if (filePath && typeof operation.data.afterContent === 'string') {
+          knownContent.set(filePath, operation.data.afterContent);
+        } else {
+          [filePath, oldPath, newPath].forEach(p => knownContent.delete(p));
+          (operation.data.effects || []).forEach(effect => knownContent.delete(effect.path));
+        }
+        
+        operations.push(operation);
+      }
+    }
+    
+    return operations;
+  }
+
+  /**
+   * The prompts the user typed in a session, oldest first
+   * @returns {Array} { id, text, timestamp } for each prompt
+   */
+  async readSessionPrompts(sessionFile) {
+    const { prompts } = await this.scanSession(sessionFile);
+    return [...prompts.values()];
+  }
+
+  /**
+   * Collect tool calls, their results and the user prompts from a session file.
+   * Tool calls made by subagents are included, whether they are sidechain
+   * entries in the session itself or in a separate agent transcript; each
+   * gets the taskId of the Task call that launched its agent.
+   */
+  async scanSession(sessionFile, visited = new Set()) {
+    const toolUses = [];
+    const toolResults = new Map(); // tool_use_id -> { isError, result }
+    const prompts = new Map(); // entry uuid -> { id, text, timestamp }
+    const parents = new Map(); // entry uuid -> parentUuid
+    const tasks = new Map(); // Task tool_use id -> { id, type, description, agentId, depth }
+    const openTasks = []; // Task calls still waiting for their result
+    let lastPromptId = null;
+    visited.add(sessionFile);
     const fileStream = createReadStream(sessionFile);
     const rl = createInterface({
       input: fileStream,
@@ -67,39 +182,203 @@ export class ClaudeSessionParser {
       try {
         const entry = JSON.parse(line);
         
+        if (entry.uuid) {
+          parents.set(entry.uuid, entry.parentUuid || null);
+        }
+        
+        const promptText = this.getPromptText(entry);
+        if (promptText !== null) {
+          prompts.set(entry.uuid, { id: entry.uuid, text: promptText, timestamp: entry.timestamp });
+          lastPromptId = entry.uuid;
+        }
+        
         // Look for tool use messages
-        if (entry.type === 'assistant' && entry.message?.content) {
+        if (entry.type === 'assistant' && Array.isArray(entry.message?.content)) {
           for (const content of entry.message.content) {
             if (content.type === 'tool_use') {
-              const operation = this.extractOperation(content, entry.timestamp);
-              if (operation) {
-                operations.push(operation);
+              toolUses.push({
+                toolUse: content,
+                timestamp: entry.timestamp,
+                entryId: entry.uuid,
+                // Relative paths in Bash commands start from here
+                cwd: entry.cwd || null,
+                // Used when the parentUuid chain doesn't lead back to a prompt
+                fallbackPromptId: lastPromptId,
+                // Sidechain entries belong to the agent of the Task still running
+                sidechainAgentId: entry.isSidechain ? (entry.agentId || null) : undefined,
+                taskId: entry.isSidechain ? openTasks[openTasks.length - 1] : undefined
+              });
+              
+              if (AGENT_TOOLS.has(content.name)) {
+                tasks.set(content.id, {
+                  id: content.id,
+                  type: content.input?.subagent_type || null,
+                  description: content.input?.description || null,
+                  agentId: null
+                });
+                openTasks.push(content.id);
               }
             }
           }
         }
+
+        // Look for the matching tool results
+        if (entry.type === 'user' && Array.isArray(entry.message?.content)) {
+          const results = entry.message.content.filter(c => c.type === 'tool_result');
+          for (const content of results) {
+            toolResults.set(content.tool_use_id, {
+              isError: content.is_error === true,
+              // toolUseResult describes the single tool call answered by this entry
+              result: results.length === 1 && entry.toolUseResult && typeof entry.toolUseResult === 'object'
+                ? entry.toolUseResult
+                : null
+            });
+            
+            const task = tasks.get(content.tool_use_id);
+            if (task) {
+              task.agentId = toolResults.get(content.tool_use_id).result?.agentId || null;
+              openTasks.splice(openTasks.indexOf(task.id), 1);
+            }
+          }
+        }
       } catch (e) {
         // Skip invalid JSON lines
       }
     }
 
-    // Filter out operations that have already been undone
-    const undoTracker = new UndoTracker();
-    await undoTracker.init();
-    const filteredOperations = await undoTracker.filterUndoneOperations(operations, sessionFile);
+    // Follow each tool call's parentUuid chain back to the prompt it answers
+    const promptFor = new Map(); // entry uuid -> prompt uuid or null
+    const findPrompt = (uuid) => {
+      const chain = [];
+      let current = uuid;
+      let found = null;
+      while (current && !promptFor.has(current)) {
+        if (prompts.has(current)) {
+          found = current;
+          break;
+        }
+        if (chain.includes(current)) break;
+        chain.push(current);
+        current = parents.get(current);
+      }
+      if (current && promptFor.has(current)) found = promptFor.get(current);
+      chain.forEach(id => promptFor.set(id, found));
+      return found;
+    };
+
+    for (const toolUse of toolUses) {
+      toolUse.promptId = (toolUse.entryId && findPrompt(toolUse.entryId)) || toolUse.fallbackPromptId;
+    }
+
+    // A sidechain entry naming its agent outranks the guess from running Tasks
+    const taskForAgent = new Map([...tasks.values()]
+      .filter(task => task.agentId)
+      .map(task => [task.agentId, task.id]));
+    for (const toolUse of toolUses) {
+      if (toolUse.sidechainAgentId && taskForAgent.has(toolUse.sidechainAgentId)) {
+        toolUse.taskId = taskForAgent.get(toolUse.sidechainAgentId);
+      }
+    }
+
+    // Agents that wrote their own transcript: splice their tool calls in
+    // right after the Task call that launched them
+    const seen = new Set(toolUses.map(({ toolUse }) => toolUse.id));
+    for (const task of tasks.values()) {
+      if (!task.agentId) continue;
+      const transcript = await this.findAgentTranscript(sessionFile, task.agentId);
+      if (!transcript || visited.has(transcript)) continue;
+
+      const agent = await this.scanSession(transcript, visited);
+      const taskToolUse = toolUses.find(({ toolUse }) => toolUse.id === task.id);
+      const agentToolUses = agent.toolUses.filter(({ toolUse }) => !seen.has(toolUse.id));
+      for (const toolUse of agentToolUses) {
+        seen.add(toolUse.toolUse.id);
+        toolUse.taskId = toolUse.taskId || task.id;
+      }
+
+      toolUses.splice(toolUses.indexOf(taskToolUse) + 1, 0, ...agentToolUses);
+      agent.toolResults.forEach((result, id) => toolResults.set(id, result));
+      agent.tasks.forEach((nestedTask, id) => tasks.set(id, nestedTask));
+    }
+
+    // Subagent work belongs to the prompt its Task was started for
+    const byId = new Map(toolUses.map(toolUse => [toolUse.toolUse.id, toolUse]));
+    for (const toolUse of toolUses) {
+      const taskToolUse = byId.get(toolUse.taskId);
+      if (taskToolUse) toolUse.promptId = taskToolUse.promptId;
+    }
+
+    // Agents can launch agents of their own
+    const depthOf = (task, seenTasks = new Set()) => {
+      const parent = tasks.get(byId.get(task.id)?.taskId);
+      if (!parent || seenTasks.has(parent.id)) return 1;
+      seenTasks.add(task.id);
+      return depthOf(parent, seenTasks) + 1;
+    };
+    for (const task of tasks.values()) {
+      task.depth = depthOf(task);
+    }
+
+    return { toolUses, toolResults, prompts, tasks };
+  }
+
+  /**
+   * Transcript a subagent wrote next to its session, if any. Claude Code
+   * keeps them in <session>/subagents/, older versions beside the session.
+   */
+  async findAgentTranscript(sessionFile, agentId) {
+    const projectDir = path.dirname(sessionFile);
+    const sessionId = path.basename(sessionFile, '.jsonl');
+    const candidates = [
+      path.join(projectDir, sessionId, 'subagents', `agent-${agentId}.jsonl`),
+      path.join(projectDir, `agent-${agentId}.jsonl`)
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next location
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Text of a prompt the user typed, or null if the entry is anything else:
+   * tool results, injected meta messages, compaction summaries, subagent
+   * conversations and interruption notices
+   */
+  getPromptText(entry) {
+    if (entry.type !== 'user' || !entry.uuid) return null;
+    if (entry.isMeta || entry.isCompactSummary || entry.isSidechain) return null;
     
-    return filteredOperations;
+    const content = entry.message?.content;
+    const text = typeof content === 'string'
+      ? content
+      : Array.isArray(content)
+        ? content.filter(c => c.type === 'text').map(c => c.text).join('\n')
+        : '';
+    
+    if (!text.trim() || /^\[Request interrupted/.test(text)) return null;
+    return text.trim();
   }
 
-  extractOperation(toolUse, timestamp) {
+  extractOperation(toolUse, timestamp, toolResult = null) {
     const { name, input } = toolUse;
     
     switch (name) {
       case 'Write':
         if (input.file_path) {
-          const op = new Operation(OperationType.FILE_CREATE, {
+          // Claude Code reports whether the Write created a file or replaced one
+          const type = toolResult?.type === 'update'
+            ? OperationType.FILE_OVERWRITE
+            : OperationType.FILE_CREATE;
+          const op = new Operation(type, {
             filePath: input.file_path,
-            content: input.content || ''
+            content: input.content || '',
+            ...this.extractSnapshot(toolUse, toolResult)
           });
           op.timestamp = new Date(timestamp);
           op.id = toolUse.id;
@@ -115,7 +394,8 @@ export class ClaudeSessionParser {
             // This will be handled differently in UndoManager
             oldString: input.old_string || '',
             newString: input.new_string || '',
-            replaceAll: input.replace_all || false
+            replaceAll: input.replace_all || false,
+            ...this.extractSnapshot(toolUse, toolResult)
           });
           op.timestamp = new Date(timestamp);
           op.id = toolUse.id;
@@ -129,7 +409,8 @@ export class ClaudeSessionParser {
           const op = new Operation(OperationType.FILE_EDIT, {
             filePath: input.file_path,
             edits: input.edits || [],
-            isMultiEdit: true
+            isMultiEdit: true,
+            ...this.extractSnapshot(toolUse, toolResult)
           });
           op.timestamp = new Date(timestamp);
           op.id = toolUse.id;
@@ -137,52 +418,22 @@ export class ClaudeSessionParser {
         }
         break;
 
-      case 'Bash':
-        if (input.command) {
-          const command = input.command;
-          
-          // Try to detect file operations in bash commands
-          if (command.includes('rm ') && !command.includes('rmdir')) {
-            const match = command.match(/rm\s+(?:-[rf]+\s+)?([^\s]+)/);
-            if (match) {
-              const op = new Operation(OperationType.FILE_DELETE, {
-                filePath: match[1],
-                content: '' // We can't recover content from session history
-              });
-              op.timestamp = new Date(timestamp);
-              op.id = toolUse.id;
-              return op;
-            }
-          } else if (command.includes('mv ')) {
-            const match = command.match(/mv\s+([^\s]+)\s+([^\s]+)/);
-            if (match) {
-              const op = new Operation(OperationType.FILE_RENAME, {
-                oldPath: match[1],
-                newPath: match[2]
-              });
-              op.timestamp = new Date(timestamp);
-              op.id = toolUse.id;
-              return op;
-            }
-          } else if (command.includes('mkdir')) {
-            const match = command.match(/mkdir\s+(?:-p\s+)?([^\s]+)/);
-            if (match) {
-              const op = new Operation(OperationType.DIRECTORY_CREATE, {
-                dirPath: match[1]
-              });
-              op.timestamp = new Date(timestamp);
-              op.id = toolUse.id;
-              return op;
-            }
-          } else {
-            // Generic bash command
-            const op = new Operation(OperationType.BASH_COMMAND, {
-              command: command
-            });
-            op.timestamp = new Date(timestamp);
-            op.id = toolUse.id;
-            return op;
-          }
+      case 'NotebookEdit':
+        if (input.notebook_path) {
+          const editMode = input.edit_mode || 'replace';
+          const op = new Operation(OperationType.NOTEBOOK_EDIT, {
+            filePath: input.notebook_path,
+            editMode,
+            // An insert goes after cell_id; the new cell's id comes back in the result
+            cellId: editMode === 'insert' ? (toolResult?.cell_id ?? null) : (input.cell_id ?? null),
+            anchorCellId: editMode === 'insert' ? (input.cell_id ?? null) : undefined,
+            cellType: input.cell_type ?? toolResult?.cell_type ?? null,
+            newSource: input.new_source ?? '',
+            ...this.extractNotebookSnapshot(input, toolResult)
+          });
+          op.timestamp = new Date(timestamp);
+          op.id = toolUse.id;
+          return op;
         }
         break;
     }
@@ -190,6 +441,164 @@ export class ClaudeSessionParser {
     return null;
   }
 
+  /**
+   * A Bash call can touch any number of files. Deletes, renames and
+   * directory changes become operations of their own; writes whose earlier
+   * content the session doesn't record, and parts of the command that
+   * can't be analyzed, stay on a bash_command operation so they still show.
+   * When the Bash snapshot hooks recorded the call, the files it changed in
+   * the project are on that operation instead (data.changes), undoable as
+   * one, and only effects outside the project come from the analysis.
+   * @param {string} cwd - Directory the command ran in, if the session recorded it
+   * @param {Object} snapshot - Changes recorded by the Bash snapshot hooks, if any
+   * @returns {Array} Operations in the order the command performs them
+   */
+  extractBashOperations(toolUse, timestamp, cwd = null, snapshot = null) {
+    const { command } = toolUse.input || {};
+    if (!command) return [];
+    
+    const analysis = analyzeCommand(command, { cwd });
+    const inSnapshot = (filePath) => snapshot && !path.relative(snapshot.root, filePath).startsWith('..');
+    const effects = analysis.effects.filter(effect =>
+      ![effect.path, effect.from, effect.to].some(p => p && inSnapshot(p)));
+    const unanalyzed = snapshot ? [] : analysis.unanalyzed;
+    const operations = [];
+    const otherEffects = [];
+    
+    for (const effect of effects) {
+      switch (effect.kind) {
+        case 'delete':
+          // rm -r on a path that isn't known to be a directory may well be a file
+          operations.push(effect.directory
+            ? new Operation(OperationType.DIRECTORY_DELETE, { dirPath: effect.path, recursive: true, command })
+            // We can't recover content from session history
+            : new Operation(OperationType.FILE_DELETE, { filePath: effect.path, content: '', command }));
+          break;
+        case 'rmdir':
+          operations.push(new Operation(OperationType.DIRECTORY_DELETE, { dirPath: effect.path, command }));
+          break;
+        case 'rename':
+          operations.push(new Operation(OperationType.FILE_RENAME, { oldPath: effect.from, newPath: effect.to, command }));
+          break;
+        case 'mkdir':
+          operations.push(new Operation(OperationType.DIRECTORY_CREATE, { dirPath: effect.path, command }));
+          break;
+        default:
+          otherEffects.push(effect);
+      }
+    }
+    
+    if (snapshot || operations.length === 0 || otherEffects.length > 0 || unanalyzed.length > 0) {
+      const commandOperation = new Operation(OperationType.BASH_COMMAND, {
+        command,
+        ...(snapshot && { root: snapshot.root, changes: snapshot.changes }),
+        ...(otherEffects.length > 0 && { effects: otherEffects }),
+        ...(unanalyzed.length > 0 && { unanalyzed })
+      });
+      // Recorded changes cover the whole command, so they come first
+      if (snapshot) {
+        operations.unshift(commandOperation);
+      } else {
+        operations.push(commandOperation);
+      }
+    }
+    
+    // A command that did one thing keeps the tool call's id, as it always has
+    operations.forEach((op, index) => {
+      op.timestamp = new Date(timestamp);
+      op.id = operations.length === 1 ? toolUse.id : `${toolUse.id}:${index + 1}`;
+    });
+    return operations;
+  }
+
+  /**
+   * The cell a NotebookEdit replaced or deleted, and where it was, from the
+   * notebook Claude Code saw before the edit (original_file in its result)
+   */
+  extractNotebookSnapshot(input, toolResult) {
+    if (typeof toolResult?.original_file !== 'string') return {};
+    
+    try {
+      const notebook = parseNotebook(toolResult.original_file);
+      const editMode = input.edit_mode || 'replace';
+      const index = findCellIndex(notebook, input.cell_id);
+      
+      if (editMode === 'insert') {
+        return { cellIndex: index + 1 };
+      }
+      if (index === -1) return {};
+      return { cellIndex: index, oldCell: notebook.cells[index] };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Build the before/after snapshot of a file from a tool_result payload.
+   * beforeContent is null when the file did not exist before the tool ran
+   * and is left out when the session does not record it.
+   */
+  extractSnapshot(toolUse, toolResult) {
+    const { name, input } = toolUse;
+    const snapshot = {};
+    
+    if (name === 'Write') {
+      // A Write always leaves exactly its content behind
+      snapshot.afterContent = input.content || '';
+      if (toolResult?.type === 'create') {
+        snapshot.beforeContent = null;
+      } else if (typeof toolResult?.originalFile === 'string') {
+        snapshot.beforeContent = toolResult.originalFile;
+      }
+    } else if (toolResult) {
+      const beforeContent = name === 'MultiEdit'
+        ? (toolResult.originalFileContents ?? toolResult.originalFile)
+        : toolResult.originalFile;
+      const afterContent = this.applyEdits(beforeContent, name === 'MultiEdit'
+        ? (input.edits || [])
+        : [{ old_string: input.old_string, new_string: input.new_string, replace_all: input.replace_all }]);
+      
+      if (afterContent === null) return {};
+      Object.assign(snapshot, { beforeContent, afterContent });
+    }
+    
+    if (Array.isArray(toolResult?.structuredPatch)) {
+      snapshot.structuredPatch = toolResult.structuredPatch;
+    }
+    if (typeof snapshot.afterContent === 'string') {
+      // Lets undo tell whether the file was changed by someone else afterwards
+      snapshot.afterHash = hashContent(snapshot.afterContent);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Replay Edit/MultiEdit string replacements the way Claude Code applies them.
+   * Returns null if an edit cannot be located in the content.
+   */
+  applyEdits(content, edits) {
+    if (typeof content !== 'string') return null;
+    
+    let result = content;
+    for (const edit of edits) {
+      const oldString = edit.old_string ?? '';
+      const newString = edit.new_string ?? '';
+      
+      if (oldString === '') {
+        // An empty old_string only makes sense when filling an empty file
+        if (result !== '') return null;
+        result = newString;
+      } else if (!result.includes(oldString)) {
+        return null;
+      } else if (edit.replace_all) {
+        result = result.split(oldString).join(newString);
+      } else {
+        result = result.replace(oldString, () => newString);
+      }
+    }
+    return result;
+  }
+
   async getAllSessions() {
     try {
       const projectDirs = await fs.readdir(this.claudeProjectsDir);
@@ -201,7 +610,7 @@ export class ClaudeSessionParser {
         
         if (stat.isDirectory()) {
           const files = await fs.readdir(fullPath);
-          const sessionFiles = files.filter(f => f.endsWith('.jsonl'));
+          const sessionFiles = files.filter(f => this.isSessionFile(f));
           
           for (const sessionFile of sessionFiles) {
             const sessionId = sessionFile.replace('.jsonl', '');
@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { OperationType } from './Operation.js';
+import { FileIdentity } from './FileIdentity.js';
+import { hashContent } from '../utils/hash.js';
+import { parseNotebook, getCellSource, findCellIndex } from '../utils/notebook.js';
+
+/**
+ * ConflictDetector finds files that changed after Claude last touched them.
+ * Operations record the hash of the file right after they ran; if the file
+ * on disk no longer matches the newest operation on it, someone else edited
+ * it and undoing operations on that file may clobber those edits.
+ */
+export class ConflictDetector {
+  /**
+   * Hash of the file content an operation left behind, if known.
+   * Snapshotted Bash commands record it per file.
+   */
+  static getAfterHash(operation, filePath = null) {
+    const { afterHash, afterContent, changes } = operation.data;
+    if (changes) {
+      const change = changes.find(change => path.resolve(change.path) === filePath);
+      return change?.after?.hash ?? null;
+    }
+    if (afterHash) return afterHash;
+    if (typeof afterContent === 'string') return hashContent(afterContent);
+    return null;
+  }
+
+  /**
+   * Check operations about to be undone against the files on disk. Files
+   * are followed through renames, so operations may come located or not.
+   * @param {Array} operations - Operations that will be undone
+   * @param {Array} activeOperations - Every operation not yet undone in the session
+   * @returns {Map} operationId -> { filePath, expectedHash, actualHash }
+   */
+  static async detect(operations, activeOperations = operations) {
+    const activeIds = new Set(activeOperations.map(operation => operation.id));
+    const sorted = [...activeOperations, ...operations.filter(operation => !activeIds.has(operation.id))]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const identity = new FileIdentity(sorted);
+
+    // The newest operation on each file decides what the file should contain
+    // now. Moving a file doesn't change what it holds.
+    const latestByFile = new Map(); // file id -> { operation, path } with the path the operation recorded
+    for (const operation of sorted) {
+      for (const entry of identity.getTouched(operation)) {
+        if (identity.renamed.get(operation.id) === entry.id) continue;
+        latestByFile.set(entry.id, { operation, path: entry.path });
+      }
+    }
+
+    const fileConflicts = new Map(); // file id -> conflict, or null when clean
+    const conflicts = new Map();
+
+    for (const operation of operations) {
+      if (operation.type === OperationType.NOTEBOOK_EDIT) {
+        const conflict = await this.checkNotebookCell(operation, sorted, identity);
+        if (conflict) conflicts.set(operation.id, conflict);
+        continue;
+      }
+      if (operation.type === OperationType.DIRECTORY_DELETE && operation.data.tree) {
+        const [conflictPath] = await this.checkTree(operation.data.dirPath, operation.data.tree);
+        if (conflictPath) {
+          conflicts.set(operation.id, { filePath: conflictPath, operationId: operation.id, expectedHash: null, actualHash: null });
+        }
+        continue;
+      }
+
+      for (const { id } of identity.getTouched(operation)) {
+        if (!fileConflicts.has(id)) {
+          fileConflicts.set(id, await this.checkFile(identity.getCurrentPath(id), latestByFile.get(id)));
+        }
+
+        const conflict = fileConflicts.get(id);
+        if (conflict && !conflicts.has(operation.id)) {
+          conflicts.set(operation.id, conflict);
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Paths of a deleted directory's recorded tree that now hold something
+   * else, which restoring the tree would replace
+   * @returns {Array} Absolute paths
+   */
+  static async checkTree(dirPath, tree) {
+    const conflicts = [];
+
+    for (const entry of tree) {
+      const target = path.join(dirPath, entry.path);
+      const stat = await fs.lstat(target).catch(() => null);
+      if (!stat) continue;
+
+      let same = false;
+      if (entry.type === 'directory') {
+        same = stat.isDirectory();
+      } else if (entry.type === 'symlink') {
+        same = stat.isSymbolicLink() && await fs.readlink(target) === entry.target;
+      } else if (stat.isFile() && entry.hash) {
+        same = hashContent(await fs.readFile(target)) === entry.hash;
+      }
+      if (!same) conflicts.push(target);
+    }
+    return conflicts;
+  }
+
+  /**
+   * Notebook edits are checked cell by cell, so running the notebook or
+   * editing other cells doesn't stand in the way of undoing one cell.
+   * The newest edit of the cell decides what its source should be now.
+   * @param {Array} operations - Operations in identity's replay, oldest first
+   */
+  static async checkNotebookCell(operation, operations, identity) {
+    const { cellId } = operation.data;
+    if (!cellId) return null;
+
+    const [{ id }] = identity.getTouched(operation);
+    const notebookPath = identity.getCurrentPath(id);
+    const latestOperation = operations
+      .filter(op => op.type === OperationType.NOTEBOOK_EDIT && op.data.cellId === cellId &&
+        identity.getTouched(op).some(entry => entry.id === id))
+      .pop();
+    if (latestOperation.data.editMode === 'delete') return null;
+
+    let cell = null;
+    try {
+      const notebook = parseNotebook(await fs.readFile(notebookPath, 'utf8'));
+      cell = notebook.cells[findCellIndex(notebook, cellId)] || null;
+    } catch (error) {
+      // A missing or unreadable notebook has no cell left to compare
+      if (error.code && error.code !== 'ENOENT') throw error;
+    }
+
+    const expectedHash = hashContent(latestOperation.data.newSource ?? '');
+    const actualHash = cell ? hashContent(getCellSource(cell)) : null;
+    if (actualHash === expectedHash) return null;
+
+    return {
+      filePath: notebookPath,
+      operationId: latestOperation.id,
+      cellId,
+      expectedHash,
+      actualHash
+    };
+  }
+
+  /**
+   * @param {Object} latest - { operation, path }: the newest operation on the file, and the path it recorded
+   */
+  static async checkFile(filePath, latest) {
+    if (!latest) return null;
+
+    const { operation: latestOperation } = latest;
+    const expectedHash = this.getAfterHash(latestOperation, latest.path);
+    if (!expectedHash) return null;
+
+    let actualHash = null;
+    try {
+      actualHash = hashContent(await fs.readFile(filePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (actualHash === expectedHash) return null;
+
+    return {
+      filePath,
+      operationId: latestOperation.id,
+      expectedHash,
+      actualHash
+    };
+  }
+}
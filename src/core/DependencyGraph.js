@@ -0,0 +1,205 @@
+import path from 'path';
+import { OperationType } from './Operation.js';
+import { FileIdentity } from './FileIdentity.js';
+import { createPatch, getChangedRanges } from '../utils/patch.js';
+
+const isInside = (child, parent) => {
+  const relative = path.relative(parent, child);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+const DIRECTORY_TYPES = [OperationType.DIRECTORY_CREATE, OperationType.DIRECTORY_DELETE];
+
+/**
+ * DependencyGraph works out which later operations have to be undone along
+ * with an earlier one. A later operation depends on an earlier one when it
+ * touches the same file, followed through renames, and the two changes
+ * can't be pulled apart: their line ranges overlap, either one replaces
+ * the whole file (so an edit to a file the earlier one created depends on
+ * it), they edit the same notebook cell, or one works inside a directory
+ * the other created or removed. Moving the file alone is no dependency, as
+ * undo follows it to its current location.
+ */
+export class DependencyGraph {
+  /**
+   * @param {Array} operations - The session's operations, oldest first
+   */
+  constructor(operations) {
+    this.operations = [...operations];
+    this.index = new Map(operations.map((operation, index) => [operation.id, index]));
+    this.identity = new FileIdentity(operations);
+  }
+
+  /**
+   * What an operation changed in a file: line ranges when its before and
+   * after content (or Claude Code's structuredPatch) are known, the cell
+   * of a notebook edit, the strings of an edit with nothing else recorded,
+   * and otherwise the whole file
+   */
+  static getChange(operation) {
+    const { beforeContent, afterContent, structuredPatch, originalContent, edits, oldString, newString, cellId } = operation.data;
+
+    if (operation.type === OperationType.NOTEBOOK_EDIT) {
+      return cellId ? { cellId } : { wholeFile: true };
+    }
+    if (operation.type !== OperationType.FILE_EDIT) {
+      return { wholeFile: true };
+    }
+    if (typeof beforeContent === 'string' && typeof afterContent === 'string') {
+      return { ranges: getChangedRanges(createPatch(beforeContent, afterContent, 0)) };
+    }
+    if (Array.isArray(structuredPatch) && structuredPatch.length > 0) {
+      return { ranges: getChangedRanges(structuredPatch) };
+    }
+    if (originalContent) {
+      // Older local tracking kept only the original, which undo writes back whole
+      return { wholeFile: true };
+    }
+
+    const replacements = edits || [{ old_string: oldString, new_string: newString }];
+    return {
+      strings: {
+        removed: replacements.map(edit => edit.old_string ?? ''),
+        added: replacements.map(edit => edit.new_string ?? '')
+      }
+    };
+  }
+
+  /**
+   * Later operations that depend directly on the given one
+   * @returns {Array} Operations, oldest first
+   */
+  getDependents(operation) {
+    const start = this.index.get(operation.id);
+    const dependents = new Set();
+
+    for (const { id } of this.identity.getTouched(operation)) {
+      this.collectFileDependents(operation, id, start, dependents);
+    }
+
+    return this.operations.filter(candidate => dependents.has(candidate));
+  }
+
+  /**
+   * Walk the operations after start, keeping track of where the earlier
+   * operation's change sits in the file as later edits move it around
+   */
+  collectFileDependents(operation, id, start, dependents) {
+    const change = DependencyGraph.getChange(operation);
+    let ranges = change.ranges?.map(range => ({ start: range.newStart, end: range.newEnd })) ?? null;
+
+    for (let index = start + 1; index < this.operations.length; index++) {
+      const later = this.operations[index];
+      const touched = this.identity.getTouched(later);
+      const filePath = this.identity.getPathAt(id, index);
+
+      // Removing or moving a directory the file is in, or working inside
+      // a directory the operation created or removed
+      const ancestor = touched.some(entry => isInside(filePath, entry.path));
+      const within = DIRECTORY_TYPES.includes(operation.type) && touched.some(entry => isInside(entry.path, filePath));
+      if (ancestor || within) {
+        dependents.add(later);
+        continue;
+      }
+      if (!touched.some(entry => entry.id === id)) continue;
+
+      const laterChange = DependencyGraph.getChange(later);
+      if (change.wholeFile) {
+        dependents.add(later);
+        continue;
+      }
+      if (later.type === OperationType.FILE_RENAME && this.identity.renamed.get(later.id) === id) {
+        // Just moved: undo finds the file where it is now
+        continue;
+      }
+      if (laterChange.wholeFile) {
+        // Whatever comes after builds on the new content, so depends on this one instead
+        dependents.add(later);
+        return;
+      }
+
+      if (change.cellId || laterChange.cellId) {
+        if (change.cellId === laterChange.cellId || !change.cellId || !laterChange.cellId) {
+          dependents.add(later);
+        }
+        continue;
+      }
+
+      if (ranges && laterChange.ranges) {
+        if (this.overlaps(ranges, laterChange.ranges)) {
+          dependents.add(later);
+        }
+        ranges = this.shiftRanges(ranges, laterChange.ranges);
+        continue;
+      }
+
+      // An edit recorded only as strings: compare text, as positions are unknown
+      if (this.sharesText(change, laterChange)) {
+        dependents.add(later);
+      }
+      ranges = null;
+    }
+  }
+
+  /**
+   * Whether later changes touch or border the tracked ranges. Bordering
+   * counts, since the revert patch needs the lines next to its change.
+   */
+  overlaps(ranges, changes) {
+    return changes.some(changed => ranges.some(range =>
+      changed.oldStart <= range.end && range.start <= changed.oldEnd));
+  }
+
+  /**
+   * Move the tracked ranges to where they are after the later changes,
+   * growing them over any change that overlaps them
+   */
+  shiftRanges(ranges, changes) {
+    const shift = (line) => line + changes
+      .filter(changed => changed.oldEnd <= line && changed.oldStart < line)
+      .reduce((total, changed) => total + (changed.newEnd - changed.newStart) - (changed.oldEnd - changed.oldStart), 0);
+
+    return ranges.map(range => {
+      let start = shift(range.start);
+      let end = Math.max(start, shift(range.end));
+      for (const changed of changes) {
+        if (changed.oldStart <= range.end && range.start <= changed.oldEnd) {
+          start = Math.min(start, changed.newStart);
+          end = Math.max(end, changed.newEnd);
+        }
+      }
+      return { start, end };
+    });
+  }
+
+  /**
+   * Whether a later edit works on lines the earlier one wrote
+   */
+  sharesText(change, laterChange) {
+    const linesOf = (texts) => new Set(texts.flatMap(text => text.split('\n')).map(line => line.trim()).filter(Boolean));
+    const written = linesOf(change.strings?.added ?? change.ranges?.flatMap(range => range.added) ?? []);
+    const replaced = linesOf(laterChange.strings?.removed ?? laterChange.ranges?.flatMap(range => range.removed) ?? []);
+
+    return [...replaced].some(line => written.has(line));
+  }
+
+  /**
+   * The operation and every later one that has to be undone with it
+   * @returns {Array} Operations, most recent first, ready to undo in order
+   */
+  getUndoSet(operation) {
+    const included = new Set([operation]);
+    const pending = [operation];
+
+    while (pending.length > 0) {
+      for (const dependent of this.getDependents(pending.shift())) {
+        if (!included.has(dependent)) {
+          included.add(dependent);
+          pending.push(dependent);
+        }
+      }
+    }
+
+    return this.operations.filter(candidate => included.has(candidate)).reverse();
+  }
+}
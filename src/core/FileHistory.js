@@ -0,0 +1,160 @@
+import path from 'path';
+import { OperationType } from './Operation.js';
+import { FileIdentity } from './FileIdentity.js';
+import { SnapshotStore } from './SnapshotStore.js';
+import { ClaudeSessionParser } from './ClaudeSessionParser.js';
+import { createPatch } from '../utils/patch.js';
+
+/**
+ * FileHistory rebuilds the content of one file after each operation that
+ * touched it, from what the operations recorded and the Bash snapshots
+ * ccundo keeps. Revision 0 is the file before the first of them.
+ * Content is a string, null where the file did not exist, or undefined
+ * where nothing recorded it.
+ */
+export class FileHistory {
+  /**
+   * @param {Array} operations - Operations oldest first, undone ones included
+   */
+  constructor(operations = []) {
+    this.operations = operations;
+    this.identity = new FileIdentity(operations);
+    this.snapshotStore = new SnapshotStore();
+    this.parser = new ClaudeSessionParser();
+  }
+
+  /**
+   * Id of the file that is, or was at some point, at filePath. Of the
+   * files that were there, the one that got there last, so a file renamed
+   * there and later away wins over what was at the path before it.
+   */
+  findFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (this.identity.byPath.has(resolved)) {
+      return this.identity.byPath.get(resolved);
+    }
+
+    const arrivals = [...this.identity.history].flatMap(([id, moves]) => moves
+      .filter(move => move.path === resolved)
+      .map(move => ({ id, index: move.index })));
+    arrivals.sort((a, b) => a.index - b.index);
+    return arrivals.length > 0 ? arrivals[arrivals.length - 1].id : null;
+  }
+
+  /**
+   * Every revision of the file, oldest first
+   * @returns {Array} { number, operation, path, before, after, added, removed }
+   */
+  async getRevisions(filePath) {
+    const id = this.findFile(filePath);
+    if (id === null) return [];
+
+    const revisions = [];
+    let content;
+
+    for (const [index, operation] of this.operations.entries()) {
+      if (!this.identity.getTouched(operation).some(entry => entry.id === id)) continue;
+
+      const { before, after } = await this.replay(operation, id, index, content);
+      if (revisions.length === 0) {
+        revisions.push({ number: 0, operation: null, path: this.identity.getPathAt(id, index), after: before });
+      }
+
+      revisions.push({
+        number: revisions.length,
+        operation,
+        path: this.identity.getPathAt(id, index + 1),
+        before,
+        after,
+        ...this.countLines(before, after)
+      });
+      content = after;
+    }
+
+    return revisions;
+  }
+
+  /**
+   * What the file held before and after an operation. Content the
+   * operation recorded wins over what the replay so far worked out, as
+   * the file may have been changed in between.
+   * @param {number} index - Position of the operation in the replay
+   */
+  async replay(operation, id, index, content) {
+    const data = operation.data;
+    const filePath = this.identity.getPathAt(id, index);
+    const recorded = value => typeof value === 'string' ? value : undefined;
+
+    switch (operation.type) {
+      case OperationType.FILE_CREATE:
+        return { before: null, after: recorded(data.afterContent) ?? data.content };
+
+      case OperationType.FILE_OVERWRITE: {
+        const before = data.beforeContent !== undefined ? data.beforeContent : content;
+        return { before, after: recorded(data.afterContent) ?? data.content };
+      }
+
+      case OperationType.FILE_EDIT:
+      case OperationType.NOTEBOOK_EDIT: {
+        const before = recorded(data.beforeContent) ?? recorded(data.originalContent) ?? content;
+        if (data.afterContent !== undefined || operation.type === OperationType.NOTEBOOK_EDIT) {
+          return { before, after: recorded(data.afterContent) };
+        }
+        const edits = data.isMultiEdit
+          ? data.edits
+          : [{ old_string: data.oldString, new_string: data.newString, replace_all: data.replaceAll }];
+        return { before, after: this.parser.applyEdits(before, edits) ?? undefined };
+      }
+
+      case OperationType.FILE_DELETE:
+        // Only local tracking keeps what was deleted, along with a pre-image
+        return { before: data.preImage ? data.content : content, after: null };
+
+      case OperationType.FILE_RENAME:
+        // Either the file moved, or another one was moved over it
+        return { before: content, after: this.identity.renamed.get(operation.id) === id ? content : null };
+
+      case OperationType.DIRECTORY_DELETE:
+        return { before: content, after: null };
+
+      case OperationType.BASH_COMMAND: {
+        const change = (data.changes || []).find(change => path.resolve(change.path) === filePath);
+        if (!change) return { before: content, after: undefined };
+        return { before: await this.readSnapshot(change.before), after: await this.readSnapshot(change.after) };
+      }
+
+      default:
+        return { before: content, after: content };
+    }
+  }
+
+  /**
+   * Content of a Bash snapshot entry: null for a missing file, undefined
+   * for one too large to keep or whose backup is gone
+   */
+  async readSnapshot(entry) {
+    if (!entry) return null;
+    if (!entry.hash) return undefined;
+    try {
+      return await this.snapshotStore.read(entry, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Lines added and removed going from one content to another, null
+   * where either side is unknown
+   */
+  countLines(before, after) {
+    if (before === undefined || after === undefined) {
+      return { added: null, removed: null };
+    }
+    const lines = createPatch(before ?? '', after ?? '', 0).flatMap(hunk => hunk.lines);
+    return {
+      added: lines.filter(line => line[0] === '+').length,
+      removed: lines.filter(line => line[0] === '-').length
+    };
+  }
+}
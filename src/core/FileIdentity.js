@@ -0,0 +1,165 @@
+import path from 'path';
+import { Operation, OperationType } from './Operation.js';
+
+/**
+ * FileIdentity follows files through renames. Replaying a session's
+ * operations in order gives each path an operation touched an id that
+ * stays the same when the file is moved, so a.js and the b.js it was
+ * later renamed to are recognised as one file.
+ */
+export class FileIdentity {
+  /**
+   * @param {Array} operations - Operations oldest first
+   */
+  constructor(operations = []) {
+    this.byPath = new Map(); // path now -> id
+    this.history = new Map(); // id -> [{ path, index, operationId }] for each place the file has been
+    this.touched = new Map(); // operation id -> [{ path, id }]
+    this.renamed = new Map(); // rename operation id -> id of the file it moved
+    this.index = new Map(); // operation id -> position in the replay
+    this.nextId = 1;
+
+    operations.forEach((operation, index) => this.replay(operation, index));
+  }
+
+  /**
+   * Id of the file at a path as of the operations replayed so far
+   */
+  resolve(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!this.byPath.has(resolved)) {
+      const id = this.nextId++;
+      this.byPath.set(resolved, id);
+      this.history.set(id, [{ path: resolved, index: -1, operationId: null }]);
+    }
+    return this.byPath.get(resolved);
+  }
+
+  replay(operation, index) {
+    this.index.set(operation.id, index);
+    this.touched.set(operation.id, operation.getAffectedPaths()
+      .map(filePath => ({ path: path.resolve(filePath), id: this.resolve(filePath) })));
+
+    if (operation.type === OperationType.FILE_RENAME) {
+      this.renamed.set(operation.id, this.resolve(operation.data.oldPath));
+      this.move(operation.data.oldPath, operation.data.newPath, index, operation.id);
+    }
+  }
+
+  /**
+   * Move a file, or a directory and everything known under it
+   */
+  move(oldPath, newPath, index, operationId) {
+    const from = path.resolve(oldPath);
+    const to = path.resolve(newPath);
+
+    for (const [filePath, id] of [...this.byPath]) {
+      if (filePath !== from && !filePath.startsWith(from + path.sep)) continue;
+
+      const moved = to + filePath.slice(from.length);
+      this.byPath.delete(filePath);
+      this.byPath.set(moved, id);
+      this.history.get(id).push({ path: moved, index, operationId });
+    }
+  }
+
+  /**
+   * Paths an operation touched, each with the id of the file there
+   * @returns {Array} { path, id }
+   */
+  getTouched(operation) {
+    return this.touched.get(operation.id) || [];
+  }
+
+  /**
+   * Where the file was when the operation at index ran
+   */
+  getPathAt(id, index) {
+    const moves = this.history.get(id) || [];
+    return [...moves].reverse().find(move => move.index < index)?.path ?? null;
+  }
+
+  /**
+   * Every path the file has had, oldest first
+   */
+  getPaths(id) {
+    return (this.history.get(id) || []).map(move => move.path);
+  }
+
+  /**
+   * Whether an operation touched a path that passes test, or a file that
+   * has passed it under any of its names
+   * @param {Function} test - filePath => boolean
+   */
+  touches(operation, test) {
+    return this.getTouched(operation).some(entry =>
+      test(entry.path) || this.getPaths(entry.id).some(test));
+  }
+
+  /**
+   * Paths the operation touched whose file never had a name that passes
+   * the test
+   */
+  getPathsOutside(operation, test) {
+    return this.getTouched(operation)
+      .filter(entry => !test(entry.path) && !this.getPaths(entry.id).some(test))
+      .map(entry => entry.path);
+  }
+
+  /**
+   * Where the file is after every replayed operation
+   */
+  getCurrentPath(id) {
+    const moves = this.history.get(id) || [];
+    return moves[moves.length - 1]?.path ?? null;
+  }
+
+  /**
+   * A copy of the operation with its paths moved to where the files are
+   * now, following the renames after it. Renames in skip are left out:
+   * they are undone, or will be before this operation is.
+   * @param {Set} skip - Ids of operations that are not in effect
+   */
+  locate(operation, skip = new Set()) {
+    const index = this.index.get(operation.id);
+    if (index === undefined) return operation;
+
+    const follow = (id, filePath) => {
+      const moves = (this.history.get(id) || [])
+        .filter(move => move.index > index && !skip.has(move.operationId));
+      return moves.length > 0 ? moves[moves.length - 1].path : filePath;
+    };
+    const locatePath = (filePath) => {
+      const entry = filePath && this.getTouched(operation).find(entry => entry.path === path.resolve(filePath));
+      return entry ? follow(entry.id, filePath) : filePath;
+    };
+
+    const { filePath, dirPath, oldPath, newPath, changes } = operation.data;
+    const data = { ...operation.data };
+    if (filePath) data.filePath = locatePath(filePath);
+    if (dirPath) data.dirPath = locatePath(dirPath);
+    if (operation.type === OperationType.FILE_RENAME) {
+      // Undoing puts the file back at oldPath, from wherever it went after newPath
+      data.newPath = follow(this.renamed.get(operation.id), newPath);
+    } else {
+      if (oldPath) data.oldPath = locatePath(oldPath);
+      if (newPath) data.newPath = locatePath(newPath);
+    }
+    if (changes) data.changes = changes.map(change => ({ ...change, path: locatePath(change.path) }));
+
+    const moved = ['filePath', 'dirPath', 'oldPath', 'newPath'].some(key => data[key] !== operation.data[key]) ||
+      (changes || []).some((change, i) => change.path !== data.changes[i].path);
+    if (!moved) return operation;
+
+    return Operation.fromJSON({ ...operation.toJSON(), data });
+  }
+
+  /**
+   * Locate operations that are about to be undone or redone. By default
+   * the operations themselves are taken as not in effect, which holds
+   * for undo: later ones are undone first.
+   */
+  locateAll(operations, skip = new Set(operations.map(operation => operation.id))) {
+    return operations.map(operation => this.locate(operation, skip));
+  }
+}
@@ -0,0 +1,297 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { SnapshotStore } from './SnapshotStore.js';
+import { UndoTracker } from './UndoTracker.js';
+import { TurnManager } from './TurnManager.js';
+import { ClaudeSessionParser } from './ClaudeSessionParser.js';
+import { BashSnapshot } from './BashSnapshot.js';
+
+/**
+ * GarbageCollector prunes backups, undo records and turn data that ccundo
+ * no longer needs. It first builds a plan that can be reported as a dry
+ * run, then applies it.
+ */
+export class GarbageCollector {
+  /**
+   * @param {Object} options - { snapshotStore, bashSnapshot } to collect somewhere other than ~/.ccundo
+   */
+  constructor(options = {}) {
+    this.snapshotStore = options.snapshotStore || new SnapshotStore();
+    this.undoTracker = new UndoTracker();
+    this.turnManager = new TurnManager();
+    this.parser = new ClaudeSessionParser();
+    this.bashSnapshot = options.bashSnapshot || new BashSnapshot({ snapshotStore: this.snapshotStore });
+    this.legacyBackupDir = path.join(os.homedir(), '.ccundo', 'backups');
+  }
+
+  async init() {
+    await this.snapshotStore.init();
+    await this.undoTracker.init();
+    await this.turnManager.init();
+  }
+
+  /**
+   * Work out what would be removed
+   * @param {Object} policy - { maxAgeMs, maxSizeBytes, keepPerSession }
+   * @returns {Object} Plan describing every entry to remove and the bytes freed
+   */
+  async plan(policy = {}) {
+    const { maxAgeMs = null, maxSizeBytes = null, keepPerSession = null } = policy;
+    const now = Date.now();
+    const sessionExists = await this.createSessionCheck();
+
+    // Snapshots: orphaned, then too old, then beyond the per-session limit
+    const manifest = await this.snapshotStore.loadManifest();
+    const removeIds = new Set();
+    const reasons = new Map(); // snapshot id -> why it is removed
+
+    const markSnapshot = (entry, reason) => {
+      if (!removeIds.has(entry.id)) {
+        removeIds.add(entry.id);
+        reasons.set(entry.id, reason);
+      }
+    };
+
+    for (const entry of manifest.snapshots) {
+      if (entry.session && !(await sessionExists(entry.session))) {
+        markSnapshot(entry, 'orphaned');
+      } else if (maxAgeMs !== null && now - new Date(entry.createdAt) > maxAgeMs) {
+        markSnapshot(entry, 'expired');
+      }
+    }
+
+    if (keepPerSession !== null) {
+      const bySession = new Map();
+      for (const entry of manifest.snapshots) {
+        if (removeIds.has(entry.id)) continue;
+        const key = entry.session || '';
+        if (!bySession.has(key)) bySession.set(key, []);
+        bySession.get(key).push(entry);
+      }
+      for (const entries of bySession.values()) {
+        entries
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(keepPerSession)
+          .forEach(entry => markSnapshot(entry, 'over-limit'));
+      }
+    }
+
+    // Legacy flat backups only have their mtime to go by
+    const legacyBackups = await this.listLegacyBackups();
+    const removeLegacy = new Set(legacyBackups
+      .filter(backup => maxAgeMs !== null && now - backup.mtime > maxAgeMs)
+      .map(backup => backup.path));
+
+    // Size budget: drop the oldest remaining snapshots until everything fits
+    const objectSizes = await this.listObjects();
+    if (maxSizeBytes !== null) {
+      const remaining = manifest.snapshots
+        .filter(entry => !removeIds.has(entry.id))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      const remainingLegacy = legacyBackups
+        .filter(backup => !removeLegacy.has(backup.path))
+        .sort((a, b) => a.mtime - b.mtime);
+
+      // Shared blobs only count once, so track how many snapshots use each
+      const refCounts = new Map();
+      for (const entry of remaining) {
+        refCounts.set(entry.hash, (refCounts.get(entry.hash) || 0) + 1);
+      }
+      let totalSize = remainingLegacy.reduce((sum, backup) => sum + backup.size, 0);
+      for (const hash of refCounts.keys()) {
+        totalSize += objectSizes.get(hash) || 0;
+      }
+
+      while (totalSize > maxSizeBytes && (remaining.length > 0 || remainingLegacy.length > 0)) {
+        const oldestSnapshot = remaining[0];
+        const oldestLegacy = remainingLegacy[0];
+        if (oldestLegacy && (!oldestSnapshot || oldestLegacy.mtime < new Date(oldestSnapshot.createdAt))) {
+          const backup = remainingLegacy.shift();
+          removeLegacy.add(backup.path);
+          totalSize -= backup.size;
+        } else {
+          const entry = remaining.shift();
+          markSnapshot(entry, 'over-size');
+          refCounts.set(entry.hash, refCounts.get(entry.hash) - 1);
+          if (refCounts.get(entry.hash) === 0) {
+            totalSize -= objectSizes.get(entry.hash) || 0;
+          }
+        }
+      }
+    }
+
+    // Blobs no remaining snapshot points to can go, except the current
+    // content of files in projects whose Bash commands are snapshotted
+    const keptHashes = new Set(manifest.snapshots
+      .filter(entry => !removeIds.has(entry.id))
+      .map(entry => entry.hash));
+    (await this.bashSnapshot.listIndexedHashes()).forEach(hash => keptHashes.add(hash));
+    const objects = [...objectSizes.entries()]
+      .filter(([hash]) => !keptHashes.has(hash))
+      .map(([hash, size]) => ({ hash, size }));
+
+    // Undo records for session files that are gone
+    const undoneOps = await this.undoTracker.getUndoneOperations();
+    const undoRecords = [];
+    for (const [sessionFile, ids] of Object.entries(undoneOps)) {
+      if (!(await sessionExists(sessionFile))) {
+        undoRecords.push({ sessionFile, count: ids.length });
+      }
+    }
+
+    // Bash snapshot records of deleted sessions
+    const bashRecords = [];
+    for (const records of await this.bashSnapshot.listRecordFiles()) {
+      if (!(await sessionExists(records.session))) {
+        bashRecords.push(records);
+      }
+    }
+
+    // Turns of deleted sessions, and turns whose operations are no longer in their session
+    const turns = [];
+    for (const sessionFile of await this.turnManager.listSessions()) {
+      const exists = await sessionExists(sessionFile);
+      const knownOperationIds = exists ? await this.collectOperationIds(sessionFile) : new Set();
+      const turnManager = new TurnManager({ session: sessionFile });
+      await turnManager.loadTurns();
+
+      turns.push(...turnManager.getAllTurns()
+        .filter(turn => !turn.operations.some(id => knownOperationIds.has(id)))
+        .map(turn => ({
+          id: turn.id,
+          description: turn.description,
+          operations: turn.operations.length,
+          sessionFile,
+          sessionDeleted: !exists
+        })));
+    }
+
+    const snapshots = manifest.snapshots
+      .filter(entry => removeIds.has(entry.id))
+      .map(entry => ({ ...entry, gcReason: reasons.get(entry.id) }));
+    const legacy = legacyBackups.filter(backup => removeLegacy.has(backup.path));
+
+    return {
+      snapshots,
+      objects,
+      legacyBackups: legacy,
+      undoRecords,
+      bashRecords,
+      turns,
+      freedBytes: objects.reduce((sum, object) => sum + object.size, 0) +
+        legacy.reduce((sum, backup) => sum + backup.size, 0)
+    };
+  }
+
+  /**
+   * Remove everything listed in a plan
+   */
+  async apply(plan) {
+    if (plan.snapshots.length > 0) {
+      const removeIds = new Set(plan.snapshots.map(entry => entry.id));
+      await this.snapshotStore.updateManifest(manifest => {
+        manifest.snapshots = manifest.snapshots.filter(entry => !removeIds.has(entry.id));
+      });
+    }
+
+    // A snapshot taken since planning may have started using a blob again
+    const { snapshots } = await this.snapshotStore.loadManifest();
+    const referenced = new Set(snapshots.map(entry => entry.hash));
+    (await this.bashSnapshot.listIndexedHashes()).forEach(hash => referenced.add(hash));
+    for (const { hash } of plan.objects) {
+      if (!referenced.has(hash)) {
+        await fs.rm(this.snapshotStore.getObjectPath(hash), { force: true });
+      }
+    }
+
+    for (const backup of plan.legacyBackups) {
+      await fs.rm(backup.path, { force: true });
+    }
+
+    if (plan.undoRecords.length > 0) {
+      await this.undoTracker.removeSessions(plan.undoRecords.map(record => record.sessionFile));
+    }
+
+    for (const records of plan.bashRecords) {
+      await fs.rm(records.file, { force: true });
+      await fs.rm(`${records.file}.bak`, { force: true });
+    }
+
+    const turnsBySession = new Map();
+    for (const turn of plan.turns) {
+      if (!turnsBySession.has(turn.sessionFile)) turnsBySession.set(turn.sessionFile, []);
+      turnsBySession.get(turn.sessionFile).push(turn);
+    }
+    for (const [sessionFile, turns] of turnsBySession) {
+      const turnManager = new TurnManager({ session: sessionFile });
+      if (turns[0].sessionDeleted) {
+        // Nothing can be grouped for a deleted session again
+        await fs.rm(turnManager.turnsFile, { force: true });
+        await fs.rm(`${turnManager.turnsFile}.bak`, { force: true });
+      } else {
+        await turnManager.loadTurns();
+        await turnManager.removeTurns(turns.map(turn => turn.id));
+      }
+    }
+
+    return {
+      success: true,
+      message: `Removed ${plan.snapshots.length} snapshots, ${plan.legacyBackups.length} legacy backups, ` +
+        `${plan.undoRecords.length} undo records, ${plan.bashRecords.length} Bash snapshot records and ${plan.turns.length} turns`
+    };
+  }
+
+  /**
+   * Memoized check for whether a Claude Code session file still exists
+   */
+  async createSessionCheck() {
+    const cache = new Map();
+    return async (sessionFile) => {
+      if (!cache.has(sessionFile)) {
+        cache.set(sessionFile, await fs.access(sessionFile).then(() => true).catch(() => false));
+      }
+      return cache.get(sessionFile);
+    };
+  }
+
+  async collectOperationIds(sessionFile) {
+    const operations = await this.parser.readSessionOperations(sessionFile);
+    return new Set(operations.map(op => op.id));
+  }
+
+  async listObjects() {
+    const sizes = new Map(); // hash -> size
+    let prefixes = [];
+    try {
+      prefixes = await fs.readdir(this.snapshotStore.objectsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const prefix of prefixes) {
+      const dir = path.join(this.snapshotStore.objectsDir, prefix);
+      for (const rest of await fs.readdir(dir)) {
+        // Skip anything that isn't a blob, like a temp file from an interrupted write
+        if (!/^[0-9a-f]{62}$/.test(rest)) continue;
+        const stat = await fs.stat(path.join(dir, rest));
+        sizes.set(prefix + rest, stat.size);
+      }
+    }
+    return sizes;
+  }
+
+  async listLegacyBackups() {
+    try {
+      const files = await fs.readdir(this.legacyBackupDir);
+      return await Promise.all(files.map(async file => {
+        const filePath = path.join(this.legacyBackupDir, file);
+        const stat = await fs.stat(filePath);
+        return { path: filePath, size: stat.size, mtime: stat.mtime };
+      }));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { SnapshotStore } from './SnapshotStore.js';
+import { writeFileAtomic } from '../utils/state.js';
+
+const SRC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TRACKER_SCRIPT = path.join(SRC_DIR, 'hooks', 'claude-tracker.js');
+const CLI_SCRIPT = path.join(SRC_DIR, '..', 'bin', 'ccundo.js');
+const TRACKED_TOOLS = 'Write|Edit|MultiEdit|NotebookEdit|Bash';
+
+/**
+ * HookInstaller adds ccundo's hooks to a Claude Code settings file, and
+ * takes them out again, leaving every other hook and setting as it was.
+ * The file is backed up to the snapshot store before each change.
+ */
+export class HookInstaller {
+  constructor(options = {}) {
+    this.projectDir = options.projectDir || process.cwd();
+    this.userDir = options.userDir || path.join(os.homedir(), '.claude');
+    this.trackerScript = options.trackerScript || path.resolve(TRACKER_SCRIPT);
+    // Run by path like the tracker, as ccundo needn't be on the hook runner's PATH (npx, a checkout)
+    this.cliScript = options.cliScript || path.resolve(CLI_SCRIPT);
+    this.snapshotStore = options.snapshotStore || new SnapshotStore();
+  }
+
+  /**
+   * Settings file for a scope: 'local' (.claude/settings.local.json, not
+   * committed), 'project' (.claude/settings.json, shared) or 'user'.
+   * The tracker hook names this machine's copy of ccundo, so it belongs
+   * in a file that isn't shared by default.
+   */
+  getSettingsFile(scope = 'local') {
+    switch (scope) {
+      case 'project':
+        return path.join(this.projectDir, '.claude', 'settings.json');
+      case 'local':
+        return path.join(this.projectDir, '.claude', 'settings.local.json');
+      case 'user':
+        return path.join(this.userDir, 'settings.json');
+      default:
+        throw new Error(`Unknown settings scope: ${scope} (use project, local or user)`);
+    }
+  }
+
+  /**
+   * The hooks ccundo needs: the tracker sees each file change before it
+   * happens, and Bash snapshots scan the project around each command
+   * @returns {Array} { event, matcher, command }
+   */
+  getHooks({ bashSnapshots = true } = {}) {
+    const hooks = [{ event: 'PreToolUse', matcher: TRACKED_TOOLS, command: `node "${this.trackerScript}"` }];
+    if (bashSnapshots) {
+      const command = `node "${this.cliScript}" bash-snapshot`;
+      hooks.push(
+        { event: 'PreToolUse', matcher: 'Bash', command },
+        { event: 'PostToolUse', matcher: 'Bash', command }
+      );
+    }
+    return hooks;
+  }
+
+  /**
+   * Which of ccundo's hooks a command is ('tracker' or 'bash-snapshot'),
+   * including ones installed from another location or, for Bash
+   * snapshots, by the ccundo command on the PATH; null for others
+   */
+  getKind(command = '') {
+    const trimmed = command.trim();
+    if (/claude-tracker\.js"?$/.test(trimmed)) return 'tracker';
+    if (/(^ccundo|ccundo\.js"?) bash-snapshot$/.test(trimmed)) return 'bash-snapshot';
+    return null;
+  }
+
+  isOwnCommand(command) {
+    return this.getKind(command) !== null;
+  }
+
+  async readSettings(file) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON (${error.message}); fix it before changing hooks`);
+    }
+  }
+
+  /**
+   * Back up the settings file (if there is one) and write the new settings
+   */
+  async writeSettings(file, settings, existed) {
+    let backup = null;
+    if (existed) {
+      await this.snapshotStore.init();
+      backup = await this.snapshotStore.saveFile(file, { reason: 'settings' });
+    }
+
+    // An interrupted write must not leave Claude Code with truncated settings
+    await writeFileAtomic(file, JSON.stringify(settings, null, 2) + '\n');
+    return backup ? { snapshotId: backup.id, backupPath: backup.objectPath } : {};
+  }
+
+  /**
+   * Merge ccundo's hooks into a settings file. Other hooks are left alone;
+   * ccundo's own hooks from an older install are brought up to date.
+   */
+  async install(scope = 'local', options = {}) {
+    const file = this.getSettingsFile(scope);
+    const existing = await this.readSettings(file);
+    const settings = existing || {};
+    settings.hooks = settings.hooks || {};
+
+    let added = 0;
+    for (const { event, matcher, command } of this.getHooks(options)) {
+      const groups = settings.hooks[event] = settings.hooks[event] || [];
+      const kind = this.getKind(command);
+      const sameKind = groups.filter(group => (group.hooks || []).some(hook => this.getKind(hook.command) === kind));
+
+      if (sameKind.length === 1 && sameKind[0].matcher === matcher &&
+          sameKind[0].hooks.filter(hook => this.getKind(hook.command) === kind).every(hook => hook.command === command)) {
+        continue;
+      }
+
+      // Replace hooks left by an older install (another path or matcher)
+      for (const group of sameKind) {
+        group.hooks = group.hooks.filter(hook => this.getKind(hook.command) !== kind);
+      }
+      settings.hooks[event] = groups.filter(group => !sameKind.includes(group) || group.hooks.length > 0);
+
+      const group = settings.hooks[event].find(group => group.matcher === matcher);
+      if (group) {
+        group.hooks = [...(group.hooks || []), { type: 'command', command }];
+      } else {
+        settings.hooks[event].push({ matcher, hooks: [{ type: 'command', command }] });
+      }
+      added++;
+    }
+
+    if (added === 0) {
+      return { success: true, message: `ccundo hooks are already installed in ${file}` };
+    }
+
+    const backup = await this.writeSettings(file, settings, existing !== null);
+    return {
+      success: true,
+      message: `Installed ${added} ccundo hook(s) in ${file}`,
+      ...backup
+    };
+  }
+
+  /**
+   * Take ccundo's hooks out of a settings file, dropping matcher groups and
+   * events that end up empty
+   */
+  async uninstall(scope = 'local') {
+    const file = this.getSettingsFile(scope);
+    const settings = await this.readSettings(file);
+    if (!settings?.hooks) {
+      return { success: true, message: `No ccundo hooks in ${file}` };
+    }
+
+    let removed = 0;
+    for (const [event, groups] of Object.entries(settings.hooks)) {
+      if (!Array.isArray(groups)) continue;
+
+      const kept = [];
+      for (const group of groups) {
+        const hooks = (group.hooks || []).filter(hook => !this.isOwnCommand(hook.command));
+        removed += (group.hooks || []).length - hooks.length;
+        if (hooks.length > 0 || !group.hooks) kept.push({ ...group, hooks });
+      }
+
+      if (kept.length > 0) {
+        settings.hooks[event] = kept;
+      } else {
+        delete settings.hooks[event];
+      }
+    }
+    if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+
+    if (removed === 0) {
+      return { success: true, message: `No ccundo hooks in ${file}` };
+    }
+
+    const backup = await this.writeSettings(file, settings, true);
+    return {
+      success: true,
+      message: `Removed ${removed} ccundo hook(s) from ${file}`,
+      ...backup
+    };
+  }
+
+  /**
+   * Which of ccundo's hooks each settings file has
+   * @returns {Array} { scope, file, exists, error, hooks: [{ event, matcher, command, broken }] }
+   */
+  async status() {
+    const result = [];
+    for (const scope of ['project', 'local', 'user']) {
+      const file = this.getSettingsFile(scope);
+      let settings = null;
+      let error = null;
+      try {
+        settings = await this.readSettings(file);
+      } catch (e) {
+        error = e.message;
+      }
+
+      const found = Object.entries(settings?.hooks || {}).flatMap(([event, groups]) =>
+        (Array.isArray(groups) ? groups : []).flatMap(group => (group.hooks || [])
+          .filter(hook => this.isOwnCommand(hook.command))
+          .map(hook => ({ event, matcher: group.matcher, command: hook.command }))));
+
+      const hooks = await Promise.all(found.map(async hook => {
+        // A script path left behind by an uninstalled or moved ccundo
+        const script = hook.command.match(/^node "(.+?)"/)?.[1];
+        const broken = script ? !(await fs.access(script).then(() => true).catch(() => false)) : false;
+        return { ...hook, broken };
+      }));
+
+      result.push({ scope, file, exists: settings !== null, error, hooks });
+    }
+    return result;
+  }
+}
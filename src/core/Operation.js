@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import path from 'path';
 
 export class Operation {
   constructor(type, data, turnId = null) {
@@ -7,6 +8,7 @@ export class Operation {
     this.type = type;
     this.data = data;
     this.undone = false;
+    this.postImage = null; // { snapshotId } of what the operation left behind, kept when it is undone
     this.turnId = turnId; // ID of the conversation turn this operation belongs to
   }
 
@@ -15,6 +17,7 @@ export class Operation {
     op.id = json.id;
     op.timestamp = new Date(json.timestamp);
     op.undone = json.undone || false;
+    op.postImage = json.postImage || null;
     return op;
   }
 
@@ -25,6 +28,7 @@ export class Operation {
       type: this.type,
       data: this.data,
       undone: this.undone,
+      ...(this.postImage && { postImage: this.postImage }),
       turnId: this.turnId
     };
   }
@@ -42,14 +46,29 @@ export class Operation {
   getTurnId() {
     return this.turnId;
   }
+
+  /**
+   * Get every file system path this operation reads or writes
+   */
+  getAffectedPaths() {
+    const { filePath, oldPath, newPath, dirPath, createdDirs = [], tree = [], changes = [] } = this.data || {};
+    return [
+      filePath, oldPath, newPath, dirPath,
+      ...createdDirs,
+      ...tree.map(entry => path.join(dirPath, entry.path)),
+      ...changes.map(change => change.path)
+    ].filter(Boolean);
+  }
 }
 
 export const OperationType = {
   FILE_CREATE: 'file_create',
   FILE_EDIT: 'file_edit',
+  FILE_OVERWRITE: 'file_overwrite',
   FILE_DELETE: 'file_delete',
   FILE_RENAME: 'file_rename',
   DIRECTORY_CREATE: 'directory_create',
   DIRECTORY_DELETE: 'directory_delete',
+  NOTEBOOK_EDIT: 'notebook_edit',
   BASH_COMMAND: 'bash_command'
 };
\ No newline at end of file
@@ -1,15 +1,41 @@
 import fs from 'fs/promises';
 import chalk from 'chalk';
 import { OperationType } from './Operation.js';
+import { UndoManager } from './UndoManager.js';
 import { i18n } from '../i18n/i18n.js';
+import { createPatch } from '../utils/patch.js';
+import { formatShellEffect } from '../utils/formatting.js';
+
+const DEFAULT_CONTEXT_LINES = 3;
 
 export class OperationPreview {
-  static async generatePreview(operation) {
+  /**
+   * Describe what undoing an operation will do
+   * @param {Object} operation - The operation to preview
+   * @param {Object} options - { conflict } from ConflictDetector when the file changed since,
+   *   { contextLines } for the diffs
+   */
+  static async generatePreview(operation, options = {}) {
+    const preview = await this.generateOperationPreview(operation, options);
+    if (!options.conflict) return preview;
+
+    const warning = i18n.t('conflict.file_changed', { file: options.conflict.filePath });
+    return {
+      ...preview,
+      preview: `${chalk.red.bold('⚠️  ' + warning)}\n${preview.preview}`,
+      conflict: true,
+      warning
+    };
+  }
+
+  static async generateOperationPreview(operation, options = {}) {
     switch (operation.type) {
       case OperationType.FILE_CREATE:
         return await this.previewFileCreate(operation);
       case OperationType.FILE_EDIT:
-        return await this.previewFileEdit(operation);
+        return await this.previewFileEdit(operation, options);
+      case OperationType.FILE_OVERWRITE:
+        return await this.previewFileOverwrite(operation, options);
       case OperationType.FILE_DELETE:
         return await this.previewFileDelete(operation);
       case OperationType.FILE_RENAME:
@@ -18,6 +44,8 @@ export class OperationPreview {
         return await this.previewDirectoryCreate(operation);
       case OperationType.DIRECTORY_DELETE:
         return await this.previewDirectoryDelete(operation);
+      case OperationType.NOTEBOOK_EDIT:
+        return await this.previewNotebookEdit(operation, options);
       case OperationType.BASH_COMMAND:
         return await this.previewBashCommand(operation);
       default:
@@ -55,83 +83,65 @@ export class OperationPreview {
     }
   }
 
-  static async previewFileEdit(operation) {
-    const { filePath, originalContent, oldString, newString, replaceAll, edits, isMultiEdit } = operation.data;
+  /**
+   * Unified diff from one text to another, with hunk headers and old/new line numbers
+   * @param {number} contextLines - Unchanged lines shown around each change
+   */
+  static renderDiff(fromText, toText, contextLines = DEFAULT_CONTEXT_LINES) {
+    const hunks = createPatch(fromText, toText, contextLines);
+    if (hunks.length === 0) {
+      return chalk.gray(i18n.t('status.no_changes'));
+    }
+
+    const lastLine = Math.max(...hunks.map(hunk => Math.max(hunk.oldStart + hunk.oldLines, hunk.newStart + hunk.newLines)));
+    const width = String(lastLine).length;
+    const gutter = (number) => (number === null ? '' : String(number)).padStart(width);
+    const output = [];
+
+    for (const hunk of hunks) {
+      output.push(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+
+      let oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+      let newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+      for (const line of hunk.lines) {
+        const text = line.slice(1);
+        if (line[0] === '\\') {
+          output.push(chalk.gray(line));
+        } else if (line[0] === '-') {
+          output.push(chalk.red(`${gutter(oldLine++)} ${gutter(null)} -${text}`));
+        } else if (line[0] === '+') {
+          output.push(chalk.green(`${gutter(null)} ${gutter(newLine++)} +${text}`));
+        } else {
+          output.push(chalk.gray(`${gutter(oldLine++)} ${gutter(newLine++)}  ${text}`));
+        }
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  static async previewFileEdit(operation, options = {}) {
+    const { filePath } = operation.data;
     
     try {
       const currentContent = await fs.readFile(filePath, 'utf8');
-      let preview = `${chalk.yellow(i18n.t('action.will_revert_file'))} ${filePath}\n\n`;
+      let preview = `${chalk.yellow(i18n.t('action.will_revert_file'))} ${filePath}\n`;
       
-      if (originalContent) {
-        // Legacy mode - show full diff
-        const originalLines = originalContent.split('\n');
-        const currentLines = currentContent.split('\n');
-        
-        const maxLines = Math.max(originalLines.length, currentLines.length);
-        const previewLines = Math.min(maxLines, 10);
-        
-        for (let i = 0; i < previewLines; i++) {
-          const orig = originalLines[i] || '';
-          const curr = currentLines[i] || '';
-          
-          if (orig !== curr) {
-            if (curr) {
-              preview += `${chalk.red('-')} ${curr}\n`;
-            }
-            if (orig) {
-              preview += `${chalk.green('+')} ${orig}\n`;
-            }
-          } else if (orig) {
-            preview += `  ${orig}\n`;
-          }
-        }
-        
-        if (maxLines > 10) {
-          preview += chalk.gray(`... (${maxLines - 10} more lines)`);
-        }
-      } else if (isMultiEdit && edits) {
-        // Show what MultiEdit changes will be reversed
-        preview += chalk.gray('String replacements to be reversed:\n');
-        edits.forEach((edit, index) => {
-          if (edit.new_string && edit.old_string !== undefined) {
-            preview += `${index + 1}. "${chalk.red(edit.new_string)}" → "${chalk.green(edit.old_string)}"\n`;
-          }
-        });
-      } else if (oldString !== undefined && newString) {
-        // Show what single edit will be reversed
-        preview += chalk.gray('String replacement to be reversed:\n');
-        preview += `"${chalk.red(newString)}" → "${chalk.green(oldString)}"`;
-        if (replaceAll) {
-          preview += chalk.gray(' (all occurrences)');
-        }
-        preview += '\n\n';
-        
-        // Show context where the change will happen
-        const lines = currentContent.split('\n');
-        let foundLine = -1;
-        for (let i = 0; i < lines.length; i++) {
-          if (lines[i].includes(newString)) {
-            foundLine = i;
-            break;
-          }
-        }
-        
-        if (foundLine >= 0) {
-          preview += chalk.gray('Context:\n');
-          const start = Math.max(0, foundLine - 2);
-          const end = Math.min(lines.length, foundLine + 3);
-          for (let i = start; i < end; i++) {
-            if (i === foundLine) {
-              preview += chalk.yellow('> ');
-            } else {
-              preview += '  ';
-            }
-            preview += lines[i] + '\n';
-          }
-        }
-      } else {
-        preview += chalk.gray(i18n.t('status.original_not_available'));
+      // Work out the reverted content exactly as UndoManager will
+      const reverted = new UndoManager().getRevertedContent(operation, currentContent);
+      if (reverted.error) {
+        return {
+          preview: preview + chalk.red(reverted.error),
+          hasContent: false,
+          canUndo: false,
+          warning: reverted.error
+        };
+      }
+      
+      if (reverted.conflicts > 0) {
+        preview += chalk.yellow(`${reverted.conflicts} change(s) overlap later edits and will be left between conflict markers\n`);
       }
+      preview += this.renderDiff(currentContent, reverted.content, options.contextLines);
       
       return {
         preview,
@@ -146,16 +156,94 @@ export class OperationPreview {
     }
   }
 
-  static async previewFileDelete(operation) {
-    const { filePath, content } = operation.data;
+  /**
+   * Diff of the one cell a notebook edit undo changes, rather than of the
+   * notebook's JSON
+   */
+  static async previewNotebookEdit(operation, options = {}) {
+    const { filePath, cellId } = operation.data;
+    const label = (cell) => `${chalk.yellow(i18n.t('action.will_revert_cell', { cell }))} ${filePath}`;
+    
+    try {
+      const currentContent = await fs.readFile(filePath, 'utf8');
+      const reverted = new UndoManager().getRevertedNotebook(operation, currentContent);
+      if (reverted.error) {
+        return {
+          preview: `${label(cellId || '')}\n${chalk.red(reverted.error)}`,
+          hasContent: false,
+          canUndo: false,
+          warning: reverted.error
+        };
+      }
+      
+      const { id, before, after } = reverted.cell;
+      let preview = `${label(id || '')}\n`;
+      if (before === null) {
+        preview += chalk.green('Deleted cell will be restored\n');
+      } else if (after === null) {
+        preview += chalk.red('Inserted cell will be removed\n');
+      }
+      if (reverted.conflicts > 0) {
+        preview += chalk.yellow(`${reverted.conflicts} change(s) overlap later edits and will be left between conflict markers\n`);
+      }
+      preview += this.renderDiff(before ?? '', after ?? '', options.contextLines);
+      
+      return {
+        preview,
+        hasContent: true,
+        action: 'revert'
+      };
+    } catch (error) {
+      return {
+        preview: `${label(cellId || '')}\n${chalk.red('Error:')} ${error.message}`,
+        hasContent: false
+      };
+    }
+  }
+
+  static async previewFileOverwrite(operation, options = {}) {
+    const { filePath, beforeContent, originalContent } = operation.data;
+    const previousContent = beforeContent ?? originalContent;
     
-    if (!content) {
+    if (typeof previousContent !== 'string') {
       return {
-        preview: `${chalk.green(i18n.t('action.will_restore_file'))} ${filePath}\n${chalk.gray(i18n.t('status.content_not_available'))}`,
+        preview: `${chalk.green(i18n.t('action.will_restore_previous'))} ${filePath}\n${chalk.gray(i18n.t('status.content_not_available'))}`,
         hasContent: false
       };
     }
 
+    let currentContent = '';
+    try {
+      currentContent = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    return {
+      preview: `${chalk.green(i18n.t('action.will_restore_previous'))} ${filePath}\n${this.renderDiff(currentContent, previousContent, options.contextLines)}`,
+      hasContent: true,
+      action: 'restore'
+    };
+  }
+
+  static async previewFileDelete(operation) {
+    const { filePath, content, preImage } = operation.data;
+    
+    if (preImage?.type === 'symlink') {
+      return {
+        preview: `${chalk.green(i18n.t('action.will_restore_file'))} ${filePath} → ${preImage.target}`,
+        hasContent: false,
+        action: 'restore'
+      };
+    }
+    if (!content && !preImage?.exists) {
+      return {
+        preview: `${chalk.gray('Will skip, its content was not recorded:')} ${filePath}\n${chalk.gray(i18n.t('status.content_not_available'))}`,
+        hasContent: false,
+        action: 'skip'
+      };
+    }
+
     const lines = content.split('\n');
     const preview = lines.slice(0, 5).join('\n');
     const truncated = lines.length > 5;
@@ -168,24 +256,30 @@ export class OperationPreview {
   }
 
   static async previewFileRename(operation) {
-    const { oldPath, newPath } = operation.data;
+    const { oldPath, newPath, targetPreImage } = operation.data;
+    const replaced = targetPreImage?.exists && targetPreImage.type !== 'directory'
+      ? `\n${chalk.green('Will restore the file it replaced:')} ${newPath}`
+      : '';
     
     return {
-      preview: `${chalk.yellow(i18n.t('action.will_rename_back'))} ${newPath} → ${oldPath}`,
+      preview: `${chalk.yellow(i18n.t('action.will_rename_back'))} ${newPath} → ${oldPath}${replaced}`,
       hasContent: false,
       action: 'rename'
     };
   }
 
   static async previewDirectoryCreate(operation) {
-    const { dirPath } = operation.data;
+    const { dirPath, createdDirs } = operation.data;
     
     try {
       const exists = await fs.access(dirPath).then(() => true).catch(() => false);
       const status = exists ? chalk.red('Will remove directory:') : chalk.gray('Directory already removed:');
+      const parents = createdDirs?.length > 1
+        ? `\n${chalk.gray(`And the parents mkdir created: ${createdDirs.slice(1).join(', ')}`)}`
+        : '';
       
       return {
-        preview: `${status} ${dirPath}`,
+        preview: `${status} ${dirPath}${parents}`,
         hasContent: false,
         action: exists ? 'remove' : 'none'
       };
@@ -199,20 +293,67 @@ export class OperationPreview {
   }
 
   static async previewDirectoryDelete(operation) {
-    const { dirPath } = operation.data;
+    const { dirPath, tree } = operation.data;
+    if (UndoManager.hasUnrecordedContents(operation)) {
+      return {
+        preview: `${chalk.red('Cannot restore directory:')} ${dirPath}\n${chalk.gray('Its contents were not recorded')}`,
+        hasContent: false,
+        canUndo: false
+      };
+    }
+    
+    let entries = '';
+    if (tree) {
+      const files = tree.filter(entry => entry.type !== 'directory').length;
+      entries = `\n${chalk.gray(`With its ${files} file(s) and ${tree.length - files} subdirectories`)}`;
+    }
     
     return {
-      preview: `${chalk.green('Will restore directory:')} ${dirPath}`,
+      preview: `${chalk.green('Will restore directory:')} ${dirPath}${entries}`,
       hasContent: false,
       action: 'restore'
     };
   }
 
   static async previewBashCommand(operation) {
-    const { command } = operation.data;
+    const { command, changes, effects = [], unanalyzed = [] } = operation.data;
+    
+    if (changes) {
+      const lines = [`${chalk.yellow(i18n.t('action.will_revert_bash'))} ${command}`];
+      changes.forEach(change => {
+        const color = { created: chalk.red, modified: chalk.yellow, deleted: chalk.green }[change.change];
+        lines.push(`  ${color(change.change)} ${change.path}`);
+      });
+      return {
+        preview: lines.join('\n'),
+        hasContent: false,
+        action: 'restore'
+      };
+    }
+    
+    if (effects.length === 0 && unanalyzed.length === 0) {
+      return {
+        preview: `${chalk.gray('Will skip, it changed no files:')} ${command}`,
+        hasContent: false,
+        action: 'skip'
+      };
+    }
+    
+    const lines = [`${chalk.red(i18n.t('action.cannot_undo_bash'))} ${command}`];
+    
+    // Point at what has to be reverted by hand
+    if (effects.length > 0) {
+      lines.push(chalk.yellow(i18n.t('action.bash_changes')));
+      effects.forEach(effect => lines.push(`  ${formatShellEffect(effect)}`));
+    }
+    if (unanalyzed.length > 0) {
+      lines.push(chalk.yellow(i18n.t('action.bash_not_analyzed')));
+      unanalyzed.forEach(part => lines.push(`  ${part.command} ${chalk.gray(`(${part.reason})`)}`));
+    }
+    lines.push(chalk.gray(i18n.t('action.manual_intervention')));
     
     return {
-      preview: `${chalk.red(i18n.t('action.cannot_undo_bash'))} ${command}\n${chalk.gray(i18n.t('action.manual_intervention'))}`,
+      preview: lines.join('\n'),
       hasContent: false,
       action: 'manual'
     };
@@ -2,14 +2,46 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { OperationType } from './Operation.js';
+import { SnapshotStore } from './SnapshotStore.js';
+import { UndoManager } from './UndoManager.js';
+import { hashContent } from '../utils/hash.js';
+import { createPatch, applyPatch } from '../utils/patch.js';
+import { parseNotebook, formatNotebook, getCellSource, setCellSource, findCellIndex, createCell } from '../utils/notebook.js';
 
 export class RedoManager {
-  constructor() {
-    this.backupDir = path.join(os.homedir(), '.ccundo', 'backups');
+  constructor(options = {}) {
+    this.session = options.session || null;
+    this.snapshotStore = options.snapshotStore || new SnapshotStore();
+    // Backups written by versions before the snapshot store
+    this.legacyBackupDir = path.join(os.homedir(), '.ccundo', 'backups');
   }
 
   async init() {
-    await fs.mkdir(this.backupDir, { recursive: true });
+    await this.snapshotStore.init();
+  }
+
+  /**
+   * Keep a copy of content in the snapshot store before it gets replaced
+   */
+  async backup(operation, filePath, content, reason) {
+    const snapshot = await this.snapshotStore.save(content, {
+      filePath,
+      operationId: operation.id,
+      session: this.session,
+      reason
+    });
+    return { backupPath: snapshot.objectPath, snapshotId: snapshot.id };
+  }
+
+  /**
+   * Content the operation left behind, kept from when local tracking
+   * undid it, or null if there is none
+   */
+  async readPostImage(operation) {
+    if (!operation.postImage?.snapshotId) return null;
+    
+    const snapshot = await this.snapshotStore.get(operation.postImage.snapshotId);
+    return snapshot ? await this.snapshotStore.read(snapshot) : null;
   }
 
   async redo(operation) {
@@ -18,6 +50,8 @@ export class RedoManager {
         return await this.redoFileCreate(operation);
       case OperationType.FILE_EDIT:
         return await this.redoFileEdit(operation);
+      case OperationType.FILE_OVERWRITE:
+        return await this.redoFileOverwrite(operation);
       case OperationType.FILE_DELETE:
         return await this.redoFileDelete(operation);
       case OperationType.FILE_RENAME:
@@ -26,6 +60,8 @@ export class RedoManager {
         return await this.redoDirectoryCreate(operation);
       case OperationType.DIRECTORY_DELETE:
         return await this.redoDirectoryDelete(operation);
+      case OperationType.NOTEBOOK_EDIT:
+        return await this.redoNotebookEdit(operation);
       case OperationType.BASH_COMMAND:
         return await this.redoBashCommand(operation);
       default:
@@ -46,12 +82,16 @@ export class RedoManager {
         };
       }
 
-      // Try to restore from backup first
-      const backupPath = path.join(this.backupDir, `${operation.id}-deleted`);
+      // Try to restore from the snapshot taken when the creation was undone
       let fileContent = content || '';
       
       try {
-        fileContent = await fs.readFile(backupPath, 'utf8');
+        const snapshot = operation.postImage?.snapshotId
+          ? await this.snapshotStore.get(operation.postImage.snapshotId)
+          : await this.snapshotStore.findLatest(operation.id, 'deleted');
+        fileContent = snapshot
+          ? await this.snapshotStore.read(snapshot)
+          : await fs.readFile(path.join(this.legacyBackupDir, `${operation.id}-deleted`), 'utf8');
       } catch (e) {
         // If no backup, use original content if available
         if (!content) {
@@ -77,22 +117,44 @@ export class RedoManager {
   }
 
   async redoFileEdit(operation) {
-    const { filePath, originalContent, oldString, newString, replaceAll, edits, isMultiEdit } = operation.data;
+    const { filePath, originalContent, beforeContent, afterContent, oldString, newString, replaceAll, edits, isMultiEdit } = operation.data;
     
     try {
       const currentContent = await fs.readFile(filePath, 'utf8');
-      const backupPath = path.join(this.backupDir, `${operation.id}-redo`);
-      await fs.writeFile(backupPath, currentContent);
+      const backup = await this.backup(operation, filePath, currentContent, 'redo');
       
       let redoneContent = currentContent;
+      const previousContent = typeof beforeContent === 'string' ? beforeContent : originalContent;
       
-      if (originalContent) {
-        // This was a legacy full-content edit, but we can't safely redo it
-        // because we don't know what the "new" content should be
-        return {
-          success: false,
-          message: `Cannot redo legacy file edit: insufficient data for ${filePath}`
-        };
+      if (typeof afterContent === 'string' && currentContent === previousContent) {
+        // Exact redo: the file is back to what it was before the edit
+        redoneContent = afterContent;
+      } else if (typeof afterContent === 'string' && typeof beforeContent === 'string') {
+        // Other edits are in the file now: apply just this edit's hunks
+        const patched = applyPatch(currentContent, createPatch(beforeContent, afterContent));
+        if (patched.conflicts > 0) {
+          return {
+            success: false,
+            message: `Cannot redo file edit: ${filePath} changed where the edit applies`
+          };
+        }
+        redoneContent = patched.content;
+      } else if (typeof originalContent === 'string') {
+        // A full-content edit from local tracking: put back what the undo replaced
+        const postImage = await this.readPostImage(operation);
+        if (postImage === null) {
+          return {
+            success: false,
+            message: `Cannot redo legacy file edit: insufficient data for ${filePath}`
+          };
+        }
+        if (currentContent !== originalContent) {
+          return {
+            success: false,
+            message: `Cannot redo file edit: ${filePath} changed since it was undone`
+          };
+        }
+        redoneContent = postImage;
       } else if (isMultiEdit && edits) {
         // Redo MultiEdit by applying each edit in original order
         for (const edit of edits) {
@@ -130,7 +192,7 @@ export class RedoManager {
       return {
         success: true,
         message: `File edit redone: ${filePath}`,
-        backupPath
+        ...backup
       };
     } catch (error) {
       return {
@@ -140,6 +202,42 @@ export class RedoManager {
     }
   }
 
+  async redoFileOverwrite(operation) {
+    const { filePath, content, afterContent } = operation.data;
+    const newContent = afterContent ?? content ?? await this.readPostImage(operation);
+    
+    if (typeof newContent !== 'string') {
+      return {
+        success: false,
+        message: `Cannot redo file overwrite: no content available for ${filePath}`
+      };
+    }
+    
+    try {
+      let backup = {};
+      try {
+        const currentContent = await fs.readFile(filePath, 'utf8');
+        backup = await this.backup(operation, filePath, currentContent, 'redo');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, newContent);
+      
+      return {
+        success: true,
+        message: `File overwritten again: ${filePath}`,
+        ...backup
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to redo file overwrite: ${error.message}`
+      };
+    }
+  }
+
   async redoFileDelete(operation) {
     const { filePath } = operation.data;
     
@@ -153,16 +251,15 @@ export class RedoManager {
       }
 
       // Backup the file before deleting
-      const backupPath = path.join(this.backupDir, `${operation.id}-redo-deleted`);
       const content = await fs.readFile(filePath, 'utf8');
-      await fs.writeFile(backupPath, content);
+      const backup = await this.backup(operation, filePath, content, 'redo-deleted');
       
       await fs.unlink(filePath);
       
       return {
         success: true,
         message: `File deleted again: ${filePath}`,
-        backupPath
+        ...backup
       };
     } catch (error) {
       return {
@@ -234,7 +331,7 @@ export class RedoManager {
   }
 
   async redoDirectoryDelete(operation) {
-    const { dirPath } = operation.data;
+    const { dirPath, recursive, tree } = operation.data;
     
     try {
       const exists = await fs.access(dirPath).then(() => true).catch(() => false);
@@ -245,11 +342,27 @@ export class RedoManager {
         };
       }
 
-      await fs.rmdir(dirPath);
+      if (!recursive && !tree) {
+        await fs.rmdir(dirPath);
+        return {
+          success: true,
+          message: `Directory deleted again: ${dirPath}`
+        };
+      }
+      
+      // Everything in it now, including changes made since the undo, is kept
+      const saved = await this.snapshotStore.saveTree(dirPath, { operationId: operation.id, session: this.session, reason: 'redo' });
+      if (!saved) {
+        return {
+          success: false,
+          message: `Cannot redo directory deletion: ${dirPath} holds too many entries to back up`
+        };
+      }
+      await fs.rm(dirPath, { recursive: true });
       
       return {
         success: true,
-        message: `Directory deleted again: ${dirPath}`
+        message: `Directory deleted again with its ${saved.length} entries: ${dirPath}`
       };
     } catch (error) {
       return {
@@ -259,12 +372,155 @@ export class RedoManager {
     }
   }
 
+  async redoNotebookEdit(operation) {
+    const { filePath, editMode, cellId, anchorCellId, cellType, newSource, oldCell } = operation.data;
+    
+    try {
+      const currentContent = await fs.readFile(filePath, 'utf8');
+      const notebook = parseNotebook(currentContent);
+      
+      if (editMode === 'insert') {
+        if (cellId && findCellIndex(notebook, cellId) !== -1) {
+          return {
+            success: false,
+            message: `Cannot redo notebook edit: cell ${cellId} already exists in ${filePath}`
+          };
+        }
+        const index = anchorCellId ? findCellIndex(notebook, anchorCellId) + 1 : 0;
+        if (anchorCellId && index === 0) {
+          return {
+            success: false,
+            message: `Cannot redo notebook edit: cell ${anchorCellId} not found in ${filePath}`
+          };
+        }
+        notebook.cells.splice(index, 0, createCell(notebook, cellType || 'code', newSource, cellId));
+      } else {
+        const index = findCellIndex(notebook, cellId);
+        if (index === -1) {
+          return {
+            success: false,
+            message: `Cannot redo notebook edit: cell ${cellId} not found in ${filePath}`
+          };
+        }
+        
+        const cell = notebook.cells[index];
+        if (oldCell && getCellSource(cell) !== getCellSource(oldCell)) {
+          return {
+            success: false,
+            message: `Cannot redo notebook edit: cell ${cellId} in ${filePath} changed since it was undone`
+          };
+        }
+        
+        if (editMode === 'delete') {
+          notebook.cells.splice(index, 1);
+        } else {
+          setCellSource(cell, newSource);
+          if (cellType && cellType !== cell.cell_type) {
+            notebook.cells[index] = createCell(notebook, cellType, cell.source, cell.id);
+          } else if (cell.cell_type === 'code') {
+            // Outputs belong to the old source
+            cell.execution_count = null;
+            cell.outputs = [];
+          }
+        }
+      }
+      
+      const backup = await this.backup(operation, filePath, currentContent, 'redo');
+      await fs.writeFile(filePath, formatNotebook(notebook, currentContent));
+      
+      return {
+        success: true,
+        message: `Notebook edit redone: ${filePath}`,
+        ...backup
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to redo notebook edit: ${error.message}`
+      };
+    }
+  }
+
   async redoBashCommand(operation) {
-    const { command } = operation.data;
+    const { command, changes } = operation.data;
+    
+    if (changes) {
+      return await this.redoBashChanges(operation);
+    }
+    
+    // Undo skipped it, so there is nothing to put back either
+    if (UndoManager.hasNoFileEffects(operation)) {
+      return {
+        success: true,
+        skipped: true,
+        message: `No file changes, skipped bash command: ${command}`
+      };
+    }
     
     return {
       success: false,
       message: `Cannot redo bash command: ${command}\nPlease manually re-run the command.`
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Put back what a snapshotted Bash command left in each file, provided
+   * the files are still as its undo left them
+   */
+  async redoBashChanges(operation) {
+    const { command, changes } = operation.data;
+    
+    try {
+      const files = [];
+      for (const change of changes) {
+        if (change.after && !change.after.hash) {
+          return {
+            success: false,
+            message: `Cannot redo bash command: ${change.path} was too large to keep a copy of`
+          };
+        }
+        
+        let current = null;
+        try {
+          current = await fs.readFile(change.path);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        if ((current === null ? null : hashContent(current)) !== (change.before?.hash ?? null)) {
+          return {
+            success: false,
+            message: `Cannot redo bash command: ${change.path} changed since it was undone`
+          };
+        }
+        
+        const content = change.after ? await this.snapshotStore.read(change.after, null) : null;
+        files.push({ path: change.path, content, mode: change.after?.mode, current });
+      }
+      
+      let backup = {};
+      for (const file of files) {
+        if (file.current !== null) {
+          backup = await this.backup(operation, file.path, file.current, 'redo');
+        }
+        if (file.content === null) {
+          await fs.rm(file.path, { force: true });
+        } else {
+          await fs.mkdir(path.dirname(file.path), { recursive: true });
+          await fs.writeFile(file.path, file.content);
+          if (file.mode) await fs.chmod(file.path, file.mode);
+        }
+      }
+      
+      return {
+        success: true,
+        message: `Bash command redone (${files.length} files): ${command}`,
+        ...backup
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to redo bash command: ${error.message}`
+      };
+    }
+  }
+}
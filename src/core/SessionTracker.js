@@ -4,6 +4,7 @@ import os from 'os';
 import { Operation, OperationType } from './Operation.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { readJSON, updateJSON, writeFileAtomic } from '../utils/state.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,23 +23,27 @@ export class SessionTracker {
   }
 
   async load() {
-    try {
-      const data = await fs.readFile(this.sessionFile, 'utf8');
-      const session = JSON.parse(data);
-      this.operations = session.operations.map(op => Operation.fromJSON(op));
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-    }
+    const session = await readJSON(this.sessionFile, { operations: [] });
+    this.operations = (session.operations || []).map(op => Operation.fromJSON(op));
   }
 
+  /**
+   * Save operations to the session file.
+   * Operations recorded by another process (e.g. the hook) since we loaded
+   * are merged in rather than overwritten.
+   */
   async save() {
-    const sessionData = {
-      sessionId: this.sessionId,
-      operations: this.operations.map(op => op.toJSON())
-    };
-    await fs.writeFile(this.sessionFile, JSON.stringify(sessionData, null, 2));
+    const sessionData = await updateJSON(this.sessionFile, { operations: [] }, session => {
+      const ours = new Map(this.operations.map(op => [op.id, op.toJSON()]));
+      const onDisk = (session.operations || []).map(op => ours.get(op.id) || op);
+      const diskIds = new Set(onDisk.map(op => op.id));
+      
+      return {
+        sessionId: this.sessionId,
+        operations: [...onDisk, ...[...ours.values()].filter(op => !diskIds.has(op.id))]
+      };
+    });
+    this.operations = sessionData.operations.map(op => Operation.fromJSON(op));
   }
 
   async addOperation(operation) {
@@ -56,15 +61,36 @@ export class SessionTracker {
     return this.operations.find(op => op.id === id);
   }
 
-  async markUndone(operationId) {
+  /**
+   * @param {Object} postImage - { snapshotId } of the content the undo replaced, so redo can put it back
+   */
+  async markUndone(operationId, postImage = null) {
     const operation = await this.getOperation(operationId);
     if (operation) {
       operation.undone = true;
+      operation.postImage = postImage;
       await this.save();
     }
     return operation;
   }
 
+  async markRedone(operationId) {
+    const operation = await this.getOperation(operationId);
+    if (operation) {
+      operation.undone = false;
+      operation.postImage = null;
+      await this.save();
+    }
+    return operation;
+  }
+
+  /**
+   * The redo stack: undone operations, most recent first
+   */
+  async getUndoneOperations() {
+    return this.operations.filter(op => op.undone).reverse();
+  }
+
   static async listSessions() {
     const sessionDir = path.join(os.homedir(), '.ccundo', 'sessions');
     try {
@@ -92,7 +118,6 @@ export class SessionTracker {
 
   static async setCurrentSession(sessionId) {
     const currentFile = path.join(os.homedir(), '.ccundo', 'current-session');
-    await fs.mkdir(path.dirname(currentFile), { recursive: true });
-    await fs.writeFile(currentFile, sessionId);
+    await writeFileAtomic(currentFile, sessionId);
   }
 }
\ No newline at end of file
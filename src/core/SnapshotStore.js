@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { readJSON, updateJSON, writeFileAtomic } from '../utils/state.js';
+
+// Larger files are recorded without their content, so they can't be restored
+export const MAX_FILE_SIZE = 5 * 1024 * 1024;
+// Trees with more entries than this are not snapshotted at all
+export const MAX_FILES = 20000;
+
+/**
+ * SnapshotStore keeps file backups as content-addressed blobs.
+ * Identical contents are stored once under their SHA-256 hash, and a
+ * manifest records which file, operation, session and reason each
+ * snapshot belongs to.
+ */
+export class SnapshotStore {
+  /**
+   * @param {Object} options - { baseDir } to keep the store somewhere other than ~/.ccundo/snapshots
+   */
+  constructor(options = {}) {
+    this.snapshotDir = options.baseDir || path.join(os.homedir(), '.ccundo', 'snapshots');
+    this.objectsDir = path.join(this.snapshotDir, 'objects');
+    this.manifestFile = path.join(this.snapshotDir, 'manifest.json');
+  }
+
+  async init() {
+    await fs.mkdir(this.objectsDir, { recursive: true });
+  }
+
+  /**
+   * Path of the blob holding content with the given hash
+   */
+  getObjectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+  }
+
+  async loadManifest() {
+    return await readJSON(this.manifestFile, { snapshots: [] });
+  }
+
+  /**
+   * Read-modify-write the manifest under its lock
+   */
+  async updateManifest(updater) {
+    return await updateJSON(this.manifestFile, { snapshots: [] }, updater);
+  }
+
+  /**
+   * Store content and record a manifest entry for it
+   * @param {string|Buffer} content - File content to keep
+   * @param {Object} meta - { filePath, operationId, session, reason }
+   * @returns {Object} The manifest entry, with objectPath added
+   */
+  async save(content, meta = {}) {
+    const { hash, size, objectPath } = await this.saveObject(content);
+    const [entry] = await this.addEntries([{ ...meta, hash, size }]);
+    return { ...entry, objectPath };
+  }
+
+  /**
+   * Record manifest entries for blobs already in the store, all under one
+   * manifest write
+   * @param {Array} items - { hash, size, filePath, operationId, session, reason }
+   * @returns {Array} The new manifest entries
+   */
+  async addEntries(items) {
+    const createdAt = new Date().toISOString();
+    const entries = items.map(({ hash, size, filePath = null, operationId = null, session = null, reason = null }) => ({
+      id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.floor(Math.random()*1e9)}`,
+      hash,
+      size,
+      filePath,
+      operationId,
+      session,
+      reason,
+      createdAt
+    }));
+
+    if (entries.length > 0) {
+      await this.updateManifest(manifest => {
+        manifest.snapshots.push(...entries);
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Store a blob without a manifest entry. Garbage collection removes
+   * blobs that no manifest entry or Bash snapshot index refers to.
+   * @returns {Object} { hash, size, objectPath }
+   */
+  async saveObject(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const objectPath = this.getObjectPath(hash);
+
+    // Content is addressed by hash, so an existing blob is already correct
+    const exists = await fs.access(objectPath).then(() => true).catch(() => false);
+    if (!exists) {
+      await writeFileAtomic(objectPath, buffer);
+    }
+
+    return { hash, size: buffer.length, objectPath };
+  }
+
+  /**
+   * Snapshot a file as it is on disk now
+   */
+  async saveFile(filePath, meta = {}) {
+    const content = await fs.readFile(filePath);
+    return await this.save(content, { ...meta, filePath });
+  }
+
+  /**
+   * Snapshot a directory and everything under it: subdirectories, files
+   * and symlinks, with their modes. File contents are stored with a
+   * manifest entry each (meta as for save).
+   * @returns {Array|null} { path, type, mode, size, hash, target } with paths
+   *   relative to dirPath and parents before children, or null past maxFiles
+   */
+  async saveTree(dirPath, meta = {}, limits = {}) {
+    const maxFiles = limits.maxFiles ?? MAX_FILES;
+    const maxFileSize = limits.maxFileSize ?? MAX_FILE_SIZE;
+    const entries = [];
+    const blobs = [];
+    const pending = [''];
+
+    while (pending.length > 0) {
+      const dir = pending.shift();
+      let names;
+      try {
+        names = await fs.readdir(path.join(dirPath, dir));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EACCES') continue;
+        throw error;
+      }
+
+      for (const name of names.sort()) {
+        const relativePath = dir ? path.join(dir, name) : name;
+        const fullPath = path.join(dirPath, relativePath);
+        const stat = await fs.lstat(fullPath).catch(() => null);
+        if (!stat) continue;
+        if (entries.length >= maxFiles) return null;
+
+        const mode = stat.mode & 0o7777;
+        if (stat.isDirectory()) {
+          entries.push({ path: relativePath, type: 'directory', mode });
+          pending.push(relativePath);
+        } else if (stat.isSymbolicLink()) {
+          entries.push({ path: relativePath, type: 'symlink', mode, target: await fs.readlink(fullPath) });
+        } else if (stat.isFile()) {
+          let hash = null;
+          if (stat.size <= maxFileSize) {
+            try {
+              ({ hash } = await this.saveObject(await fs.readFile(fullPath)));
+              blobs.push({ ...meta, hash, size: stat.size, filePath: fullPath });
+            } catch (error) {
+              if (error.code !== 'ENOENT' && error.code !== 'EACCES') throw error;
+            }
+          }
+          entries.push({ path: relativePath, type: 'file', mode, size: stat.size, hash });
+        }
+      }
+    }
+
+    await this.addEntries(blobs);
+    return entries;
+  }
+
+  /**
+   * Recreate a tree saved by saveTree under dirPath, replacing entries that
+   * are in the way. Files saved without their content are left out.
+   * @param {number} mode - Mode for dirPath itself, if known
+   * @returns {Object} { restored, missing } with the paths of files left out
+   */
+  async restoreTree(dirPath, entries, mode = null) {
+    await fs.mkdir(dirPath, { recursive: true });
+    const missing = [];
+    let restored = 0;
+
+    for (const entry of entries) {
+      const target = path.join(dirPath, entry.path);
+      if (entry.type === 'directory') {
+        await fs.mkdir(target, { recursive: true });
+      } else if (entry.type === 'file' && !entry.hash) {
+        missing.push(target);
+        continue;
+      } else {
+        await fs.rm(target, { recursive: true, force: true });
+        if (entry.type === 'symlink') {
+          await fs.symlink(entry.target, target);
+        } else {
+          await fs.writeFile(target, await fs.readFile(this.getObjectPath(entry.hash)));
+          await fs.chmod(target, entry.mode);
+        }
+      }
+      restored++;
+    }
+
+    // Directory modes go last, deepest first, so read-only ones could still be filled
+    for (const entry of entries.filter(entry => entry.type === 'directory').reverse()) {
+      await fs.chmod(path.join(dirPath, entry.path), entry.mode);
+    }
+    if (mode !== null) {
+      await fs.chmod(dirPath, mode);
+    }
+    return { restored, missing };
+  }
+
+  /**
+   * List manifest entries, newest first
+   * @param {Object} filter - Optional { filePath, operationId, session, reason }
+   */
+  async list(filter = {}) {
+    const manifest = await this.loadManifest();
+
+    return manifest.snapshots
+      .filter(entry => Object.entries(filter)
+        .every(([key, value]) => value === undefined || entry[key] === value))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Find a snapshot by full id or unique id prefix
+   */
+  async get(id) {
+    const manifest = await this.loadManifest();
+    const matches = manifest.snapshots.filter(entry => entry.id.startsWith(id));
+
+    if (matches.length > 1 && !matches.some(entry => entry.id === id)) {
+      throw new Error(`Snapshot id ${id} is ambiguous`);
+    }
+
+    return matches.find(entry => entry.id === id) || matches[0] || null;
+  }
+
+  /**
+   * Most recent snapshot taken for an operation with the given reason
+   */
+  async findLatest(operationId, reason) {
+    const [entry] = await this.list({ operationId, reason });
+    return entry || null;
+  }
+
+  async read(entry, encoding = 'utf8') {
+    return await fs.readFile(this.getObjectPath(entry.hash), encoding);
+  }
+
+  /**
+   * Write a snapshot back to its file (or to targetPath).
+   * Whatever is there now is snapshotted first so the restore can be reverted.
+   */
+  async restore(id, targetPath = null) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return {
+        success: false,
+        message: `Snapshot ${id} not found`
+      };
+    }
+
+    const destination = targetPath || entry.filePath;
+    if (!destination) {
+      return {
+        success: false,
+        message: `Snapshot ${entry.id} has no file path; specify a target`
+      };
+    }
+
+    try {
+      let backup = null;
+      try {
+        backup = await this.saveFile(destination, { session: entry.session, reason: 'pre-restore' });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.writeFile(destination, await this.read(entry, null));
+
+      return {
+        success: true,
+        message: `Snapshot ${entry.id} restored to ${destination}`,
+        snapshotId: backup?.id,
+        backupPath: backup?.objectPath
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to restore snapshot: ${error.message}`
+      };
+    }
+  }
+}
@@ -13,6 +13,7 @@ export class Turn {
     this.startTime = new Date();
     this.endTime = null;
     this.completed = false;
+    this.promptId = null; // Session entry of the user prompt this turn answers
   }
 
   /**
@@ -51,7 +52,8 @@ export class Turn {
       operations: this.operations,
       startTime: this.startTime.toISOString(),
       endTime: this.endTime ? this.endTime.toISOString() : null,
-      completed: this.completed
+      completed: this.completed,
+      promptId: this.promptId
     };
   }
 
@@ -66,9 +68,22 @@ export class Turn {
     turn.startTime = new Date(json.startTime);
     turn.endTime = json.endTime ? new Date(json.endTime) : null;
     turn.completed = json.completed || false;
+    turn.promptId = json.promptId || null;
     return turn;
   }
 
+  /**
+   * Describe a turn by the prompt that started it: its first line,
+   * shortened to fit on one line of output
+   */
+  static describePrompt(text, maxLength = 72) {
+    const firstLine = text.split('\n').find(line => line.trim()) || '';
+    const description = firstLine.trim().replace(/\s+/g, ' ');
+    return description.length > maxLength
+      ? description.slice(0, maxLength - 1).trimEnd() + '…'
+      : description;
+  }
+
   /**
    * Generate a summary description based on operations
    */
@@ -87,8 +102,12 @@ export class Turn {
           return count === 1 ? 'Created 1 file' : `Created ${count} files`;
         case 'file_edit':
           return count === 1 ? 'Edited 1 file' : `Edited ${count} files`;
+        case 'file_overwrite':
+          return count === 1 ? 'Overwrote 1 file' : `Overwrote ${count} files`;
         case 'file_delete':
           return count === 1 ? 'Deleted 1 file' : `Deleted ${count} files`;
+        case 'notebook_edit':
+          return count === 1 ? 'Edited 1 notebook cell' : `Edited ${count} notebook cells`;
         case 'bash_command':
           return count === 1 ? 'Ran 1 command' : `Ran ${count} commands`;
         default:
@@ -2,56 +2,167 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { Turn } from './Turn.js';
+import { ClaudeSessionParser } from './ClaudeSessionParser.js';
+import { readJSON, updateJSON, withLock } from '../utils/state.js';
 
 /**
- * TurnManager handles grouping operations into conversation turns
+ * TurnManager handles grouping operations into conversation turns.
+ * Turns are stored per session, in ~/.ccundo/turns/<project>/<session>.json,
+ * so turns from one session never mix with another's.
  */
 export class TurnManager {
-  constructor() {
+  constructor(options = {}) {
     this.configDir = path.join(os.homedir(), '.ccundo');
-    this.turnsFile = path.join(this.configDir, 'turns.json');
+    this.turnsDir = path.join(this.configDir, 'turns');
+    this.legacyTurnsFile = path.join(this.configDir, 'turns.json');
+    this.session = options.session || null;
+    this.turnsFile = this.session ? this.getTurnsFile(this.session) : null;
+    this.parser = new ClaudeSessionParser();
     this.turns = new Map(); // turnId -> Turn
     this.operationToTurn = new Map(); // operationId -> turnId
+    this.removedTurnIds = new Set(); // turns deleted since loading, so saving doesn't bring them back
   }
 
   async init() {
     await fs.mkdir(this.configDir, { recursive: true });
+    await this.migrateLegacyTurns();
     await this.loadTurns();
   }
 
+  /**
+   * Where the turns of a Claude Code session file are kept, named after
+   * its project directory and session id
+   */
+  getTurnsFile(sessionFile) {
+    const project = path.basename(path.dirname(sessionFile));
+    const sessionId = path.basename(sessionFile, '.jsonl');
+    return path.join(this.turnsDir, project, `${sessionId}.json`);
+  }
+
+  /**
+   * Session files that have turns stored
+   */
+  async listSessions() {
+    const sessions = [];
+    let projects = [];
+    try {
+      projects = await fs.readdir(this.turnsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const project of projects) {
+      const projectDir = path.join(this.turnsDir, project);
+      if (!(await fs.stat(projectDir)).isDirectory()) continue;
+      for (const file of await fs.readdir(projectDir)) {
+        if (!file.endsWith('.json')) continue;
+        const { session } = await readJSON(path.join(projectDir, file), {});
+        if (session) sessions.push(session);
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Move turns out of the single turns.json older versions kept for every
+   * project, into the file of the session their operations came from.
+   * Turns whose session is gone are dropped; the old file stays behind as
+   * turns.json.migrated.
+   */
+  async migrateLegacyTurns() {
+    try {
+      await fs.access(this.legacyTurnsFile);
+    } catch (error) {
+      return;
+    }
+
+    await withLock(this.legacyTurnsFile, async () => {
+      // Missing if another process finished migrating while we waited for the lock
+      const legacyData = await readJSON(this.legacyTurnsFile, null);
+      if (!legacyData) return;
+
+      const sessionForOperation = new Map();
+      for (const session of await this.parser.getAllSessions()) {
+        for (const operation of await this.parser.readSessionOperations(session.file)) {
+          sessionForOperation.set(operation.id, session.file);
+        }
+      }
+
+      const turnsBySession = new Map();
+      for (const turnData of legacyData.turns || []) {
+        const sessionFile = (turnData.operations || [])
+          .map(id => sessionForOperation.get(id))
+          .find(Boolean);
+        if (!sessionFile) continue;
+
+        if (!turnsBySession.has(sessionFile)) turnsBySession.set(sessionFile, []);
+        turnsBySession.get(sessionFile).push({
+          ...turnData,
+          operations: turnData.operations.filter(id => sessionForOperation.get(id) === sessionFile)
+        });
+      }
+
+      for (const [sessionFile, turns] of turnsBySession) {
+        // Merging by id makes a migration interrupted halfway safe to repeat
+        await updateJSON(this.getTurnsFile(sessionFile), { session: sessionFile, turns: [] }, data => {
+          const existing = new Set((data.turns || []).map(turn => turn.id));
+          return {
+            session: sessionFile,
+            turns: [...(data.turns || []), ...turns.filter(turn => !existing.has(turn.id))]
+          };
+        });
+      }
+
+      await fs.rename(this.legacyTurnsFile, `${this.legacyTurnsFile}.migrated`);
+    });
+  }
+
   /**
    * Load turns from file
    */
   async loadTurns() {
-    try {
-      const data = await fs.readFile(this.turnsFile, 'utf8');
-      const turnsData = JSON.parse(data);
+    // A missing file starts fresh; a corrupt one is recovered from its backup
+    const turnsData = this.turnsFile
+      ? await readJSON(this.turnsFile, { turns: [] })
+      : { turns: [] };
+    
+    this.turns.clear();
+    this.operationToTurn.clear();
+    
+    for (const turnData of turnsData.turns || []) {
+      const turn = Turn.fromJSON(turnData);
+      this.turns.set(turn.id, turn);
       
-      for (const turnData of turnsData.turns || []) {
-        const turn = Turn.fromJSON(turnData);
-        this.turns.set(turn.id, turn);
-        
-        // Build operation to turn mapping
-        for (const opId of turn.operations) {
-          this.operationToTurn.set(opId, turn.id);
-        }
+      // Build operation to turn mapping
+      for (const opId of turn.operations) {
+        this.operationToTurn.set(opId, turn.id);
       }
-    } catch (error) {
-      // File doesn't exist or is invalid, start fresh
-      this.turns.clear();
-      this.operationToTurn.clear();
     }
   }
 
   /**
-   * Save turns to file
+   * Save turns to file.
+   * Turns another process saved since we loaded are kept, so concurrent
+   * ccundo runs don't drop each other's turns.
    */
   async saveTurns() {
-    const turnsData = {
-      turns: Array.from(this.turns.values()).map(turn => turn.toJSON())
-    };
-    
-    await fs.writeFile(this.turnsFile, JSON.stringify(turnsData, null, 2), 'utf8');
+    if (!this.turnsFile) {
+      throw new Error('Turns are stored per session, but no session file was given');
+    }
+
+    await updateJSON(this.turnsFile, { session: this.session, turns: [] }, turnsData => {
+      const foreignTurns = (turnsData.turns || []).filter(turnData =>
+        !this.turns.has(turnData.id) && !this.removedTurnIds.has(turnData.id)
+      );
+      
+      return {
+        session: this.session,
+        turns: [
+          ...foreignTurns,
+          ...Array.from(this.turns.values()).map(turn => turn.toJSON())
+        ]
+      };
+    });
   }
 
   /**
@@ -106,6 +217,61 @@ export class TurnManager {
     }
   }
 
+  /**
+   * Group operations into one turn per user prompt, described by the
+   * prompt text. Operations are matched to prompts by data.promptId, which
+   * the session parser fills in; ones without a known prompt fall back to
+   * time-gap grouping.
+   * Only groups UNGROUPED operations; ones answering a prompt that already
+   * has a turn are added to that turn.
+   * @param {Array} prompts - { id, text, timestamp } from the session
+   */
+  async groupOperationsByPrompts(operations, prompts, timeGapMs = 60000) {
+    const promptsById = new Map(prompts.map(prompt => [prompt.id, prompt]));
+    const turnsByPrompt = new Map();
+    for (const turn of this.turns.values()) {
+      if (turn.promptId) turnsByPrompt.set(turn.promptId, turn);
+    }
+
+    const sortedOps = operations
+      .filter(op => !this.getTurnForOperation(op.id))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const turns = [];
+    const withoutPrompt = [];
+
+    for (const operation of sortedOps) {
+      const prompt = promptsById.get(operation.data.promptId);
+      if (!prompt) {
+        withoutPrompt.push(operation);
+        continue;
+      }
+
+      let turn = turnsByPrompt.get(prompt.id);
+      if (!turn) {
+        turn = this.createTurn(Turn.describePrompt(prompt.text));
+        turn.promptId = prompt.id;
+        turn.timestamp = new Date(prompt.timestamp || operation.timestamp);
+        turn.startTime = turn.timestamp;
+        turnsByPrompt.set(prompt.id, turn);
+        turns.push(turn);
+      }
+
+      this.addOperationToTurn(operation.id, turn.id);
+      turn.endTime = new Date(operation.timestamp);
+      turn.completed = true;
+    }
+
+    if (withoutPrompt.length > 0) {
+      // Saves the prompt turns along with its own
+      turns.push(...await this.groupOperationsIntoTurns(withoutPrompt, timeGapMs));
+    } else {
+      await this.saveTurns();
+    }
+
+    return turns;
+  }
+
   /**
    * Group operations into turns based on time gaps
    * Operations with gaps > timeGapMs belong to different turns
@@ -135,24 +301,21 @@ export class TurnManager {
         (lastOpTime && (opTime - lastOpTime) > timeGapMs);
 
       if (needNewTurn) {
-        // Complete previous turn
-        if (currentTurn) {
-          currentTurn.complete();
-        }
-        
-        // Create new turn
+        // Create new turn, dated by its operations rather than by when grouping ran
         currentTurn = this.createTurn();
+        currentTurn.timestamp = opTime;
+        currentTurn.startTime = opTime;
         turns.push(currentTurn);
       }
 
       // Add operation to current turn
       this.addOperationToTurn(operation.id, currentTurn.id);
+      currentTurn.endTime = opTime;
       lastOpTime = opTime;
     }
 
-    // Complete the last turn
-    if (currentTurn) {
-      currentTurn.complete();
+    for (const turn of turns) {
+      turn.completed = true;
     }
 
     // Generate descriptions for turns
@@ -216,6 +379,7 @@ export class TurnManager {
           // If turn has no operations left, remove it
           if (turn.operations.length === 0) {
             this.turns.delete(turnId);
+            this.removedTurnIds.add(turnId);
           }
         }
         this.operationToTurn.delete(opId);
@@ -223,4 +387,21 @@ export class TurnManager {
     }
     await this.saveTurns();
   }
+
+  /**
+   * Remove whole turns and their operation mappings
+   */
+  async removeTurns(turnIds) {
+    for (const turnId of turnIds) {
+      const turn = this.turns.get(turnId);
+      if (turn) {
+        for (const opId of turn.operations) {
+          this.operationToTurn.delete(opId);
+        }
+        this.turns.delete(turnId);
+        this.removedTurnIds.add(turnId);
+      }
+    }
+    await this.saveTurns();
+  }
 }
\ No newline at end of file
@@ -1,14 +1,17 @@
 import { UndoManager } from './UndoManager.js';
 import { TurnManager } from './TurnManager.js';
 import { Turn } from './Turn.js';
+import { UndoTransaction } from './UndoTransaction.js';
+import { ConflictDetector } from './ConflictDetector.js';
+import { FileIdentity } from './FileIdentity.js';
 
 /**
- * TurnUndoManager handles undoing entire conversation turns
+ * TurnUndoManager handles undoing entire conversation turns of one session
  */
 export class TurnUndoManager {
-  constructor() {
-    this.undoManager = new UndoManager();
-    this.turnManager = new TurnManager();
+  constructor(options = {}) {
+    this.undoManager = new UndoManager(options);
+    this.turnManager = new TurnManager({ session: options.session });
   }
 
   async init() {
@@ -20,9 +23,10 @@ export class TurnUndoManager {
    * Undo an entire turn
    * @param {string} turnId - The ID of the turn to undo
    * @param {Array} allOperations - All operations from the session
+   * @param {Object} options - { allowPartial, conflictMode } passed to the undo transaction
    * @returns {Object} Result of the undo operation
    */
-  async undoTurn(turnId, allOperations) {
+  async undoTurn(turnId, allOperations, options = {}) {
     const turn = this.turnManager.getTurn(turnId);
     if (!turn) {
       return {
@@ -47,52 +51,9 @@ export class TurnUndoManager {
     console.log(`   Operations: ${turnOperations.length}`);
     console.log(`   Time: ${turn.startTime.toLocaleString()}`);
 
-    let successCount = 0;
-    let failCount = 0;
-    const results = [];
+    const outcome = await this.runUndo(turnOperations, options);
 
-    // Undo each operation in reverse order
-    for (const operation of turnOperations) {
-      try {
-        const result = await this.undoManager.undo(operation);
-        results.push(result);
-        
-        if (result.success) {
-          successCount++;
-          console.log(`   ✅ ${result.message}`);
-          if (result.backupPath) {
-            console.log(`      Backup: ${result.backupPath}`);
-          }
-        } else {
-          failCount++;
-          console.log(`   ❌ ${result.message}`);
-        }
-      } catch (error) {
-        failCount++;
-        console.log(`   ❌ Failed to undo ${operation.type}: ${error.message}`);
-        results.push({
-          success: false,
-          message: error.message
-        });
-      }
-    }
-
-    // Remove operations from the turn tracking
-    if (successCount > 0) {
-      const successfulOpIds = turnOperations
-        .filter((_, index) => results[index]?.success)
-        .map(op => op.id);
-      
-      await this.turnManager.removeOperationsFromTurns(successfulOpIds);
-    }
-
-    return {
-      success: successCount > 0,
-      message: `Turn undo completed: ${successCount} successful, ${failCount} failed`,
-      successCount,
-      failCount,
-      results
-    };
+    return this.summarize(outcome, 'Turn undo');
   }
 
   /**
@@ -140,15 +101,19 @@ export class TurnUndoManager {
   }
 
   /**
-   * Group existing operations into turns automatically
+   * Group existing operations into turns automatically: one turn per user
+   * prompt, with time gaps deciding for operations whose prompt is unknown
+   * @param {Array} prompts - The session's user prompts, see ClaudeSessionParser.readSessionPrompts
    */
-  async autoGroupOperations(operations, timeGapMinutes = 5) {
+  async autoGroupOperations(operations, timeGapMinutes = 5, prompts = []) {
     const timeGapMs = timeGapMinutes * 60 * 1000;
-    const turns = await this.turnManager.groupOperationsIntoTurns(operations, timeGapMs);
+    const turns = await this.turnManager.groupOperationsByPrompts(operations, prompts, timeGapMs);
+    const promptTurns = turns.filter(turn => turn.promptId).length;
     
     return {
       success: true,
-      message: `Created ${turns.length} turns from ${operations.length} operations`,
+      message: `Created ${turns.length} turns from ${operations.length} operations` +
+        (promptTurns < turns.length ? ` (${turns.length - promptTurns} by time gap)` : ''),
       turns: turns.length,
       operations: operations.length
     };
@@ -158,9 +123,10 @@ export class TurnUndoManager {
    * Preview what would be undone for a turn without making changes
    * @param {string} turnId - The ID of the turn to preview
    * @param {Array} allOperations - All operations from the session
+   * @param {Object} options - { contextLines } for diff previews
    * @returns {Object} Preview information
    */
-  async previewTurn(turnId, allOperations) {
+  async previewTurn(turnId, allOperations, options = {}) {
     const turn = this.turnManager.getTurn(turnId);
     if (!turn) {
       return {
@@ -171,7 +137,7 @@ export class TurnUndoManager {
 
     // Get cascaded operations (including the target turn and future turns)
     const cascadeInfo = this.getCascadedTurnsForUndo(turnId, allOperations);
-    const cascadedOperations = cascadeInfo.operations;
+    const cascadedOperations = this.locate(cascadeInfo.operations, allOperations);
 
     if (cascadedOperations.length === 0) {
       return {
@@ -181,16 +147,20 @@ export class TurnUndoManager {
     }
 
     const { OperationPreview } = await import('./OperationPreview.js');
+    const conflicts = await ConflictDetector.detect(cascadedOperations, allOperations);
     const previews = [];
 
     // Generate preview for each operation
     for (const operation of cascadedOperations) {
       try {
-        const preview = await OperationPreview.generatePreview(operation);
+        const preview = await OperationPreview.generatePreview(operation, {
+          conflict: conflicts.get(operation.id),
+          contextLines: options.contextLines
+        });
         previews.push({
           operation,
           preview: preview.preview,
-          canUndo: preview.canUndo || true,
+          canUndo: preview.canUndo !== false,
           warning: preview.warning || null
         });
       } catch (error) {
@@ -209,24 +179,32 @@ export class TurnUndoManager {
       cascadeInfo,
       operations: cascadedOperations,
       previews,
+      conflicts,
       summary: {
         totalOperations: cascadedOperations.length,
         cascadedTurns: cascadeInfo.turns.length,
         canUndoCount: previews.filter(p => p.canUndo).length,
         warningCount: previews.filter(p => p.warning).length,
+        conflictCount: conflicts.size,
         estimatedDuration: turn.getDuration()
       }
     };
   }
 
   /**
-   * Undo ungrouped operations
+   * Operations that are not assigned to any turn, most recent first
    */
-  async undoUngroupedOperations(allOperations) {
-    // Get operations that aren't assigned to any turn
-    const ungroupedOps = allOperations.filter(op => 
+  getUngroupedOperations(allOperations) {
+    return allOperations.filter(op => 
       !this.turnManager.getTurnForOperation(op.id)
-    ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)); // Reverse chronological order
+    ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Undo ungrouped operations
+   */
+  async undoUngroupedOperations(allOperations, options = {}) {
+    const ungroupedOps = this.getUngroupedOperations(allOperations);
 
     if (ungroupedOps.length === 0) {
       return {
@@ -238,43 +216,9 @@ export class TurnUndoManager {
     console.log(`\n🔄 Undoing ungrouped operations`);
     console.log(`   Operations: ${ungroupedOps.length}`);
 
-    let successCount = 0;
-    let failCount = 0;
-    const results = [];
-
-    // Undo each operation in reverse order
-    for (const operation of ungroupedOps) {
-      try {
-        const result = await this.undoManager.undo(operation);
-        results.push(result);
-        
-        if (result.success) {
-          successCount++;
-          console.log(`   ✅ ${result.message}`);
-          if (result.backupPath) {
-            console.log(`      Backup: ${result.backupPath}`);
-          }
-        } else {
-          failCount++;
-          console.log(`   ❌ ${result.message}`);
-        }
-      } catch (error) {
-        failCount++;
-        console.log(`   ❌ Failed to undo ${operation.type}: ${error.message}`);
-        results.push({
-          success: false,
-          message: error.message
-        });
-      }
-    }
+    const outcome = await this.runUndo(this.locate(ungroupedOps, allOperations), options);
 
-    return {
-      success: successCount > 0,
-      message: `Ungrouped undo completed: ${successCount} successful, ${failCount} failed`,
-      successCount,
-      failCount,
-      results
-    };
+    return this.summarize(outcome, 'Ungrouped undo');
   }
 
   /**
@@ -312,7 +256,7 @@ export class TurnUndoManager {
   /**
    * Undo turn with cascading logic
    */
-  async undoTurnWithCascading(turnId, allOperations) {
+  async undoTurnWithCascading(turnId, allOperations, options = {}) {
     const cascadeInfo = this.getCascadedTurnsForUndo(turnId, allOperations);
     
     if (cascadeInfo.turns.length === 0) {
@@ -341,52 +285,74 @@ export class TurnUndoManager {
     }
     console.log(`   Total operations: ${cascadeInfo.operations.length}`);
 
-    let successCount = 0;
-    let failCount = 0;
-    const results = [];
+    const outcome = await this.runUndo(this.locate(cascadeInfo.operations, allOperations), options);
 
-    // Undo each operation in reverse chronological order
-    for (const operation of cascadeInfo.operations) {
-      try {
-        const result = await this.undoManager.undo(operation);
-        results.push(result);
-        
-        if (result.success) {
-          successCount++;
-          console.log(`   ✅ ${result.message}`);
-          if (result.backupPath) {
-            console.log(`      Backup: ${result.backupPath}`);
-          }
-        } else {
-          failCount++;
-          console.log(`   ❌ ${result.message}`);
+    return {
+      ...this.summarize(outcome, 'Cascading undo', ` (${cascadedTurns.length} turns affected)`),
+      cascadedTurns: cascadedTurns.length
+    };
+  }
+
+  /**
+   * Point operations at where their files are now, following renames
+   * made after them that are not being undone too
+   */
+  locate(operations, allOperations) {
+    const chronological = [...allOperations].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    return new FileIdentity(chronological).locateAll(operations);
+  }
+
+  /**
+   * Undo operations as one transaction, printing each step.
+   * Operations that stay undone are removed from turn tracking.
+   */
+  async runUndo(operations, options = {}) {
+    const transaction = new UndoTransaction(this.undoManager, options);
+    
+    // Operations are already in reverse chronological order
+    const outcome = await transaction.run(operations, (operation, result) => {
+      if (result.skipped) {
+        console.log(`   ⏭️  ${result.message}`);
+      } else if (result.success) {
+        console.log(`   ✅ ${result.message}`);
+        if (result.snapshotId) {
+          console.log(`      Backup: snapshot ${result.snapshotId}`);
         }
-      } catch (error) {
-        failCount++;
-        console.log(`   ❌ Failed to undo ${operation.type}: ${error.message}`);
-        results.push({
-          success: false,
-          message: error.message
-        });
+        for (const backup of result.backups || []) {
+          console.log(`      Backup of ${backup.path}: snapshot ${backup.snapshotId}`);
+        }
+      } else {
+        console.log(`   ❌ ${result.message}`);
       }
+    });
+
+    if (outcome.rolledBack) {
+      console.log(`   ↩️  ${outcome.interrupted ? 'Interrupted' : 'Undo failed'}, all changes rolled back`);
     }
 
-    // Remove successful operations from turn tracking
-    if (successCount > 0) {
-      const successfulOpIds = cascadeInfo.operations
-        .filter((_, index) => results[index]?.success)
-        .map(op => op.id);
-      
-      await this.turnManager.removeOperationsFromTurns(successfulOpIds);
+    if (outcome.undoneOperations.length > 0) {
+      await this.turnManager.removeOperationsFromTurns(outcome.undoneOperations.map(op => op.id));
     }
 
+    return outcome;
+  }
+
+  /**
+   * Build the result object returned by the turn undo methods
+   */
+  summarize(outcome, label, suffix = '') {
+    const message = outcome.rolledBack
+      ? `${label} rolled back: ${outcome.interrupted ? 'interrupted' : `${outcome.failCount} failed`}, no changes kept${suffix}`
+      : `${label} completed: ${outcome.successCount} successful, ${outcome.failCount} failed${suffix}`;
+
     return {
-      success: successCount > 0,
-      message: `Cascading undo completed: ${successCount} successful, ${failCount} failed (${cascadedTurns.length} turns affected)`,
-      successCount,
-      failCount,
-      results,
-      cascadedTurns: cascadedTurns.length
+      success: outcome.success,
+      message,
+      successCount: outcome.successCount,
+      failCount: outcome.failCount,
+      rolledBack: outcome.rolledBack,
+      results: outcome.results.map(r => r.result),
+      undoneOperationIds: outcome.undoneOperations.map(op => op.id)
     };
   }
 
@@ -1,23 +1,49 @@
 import fs from 'fs/promises';
 import path from 'path';
-import os from 'os';
 import { OperationType } from './Operation.js';
+import { SnapshotStore } from './SnapshotStore.js';
+import { ConflictDetector } from './ConflictDetector.js';
+import { createPatch, reversePatch, applyPatch } from '../utils/patch.js';
+import { merge3 } from '../utils/diff.js';
+import { hashContent } from '../utils/hash.js';
+import { parseNotebook, formatNotebook, getCellSource, setCellSource, findCellIndex, findInsertedCell } from '../utils/notebook.js';
 
 export class UndoManager {
-  constructor() {
-    this.backupDir = path.join(os.homedir(), '.ccundo', 'backups');
+  constructor(options = {}) {
+    this.session = options.session || null;
+    this.snapshotStore = options.snapshotStore || new SnapshotStore();
   }
 
   async init() {
-    await fs.mkdir(this.backupDir, { recursive: true });
+    await this.snapshotStore.init();
   }
 
-  async undo(operation) {
+  /**
+   * Keep a copy of content in the snapshot store before it gets replaced
+   */
+  async backup(operation, filePath, content, reason) {
+    const snapshot = await this.snapshotStore.save(content, {
+      filePath,
+      operationId: operation.id,
+      session: this.session,
+      reason
+    });
+    return { backupPath: snapshot.objectPath, snapshotId: snapshot.id };
+  }
+
+  /**
+   * Undo a single operation
+   * @param {Object} operation - The operation to undo
+   * @param {Object} options - { conflictMode: 'force'|'merge' } for files changed since the operation
+   */
+  async undo(operation, options = {}) {
     switch (operation.type) {
       case OperationType.FILE_CREATE:
         return await this.undoFileCreate(operation);
       case OperationType.FILE_EDIT:
-        return await this.undoFileEdit(operation);
+        return await this.undoFileEdit(operation, options);
+      case OperationType.FILE_OVERWRITE:
+        return await this.undoFileOverwrite(operation, options);
       case OperationType.FILE_DELETE:
         return await this.undoFileDelete(operation);
       case OperationType.FILE_RENAME:
@@ -25,9 +51,11 @@ export class UndoManager {
       case OperationType.DIRECTORY_CREATE:
         return await this.undoDirectoryCreate(operation);
       case OperationType.DIRECTORY_DELETE:
-        return await this.undoDirectoryDelete(operation);
+        return await this.undoDirectoryDelete(operation, options);
+      case OperationType.NOTEBOOK_EDIT:
+        return await this.undoNotebookEdit(operation, options);
       case OperationType.BASH_COMMAND:
-        return await this.undoBashCommand(operation);
+        return await this.undoBashCommand(operation, options);
       default:
         throw new Error(`Unknown operation type: ${operation.type}`);
     }
@@ -35,17 +63,16 @@ export class UndoManager {
 
   async undoFileCreate(operation) {
     const { filePath } = operation.data;
-    const backupPath = path.join(this.backupDir, `${operation.id}-deleted`);
     
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      await fs.writeFile(backupPath, content);
+      const backup = await this.backup(operation, filePath, content, 'deleted');
       await fs.unlink(filePath);
       
       return {
         success: true,
         message: `File deleted: ${filePath}`,
-        backupPath
+        ...backup
       };
     } catch (error) {
       return {
@@ -55,59 +82,146 @@ export class UndoManager {
     }
   }
 
-  async undoFileEdit(operation) {
-    const { filePath, originalContent, oldString, newString, replaceAll, edits, isMultiEdit } = operation.data;
+  /**
+   * Work out the content to revert to when the file no longer matches what
+   * the operation produced. 'force' goes back to the pre-operation content,
+   * discarding later changes; 'merge' reverts only the operation's own
+   * change and keeps the rest. Returns null if neither applies.
+   */
+  resolveConflict(operation, currentContent, conflictMode) {
+    const { beforeContent, afterContent, originalContent } = operation.data;
+    const previousContent = typeof beforeContent === 'string' ? beforeContent : (originalContent || null);
     
-    try {
-      const currentContent = await fs.readFile(filePath, 'utf8');
-      const backupPath = path.join(this.backupDir, `${operation.id}-current`);
-      await fs.writeFile(backupPath, currentContent);
-      
-      let revertedContent = currentContent;
-      
-      if (originalContent) {
-        // Legacy mode: we have the full original content (from local tracking)
-        revertedContent = originalContent;
-      } else if (isMultiEdit && edits) {
-        // Handle MultiEdit by reversing each edit in reverse order
-        for (let i = edits.length - 1; i >= 0; i--) {
-          const edit = edits[i];
-          if (edit.new_string && edit.old_string !== undefined) {
-            // Try to replace new_string back with old_string
-            if (revertedContent.includes(edit.new_string)) {
-              revertedContent = revertedContent.replace(edit.new_string, edit.old_string);
-            }
+    if (previousContent === null || typeof afterContent !== 'string' || currentContent === afterContent) {
+      return conflictMode === 'force' && previousContent !== null
+        ? { content: previousContent, conflicts: 0 }
+        : null;
+    }
+    
+    if (conflictMode === 'force') {
+      return { content: previousContent, conflicts: 0 };
+    }
+    if (conflictMode === 'merge') {
+      return this.revertAsPatch(operation, currentContent);
+    }
+    return null;
+  }
+
+  /**
+   * The operation's change as patch hunks that take the file back to how
+   * it was before, or null if there is not enough data to build them
+   */
+  getRevertPatch(operation) {
+    const { beforeContent, afterContent, originalContent, structuredPatch } = operation.data;
+    const previousContent = typeof beforeContent === 'string' ? beforeContent : (originalContent || null);
+    
+    if (previousContent !== null && typeof afterContent === 'string') {
+      return createPatch(afterContent, previousContent);
+    }
+    if (Array.isArray(structuredPatch) && structuredPatch.length > 0) {
+      return reversePatch(structuredPatch);
+    }
+    return null;
+  }
+
+  /**
+   * Reverse-apply the operation's change to a file that has been edited
+   * since, keeping the later edits. Hunks that clash with them are left
+   * between conflict markers.
+   * @returns {Object|null} { content, conflicts }, or null without patch data
+   */
+  revertAsPatch(operation, currentContent) {
+    const hunks = this.getRevertPatch(operation);
+    if (!hunks) return null;
+    
+    const { content, conflicts } = applyPatch(currentContent, hunks);
+    return { content, conflicts };
+  }
+
+  /**
+   * Content a file edit undo would write, given what the file holds now
+   * @returns {Object} { content, conflicts }, or { error } if the edit cannot be reverted
+   */
+  getRevertedContent(operation, currentContent, options = {}) {
+    const { filePath, originalContent, beforeContent, afterContent, oldString, newString, replaceAll, edits, isMultiEdit } = operation.data;
+    
+    const resolved = this.resolveConflict(operation, currentContent, options.conflictMode);
+    if (resolved) {
+      return resolved;
+    }
+    
+    if (typeof beforeContent === 'string' && currentContent === afterContent) {
+      // Exact restore: the file is still exactly what the edit produced
+      return { content: beforeContent, conflicts: 0 };
+    }
+    
+    if (this.getRevertPatch(operation)) {
+      // Revert just the edit's own hunks, keeping anything changed since
+      return this.revertAsPatch(operation, currentContent);
+    }
+    
+    if (originalContent) {
+      // Legacy mode: we have the full original content (from local tracking)
+      return { content: originalContent, conflicts: 0 };
+    }
+    
+    let revertedContent = currentContent;
+    
+    if (isMultiEdit && edits) {
+      // Handle MultiEdit by reversing each edit in reverse order
+      for (let i = edits.length - 1; i >= 0; i--) {
+        const edit = edits[i];
+        if (edit.new_string && edit.old_string !== undefined) {
+          // Try to replace new_string back with old_string
+          if (revertedContent.includes(edit.new_string)) {
+            revertedContent = revertedContent.replace(edit.new_string, edit.old_string);
           }
         }
-      } else if (oldString !== undefined && newString) {
-        // Handle single Edit operation - reverse the string replacement
-        if (replaceAll) {
-          // Replace all occurrences
-          revertedContent = revertedContent.split(newString).join(oldString);
+      }
+    } else if (oldString !== undefined && newString) {
+      // Handle single Edit operation - reverse the string replacement
+      if (replaceAll) {
+        // Replace all occurrences
+        revertedContent = revertedContent.split(newString).join(oldString);
+      } else {
+        // Replace first occurrence only
+        if (revertedContent.includes(newString)) {
+          revertedContent = revertedContent.replace(newString, oldString);
         } else {
-          // Replace first occurrence only
-          if (revertedContent.includes(newString)) {
-            revertedContent = revertedContent.replace(newString, oldString);
-          } else {
-            return {
-              success: false,
-              message: `Cannot undo edit: expected string not found in ${filePath}`
-            };
-          }
+          return { error: `Cannot undo edit: expected string not found in ${filePath}` };
         }
-      } else {
+      }
+    } else {
+      return { error: `Cannot undo file edit: insufficient data for ${filePath}` };
+    }
+    
+    return { content: revertedContent, conflicts: 0 };
+  }
+
+  async undoFileEdit(operation, options = {}) {
+    const { filePath } = operation.data;
+    
+    try {
+      const currentContent = await fs.readFile(filePath, 'utf8');
+      const reverted = this.getRevertedContent(operation, currentContent, options);
+      
+      if (reverted.error) {
         return {
           success: false,
-          message: `Cannot undo file edit: insufficient data for ${filePath}`
+          message: reverted.error
         };
       }
       
-      await fs.writeFile(filePath, revertedContent);
+      const backup = await this.backup(operation, filePath, currentContent, 'current');
+      await fs.writeFile(filePath, reverted.content);
       
       return {
         success: true,
-        message: `File edit reverted: ${filePath}`,
-        backupPath
+        message: reverted.conflicts > 0
+          ? `File edit reverted with ${reverted.conflicts} conflict(s) marked: ${filePath}`
+          : `File edit reverted: ${filePath}`,
+        conflicts: reverted.conflicts,
+        ...backup
       };
     } catch (error) {
       return {
@@ -117,18 +231,102 @@ export class UndoManager {
     }
   }
 
-  async undoFileDelete(operation) {
-    const { filePath, content } = operation.data;
+  /**
+   * Content an overwrite undo would write. currentContent is null if the file is gone.
+   * @returns {Object} { content, conflicts }, or { error } if there is nothing to restore
+   */
+  getPreviousContent(operation, currentContent, options = {}) {
+    const { filePath, beforeContent, originalContent } = operation.data;
+    const previousContent = beforeContent ?? originalContent;
+    
+    if (typeof previousContent !== 'string') {
+      return { error: `Cannot restore previous content: not available for ${filePath}` };
+    }
+    
+    if (options.conflictMode === 'merge' && currentContent !== null) {
+      const resolved = this.resolveConflict(operation, currentContent, 'merge');
+      if (resolved) return resolved;
+    }
+    
+    return { content: previousContent, conflicts: 0 };
+  }
+
+  async undoFileOverwrite(operation, options = {}) {
+    const { filePath } = operation.data;
     
-    if (!content) {
+    try {
+      let currentContent = null;
+      try {
+        currentContent = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      
+      const previous = this.getPreviousContent(operation, currentContent, options);
+      if (previous.error) {
+        return {
+          success: false,
+          message: previous.error
+        };
+      }
+      
+      const backup = currentContent !== null
+        ? await this.backup(operation, filePath, currentContent, 'current')
+        : {};
+      
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, previous.content);
+      if (currentContent === null && operation.data.preImage?.mode !== undefined) {
+        await fs.chmod(filePath, operation.data.preImage.mode);
+      }
+      
+      return {
+        success: true,
+        message: previous.conflicts > 0
+          ? `Previous content restored with ${previous.conflicts} conflict(s) marked: ${filePath}`
+          : `Previous content restored: ${filePath}`,
+        conflicts: previous.conflicts,
+        ...backup
+      };
+    } catch (error) {
       return {
         success: false,
-        message: `Cannot restore file: content not available for ${filePath}`
+        message: `Failed to undo file overwrite: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Put a file back the way the local tracker saw it before a tool ran:
+   * its content and mode, or the link a symlink pointed to
+   */
+  async restorePreImage(filePath, preImage, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    if (preImage?.type === 'symlink') {
+      await fs.symlink(preImage.target, filePath);
+      return;
+    }
+    await fs.writeFile(filePath, content);
+    if (preImage?.mode !== undefined) {
+      await fs.chmod(filePath, preImage.mode);
+    }
+  }
+
+  async undoFileDelete(operation) {
+    const { filePath, content, preImage } = operation.data;
+    
+    // Session files record no content for deletes; the local tracker does, even when it is empty.
+    // Without it there is nothing to restore, which shouldn't hold back the rest of an undo
+    if (!content && !preImage?.exists) {
+      return {
+        success: true,
+        skipped: true,
+        message: `Not restored, its content was not recorded: ${filePath}`
       };
     }
     
     try {
-      await fs.writeFile(filePath, content);
+      await this.restorePreImage(filePath, preImage, content);
       
       return {
         success: true,
@@ -143,14 +341,21 @@ export class UndoManager {
   }
 
   async undoFileRename(operation) {
-    const { oldPath, newPath } = operation.data;
+    const { oldPath, newPath, targetPreImage } = operation.data;
     
     try {
       await fs.rename(newPath, oldPath);
       
+      // The rename replaced a file that was already at newPath
+      if (targetPreImage?.exists && targetPreImage.type !== 'directory') {
+        await this.restorePreImage(newPath, targetPreImage, targetPreImage.content ?? '');
+      }
+      
       return {
         success: true,
-        message: `File renamed back: ${newPath} → ${oldPath}`
+        message: targetPreImage?.exists && targetPreImage.type !== 'directory'
+          ? `File renamed back: ${newPath} → ${oldPath} (replaced file restored)`
+          : `File renamed back: ${newPath} → ${oldPath}`
       };
     } catch (error) {
       return {
@@ -160,15 +365,33 @@ export class UndoManager {
     }
   }
 
+  /**
+   * Remove the directories the operation created: the one it names and,
+   * for mkdir -p, the parents it had to make. Whatever later operations
+   * put inside is undone before this runs, so entries still there weren't
+   * created by ccundo and the directories holding them are kept.
+   */
   async undoDirectoryCreate(operation) {
-    const { dirPath } = operation.data;
+    const { dirPath, createdDirs } = operation.data;
+    const dirs = [...(createdDirs || [dirPath])].sort((a, b) => b.length - a.length);
+    let kept = null;
     
     try {
-      await fs.rmdir(dirPath);
+      for (const dir of dirs) {
+        try {
+          await fs.rmdir(dir);
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') throw error;
+          kept = kept || { dir, count: (await fs.readdir(dir)).length };
+        }
+      }
       
       return {
         success: true,
-        message: `Directory removed: ${dirPath}`
+        message: kept
+          ? `Directory kept: ${kept.dir} holds ${kept.count} entries ccundo didn't create`
+          : `Directory removed: ${dirPath}`
       };
     } catch (error) {
       return {
@@ -178,15 +401,81 @@ export class UndoManager {
     }
   }
 
-  async undoDirectoryDelete(operation) {
-    const { dirPath } = operation.data;
+  /**
+   * Whether a directory delete removed contents that were not recorded,
+   * so undoing it could only bring back an empty directory
+   */
+  static hasUnrecordedContents(operation) {
+    const { preImage, tree, recursive } = operation.data;
+    return !tree && (recursive || preImage?.entries?.length > 0);
+  }
+
+  /**
+   * Whether a Bash command has neither recorded changes nor file effects
+   * ccundo could detect, like ls or npm test, so undo has nothing to do
+   */
+  static hasNoFileEffects(operation) {
+    const { effects = [], changes } = operation.data;
+    return !changes && effects.length === 0;
+  }
+
+  async undoDirectoryDelete(operation, options = {}) {
+    const { dirPath, preImage, tree } = operation.data;
+    
+    if (UndoManager.hasUnrecordedContents(operation)) {
+      return {
+        success: false,
+        message: `Cannot restore directory: its contents were not recorded: ${dirPath}`
+      };
+    }
     
     try {
-      await fs.mkdir(dirPath, { recursive: true });
+      if (!tree) {
+        await fs.mkdir(dirPath, { recursive: true });
+        if (preImage?.mode !== undefined) {
+          await fs.chmod(dirPath, preImage.mode);
+        }
+        return {
+          success: true,
+          message: `Directory restored: ${dirPath}`
+        };
+      }
       
+      const missing = [];
+      for (const entry of tree.filter(entry => entry.type === 'file' && entry.hash)) {
+        const exists = await fs.access(this.snapshotStore.getObjectPath(entry.hash)).then(() => true).catch(() => false);
+        if (!exists) missing.push(path.join(dirPath, entry.path));
+      }
+      if (missing.length > 0) {
+        return {
+          success: false,
+          message: `Cannot restore directory: the backup of ${missing.length} file(s) in ${dirPath} is gone, e.g. ${missing[0]}`
+        };
+      }
+      const conflicts = await ConflictDetector.checkTree(dirPath, tree);
+      if (conflicts.length > 0 && options.conflictMode !== 'force') {
+        return {
+          success: false,
+          message: `Cannot restore directory: ${conflicts.length} path(s) in ${dirPath} now hold something else, e.g. ${conflicts[0]} (use --on-conflict force to replace them)`
+        };
+      }
+      
+      // Files about to be replaced are kept, like any content undo overwrites
+      for (const conflict of conflicts) {
+        const stat = await fs.lstat(conflict);
+        if (stat.isFile()) {
+          await this.backup(operation, conflict, await fs.readFile(conflict), 'current');
+        } else if (stat.isDirectory()) {
+          await this.snapshotStore.saveTree(conflict, { operationId: operation.id, session: this.session, reason: 'current' });
+        }
+      }
+      
+      const { restored, missing: tooLarge } = await this.snapshotStore.restoreTree(dirPath, tree, preImage?.mode ?? null);
       return {
         success: true,
-        message: `Directory restored: ${dirPath}`
+        message: tooLarge.length > 0
+          ? `Directory restored with ${restored} entries, without ${tooLarge.length} file(s) too large to keep: ${dirPath}`
+          : `Directory restored with ${restored} entries: ${dirPath}`
       };
     } catch (error) {
       return {
@@ -196,12 +485,236 @@ export class UndoManager {
     }
   }
 
-  async undoBashCommand(operation) {
-    const { command } = operation.data;
+  /**
+   * Notebook content a cell edit undo would write. Only the edited cell is
+   * touched, so other cells and outputs changed since are kept. If the cell
+   * itself changed since, 'force' reverts it anyway and 'merge' reverts
+   * only Claude's part of its source.
+   * @returns {Object} { content, conflicts, cell: { id, before, after } } with the
+   *   cell's source before and after (null where there is no cell), or { error }
+   */
+  getRevertedNotebook(operation, currentContent, options = {}) {
+    const { filePath, editMode, cellId, newSource, oldCell, cellIndex } = operation.data;
+    
+    let notebook;
+    try {
+      notebook = parseNotebook(currentContent);
+    } catch (error) {
+      return { error: `Cannot undo notebook edit: ${filePath} is not a valid notebook (${error.message})` };
+    }
+    
+    if (editMode === 'delete') {
+      if (!oldCell) {
+        return { error: `Cannot restore notebook cell: its content is not available for ${filePath}` };
+      }
+      if (oldCell.id && findCellIndex(notebook, oldCell.id) !== -1) {
+        return { error: `Cannot restore notebook cell ${oldCell.id}: it already exists in ${filePath}` };
+      }
+      notebook.cells.splice(Math.min(cellIndex ?? notebook.cells.length, notebook.cells.length), 0, oldCell);
+      return {
+        content: formatNotebook(notebook, currentContent),
+        conflicts: 0,
+        cell: { id: cellId, before: null, after: getCellSource(oldCell) }
+      };
+    }
+    
+    const index = editMode === 'insert'
+      ? findInsertedCell(notebook, operation.data)
+      : findCellIndex(notebook, cellId);
+    if (index === -1) {
+      return { error: `Cannot undo notebook edit: cell ${cellId || '(inserted)'} not found in ${filePath}` };
+    }
+    
+    const cell = notebook.cells[index];
+    const currentSource = getCellSource(cell);
+    const previousSource = editMode === 'insert' ? '' : (oldCell ? getCellSource(oldCell) : null);
+    if (previousSource === null) {
+      return { error: `Cannot undo notebook edit: the previous source of cell ${cellId} is not available for ${filePath}` };
+    }
+    
+    let source = previousSource;
+    let conflicts = 0;
+    if (currentSource !== newSource) {
+      if (options.conflictMode === 'merge') {
+        ({ content: source, conflicts } = merge3(newSource, currentSource, previousSource));
+      } else if (options.conflictMode !== 'force') {
+        return { error: `Cannot undo notebook edit: cell ${cell.id || cellId} in ${filePath} changed since` };
+      }
+    }
+    
+    if (editMode === 'insert' && source === '') {
+      notebook.cells.splice(index, 1);
+    } else if (editMode !== 'insert' && source === previousSource) {
+      // Cell type and outputs go back to how they were too
+      notebook.cells[index] = oldCell;
+    } else {
+      setCellSource(cell, source);
+    }
+    
+    return {
+      content: formatNotebook(notebook, currentContent),
+      conflicts,
+      cell: {
+        id: cell.id || cellId,
+        before: currentSource,
+        after: editMode === 'insert' && source === '' ? null : source
+      }
+    };
+  }
+
+  async undoNotebookEdit(operation, options = {}) {
+    const { filePath } = operation.data;
+    
+    try {
+      const currentContent = await fs.readFile(filePath, 'utf8');
+      const reverted = this.getRevertedNotebook(operation, currentContent, options);
+      
+      if (reverted.error) {
+        return {
+          success: false,
+          message: reverted.error
+        };
+      }
+      
+      const backup = await this.backup(operation, filePath, currentContent, 'current');
+      await fs.writeFile(filePath, reverted.content);
+      
+      return {
+        success: true,
+        message: reverted.conflicts > 0
+          ? `Notebook cell reverted with ${reverted.conflicts} conflict(s) marked: ${filePath}`
+          : `Notebook cell reverted: ${filePath}`,
+        conflicts: reverted.conflicts,
+        ...backup
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to undo notebook edit: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * What undoing a snapshotted Bash command writes to each file it changed:
+   * the content from before the command, or null where the command created
+   * the file. A file changed again since needs 'force', or 'merge' when
+   * the command modified it rather than creating or deleting it.
+   * @param {Function} readCurrent - async (path) => content now, null if missing
+   * @returns {Object} { files: [{ path, content, mode, current }], conflicts } or { error }
+   */
+  async getRevertedBashChanges(operation, readCurrent, options = {}) {
+    const files = [];
+    let conflicts = 0;
+    
+    for (const change of operation.data.changes) {
+      if (change.before && !change.before.hash) {
+        return { error: `Cannot undo bash command: ${change.path} was too large to keep a copy of` };
+      }
+      
+      let content = null;
+      try {
+        content = change.before ? await this.snapshotStore.read(change.before, null) : null;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { error: `Cannot undo bash command: the copy of ${change.path} from before it ran is gone` };
+      }
+      
+      const current = await readCurrent(change.path);
+      const currentHash = current === null ? null : hashContent(current);
+      const afterHash = change.after?.hash ?? null;
+      // Large files were only tracked by size and mtime, so there is nothing to compare
+      const unchanged = currentHash === afterHash || (change.after && !afterHash);
+      
+      if (!unchanged) {
+        if (options.conflictMode === 'merge' && change.change === 'modified' && current !== null) {
+          const after = await this.snapshotStore.read(change.after, 'utf8');
+          const merged = merge3(after, current.toString('utf8'), content.toString('utf8'));
+          content = merged.content;
+          conflicts += merged.conflicts;
+        } else if (options.conflictMode !== 'force') {
+          return { error: `Cannot undo bash command: ${change.path} changed since it ran` };
+        }
+      }
+      
+      files.push({ path: change.path, content, mode: change.before?.mode, current });
+    }
+    
+    return { files, conflicts };
+  }
+
+  async undoBashCommand(operation, options = {}) {
+    const { command, effects = [], changes, unanalyzed = [] } = operation.data;
+    
+    if (changes) {
+      return await this.undoBashChanges(operation, options);
+    }
+    
+    if (UndoManager.hasNoFileEffects(operation)) {
+      return {
+        success: true,
+        skipped: true,
+        message: unanalyzed.length > 0
+          ? `No file changes detected, skipped bash command: ${command}\nRevert by hand anything it changed.`
+          : `No file changes, skipped bash command: ${command}`
+      };
+    }
+    
+    const changed = [...new Set(effects.map(effect => effect.to || effect.path))];
     
     return {
       success: false,
-      message: `Cannot auto-undo bash command: ${command}\nPlease manually revert any changes.`
+      message: changed.length > 0
+        ? `Cannot auto-undo bash command: ${command}\nPlease manually revert changes to: ${changed.join(', ')}`
+        : `Cannot auto-undo bash command: ${command}\nPlease manually revert any changes.`
     };
   }
-}
\ No newline at end of file
+
+  async undoBashChanges(operation, options = {}) {
+    const { command } = operation.data;
+    const readCurrent = (filePath) => fs.readFile(filePath).catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    
+    try {
+      const reverted = await this.getRevertedBashChanges(operation, readCurrent, options);
+      if (reverted.error) {
+        return {
+          success: false,
+          message: reverted.error
+        };
+      }
+      
+      // One backup per file the undo replaces, each of which can be restored on its own
+      const backups = [];
+      for (const file of reverted.files) {
+        if (file.current !== null) {
+          const { snapshotId } = await this.backup(operation, file.path, file.current, 'current');
+          backups.push({ path: file.path, snapshotId });
+        }
+        if (file.content === null) {
+          await fs.rm(file.path, { force: true });
+        } else {
+          await fs.mkdir(path.dirname(file.path), { recursive: true });
+          await fs.writeFile(file.path, file.content);
+          if (file.mode) await fs.chmod(file.path, file.mode);
+        }
+      }
+      
+      return {
+        success: true,
+        message: reverted.conflicts > 0
+          ? `Bash command undone with ${reverted.conflicts} conflict(s) marked (${reverted.files.length} files): ${command}`
+          : `Bash command undone (${reverted.files.length} files): ${command}`,
+        conflicts: reverted.conflicts,
+        backups
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to undo bash command: ${error.message}`
+      };
+    }
+  }
+}
@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { OperationType } from './Operation.js';
+import { UndoManager } from './UndoManager.js';
+import { createPatch, formatPatch } from '../utils/patch.js';
+
+/**
+ * UndoPatch works out what undoing operations would write, without
+ * touching the working tree, and renders it as a unified diff.
+ * Operations are played against an in-memory copy of the files they touch,
+ * so several operations on the same file end up as one diff.
+ */
+export class UndoPatch {
+  constructor(undoManager, options = {}) {
+    this.undoManager = undoManager;
+    this.conflictMode = options.conflictMode || null;
+    this.baseDir = options.baseDir || process.cwd();
+    this.originals = new Map(); // path -> { content, mode } on disk, content null if missing
+    this.files = new Map(); // path -> content after the undos so far, null if removed
+  }
+
+  async read(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!this.files.has(resolved)) {
+      let content = null;
+      let mode = '100644';
+      try {
+        const stat = await fs.stat(resolved);
+        if (stat.isFile()) {
+          content = await fs.readFile(resolved, 'utf8');
+          if (stat.mode & 0o111) mode = '100755';
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.originals.set(resolved, { content, mode });
+      this.files.set(resolved, content);
+    }
+    return this.files.get(resolved);
+  }
+
+  async write(filePath, content) {
+    await this.read(filePath);
+    this.files.set(path.resolve(filePath), content);
+  }
+
+  /**
+   * Play the undo of one operation against the in-memory files
+   * @returns {Object} { success, message }, plus skipped for operations a patch cannot express
+   */
+  async add(operation) {
+    const { filePath } = operation.data;
+
+    switch (operation.type) {
+      case OperationType.FILE_CREATE: {
+        if (await this.read(filePath) === null) {
+          return { success: false, message: `Cannot undo file creation: ${filePath} does not exist` };
+        }
+        await this.write(filePath, null);
+        return { success: true, message: `Would delete ${filePath}` };
+      }
+
+      case OperationType.FILE_EDIT: {
+        const currentContent = await this.read(filePath);
+        if (currentContent === null) {
+          return { success: false, message: `Cannot undo file edit: ${filePath} does not exist` };
+        }
+        const reverted = this.undoManager.getRevertedContent(operation, currentContent, { conflictMode: this.conflictMode });
+        if (reverted.error) {
+          return { success: false, message: reverted.error };
+        }
+        await this.write(filePath, reverted.content);
+        return { success: true, message: this.describe('Would revert', filePath, reverted.conflicts) };
+      }
+
+      case OperationType.FILE_OVERWRITE: {
+        const previous = this.undoManager.getPreviousContent(operation, await this.read(filePath), { conflictMode: this.conflictMode });
+        if (previous.error) {
+          return { success: false, message: previous.error };
+        }
+        await this.write(filePath, previous.content);
+        return { success: true, message: this.describe('Would restore', filePath, previous.conflicts) };
+      }
+
+      case OperationType.FILE_DELETE: {
+        const { content, preImage } = operation.data;
+        if (!content && !preImage?.exists) {
+          return { success: true, skipped: true, message: `Not restored, its content was not recorded: ${filePath}` };
+        }
+        await this.write(filePath, content);
+        return { success: true, message: `Would restore ${filePath}` };
+      }
+
+      case OperationType.FILE_RENAME: {
+        const { oldPath, newPath } = operation.data;
+        const content = await this.read(newPath);
+        if (content === null) {
+          return { success: false, message: `Cannot undo rename: ${newPath} does not exist` };
+        }
+        await this.write(newPath, null);
+        await this.write(oldPath, content);
+        return { success: true, message: `Would rename back: ${newPath} → ${oldPath}` };
+      }
+
+      case OperationType.NOTEBOOK_EDIT: {
+        const currentContent = await this.read(filePath);
+        if (currentContent === null) {
+          return { success: false, message: `Cannot undo notebook edit: ${filePath} does not exist` };
+        }
+        const reverted = this.undoManager.getRevertedNotebook(operation, currentContent, { conflictMode: this.conflictMode });
+        if (reverted.error) {
+          return { success: false, message: reverted.error };
+        }
+        await this.write(filePath, reverted.content);
+        return { success: true, message: this.describe('Would revert cell in', filePath, reverted.conflicts) };
+      }
+
+      case OperationType.DIRECTORY_DELETE: {
+        const { dirPath, tree } = operation.data;
+        if (UndoManager.hasUnrecordedContents(operation)) {
+          return { success: false, message: `Cannot restore directory: its contents were not recorded: ${dirPath}` };
+        }
+        if (tree) {
+          // The files of a recorded tree come back as additions; empty directories and symlinks can't be diffed
+          for (const entry of tree.filter(entry => entry.type === 'file' && entry.hash)) {
+            const filePath = path.join(dirPath, entry.path);
+            await this.write(filePath, await this.undoManager.snapshotStore.read({ hash: entry.hash }));
+          }
+          return { success: true, message: `Would restore directory: ${dirPath}` };
+        }
+        return { success: true, skipped: true, message: `Directory changes are not included in patches: ${dirPath}` };
+      }
+
+      case OperationType.DIRECTORY_CREATE:
+        // Diffs only describe files, and this leaves file contents alone
+        return { success: true, skipped: true, message: `Directory changes are not included in patches: ${operation.data.dirPath}` };
+
+      case OperationType.BASH_COMMAND: {
+        if (UndoManager.hasNoFileEffects(operation)) {
+          return { success: true, skipped: true, message: `No file changes, skipped bash command: ${operation.data.command}` };
+        }
+        if (!operation.data.changes) {
+          return { success: false, message: `Cannot auto-undo bash command: ${operation.data.command}` };
+        }
+        const reverted = await this.undoManager.getRevertedBashChanges(operation, changedPath => this.read(changedPath), { conflictMode: this.conflictMode });
+        if (reverted.error) {
+          return { success: false, message: reverted.error };
+        }
+        for (const file of reverted.files) {
+          await this.write(file.path, file.content === null ? null : file.content.toString('utf8'));
+        }
+        return { success: true, message: this.describe('Would revert the files changed by', operation.data.command, reverted.conflicts) };
+      }
+
+      default:
+        return { success: false, message: `Unknown operation type: ${operation.type}` };
+    }
+  }
+
+  describe(action, filePath, conflicts) {
+    return conflicts > 0
+      ? `${action} ${filePath} with ${conflicts} conflict(s) marked`
+      : `${action} ${filePath}`;
+  }
+
+  /**
+   * Unified diff from the files on disk to the files after the undos,
+   * with paths relative to baseDir for `git apply` / `patch -p1`
+   */
+  render() {
+    const diffs = [];
+
+    for (const [filePath, content] of this.files) {
+      const original = this.originals.get(filePath);
+      if (content === original.content) continue;
+
+      const relativePath = path.relative(this.baseDir, filePath).split(path.sep).join('/');
+      const hunks = createPatch(original.content ?? '', content ?? '');
+      diffs.push(formatPatch(
+        hunks,
+        original.content === null ? null : relativePath,
+        content === null ? null : relativePath,
+        original.mode
+      ));
+    }
+
+    return diffs.join('');
+  }
+
+  /**
+   * How each file would end up compared to now
+   * @returns {Array} { path, status: created|deleted|modified, added, removed }, paths relative to baseDir
+   */
+  getFileSummaries() {
+    const summaries = [];
+
+    for (const [filePath, content] of this.files) {
+      const original = this.originals.get(filePath);
+      if (content === original.content) continue;
+
+      const lines = createPatch(original.content ?? '', content ?? '', 0).flatMap(hunk => hunk.lines);
+      summaries.push({
+        path: path.relative(this.baseDir, filePath),
+        status: original.content === null ? 'created' : content === null ? 'deleted' : 'modified',
+        added: lines.filter(line => line[0] === '+').length,
+        removed: lines.filter(line => line[0] === '-').length
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Paths the patch changes, relative to baseDir
+   */
+  getChangedFiles() {
+    return [...this.files]
+      .filter(([filePath, content]) => content !== this.originals.get(filePath).content)
+      .map(([filePath]) => path.relative(this.baseDir, filePath));
+  }
+}
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { readJSON, updateJSON } from '../utils/state.js';
 
 export class UndoTracker {
   constructor() {
@@ -12,40 +13,44 @@ export class UndoTracker {
   }
 
   async getUndoneOperations() {
-    try {
-      const data = await fs.readFile(this.undoFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return {};
-      }
-      throw error;
-    }
+    return await readJSON(this.undoFile, {});
   }
 
   async markAsUndone(operationId, sessionFile) {
-    const undoneOps = await this.getUndoneOperations();
-    
-    if (!undoneOps[sessionFile]) {
-      undoneOps[sessionFile] = [];
-    }
-    
-    if (!undoneOps[sessionFile].includes(operationId)) {
-      undoneOps[sessionFile].push(operationId);
-      await fs.writeFile(this.undoFile, JSON.stringify(undoneOps, null, 2));
-    }
+    await updateJSON(this.undoFile, {}, undoneOps => {
+      if (!undoneOps[sessionFile]) {
+        undoneOps[sessionFile] = [];
+      }
+      
+      if (!undoneOps[sessionFile].includes(operationId)) {
+        undoneOps[sessionFile].push(operationId);
+      }
+    });
   }
 
   async markAsRedone(operationId, sessionFile) {
-    const undoneOps = await this.getUndoneOperations();
+    await updateJSON(this.undoFile, {}, undoneOps => {
+      if (undoneOps[sessionFile]) {
+        const index = undoneOps[sessionFile].indexOf(operationId);
+        if (index > -1) {
+          undoneOps[sessionFile].splice(index, 1);
+        }
+      }
+    });
+  }
+
+  async removeSessions(sessionFiles) {
+    let removed = 0;
     
-    if (undoneOps[sessionFile]) {
-      const index = undoneOps[sessionFile].indexOf(operationId);
-      if (index > -1) {
-        undoneOps[sessionFile].splice(index, 1);
-        await fs.writeFile(this.undoFile, JSON.stringify(undoneOps, null, 2));
+    await updateJSON(this.undoFile, {}, undoneOps => {
+      for (const sessionFile of sessionFiles) {
+        if (undoneOps[sessionFile]) {
+          removed += undoneOps[sessionFile].length;
+          delete undoneOps[sessionFile];
+        }
       }
-    }
+    });
+    return removed;
   }
 
   async isUndone(operationId, sessionFile) {
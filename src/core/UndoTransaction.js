@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SnapshotStore } from './SnapshotStore.js';
+
+/**
+ * UndoTransaction undoes a batch of operations all-or-nothing.
+ * Every path the batch touches is snapshotted first; if any operation
+ * fails, or the user hits Ctrl-C, all of those paths are put back the way
+ * they were. With allowPartial the batch keeps going past failures instead.
+ * conflictMode ('force' or 'merge') says how to undo files that changed
+ * after Claude touched them.
+ */
+export class UndoTransaction {
+  constructor(undoManager, options = {}) {
+    this.undoManager = undoManager;
+    this.allowPartial = options.allowPartial || false;
+    this.conflictMode = options.conflictMode || null;
+    this.snapshotStore = undoManager.snapshotStore || new SnapshotStore();
+    this.savedPaths = []; // { path, kind: 'file'|'directory'|'symlink'|'missing', snapshot, mode, target, tree }
+  }
+
+  /**
+   * Record the current state of every path the operations touch
+   */
+  async prepare(operations) {
+    await this.snapshotStore.init();
+    const seen = new Set();
+
+    for (const operation of operations) {
+      for (const affectedPath of operation.getAffectedPaths()) {
+        const resolved = path.resolve(affectedPath);
+        if (seen.has(resolved)) continue;
+        seen.add(resolved);
+
+        let stat = null;
+        try {
+          stat = await fs.lstat(resolved);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (!stat) {
+          this.savedPaths.push({ path: resolved, kind: 'missing' });
+        } else if (stat.isDirectory()) {
+          this.savedPaths.push({ path: resolved, kind: 'directory', mode: stat.mode & 0o7777 });
+        } else if (stat.isSymbolicLink()) {
+          // Kept as a link, not as the content it points to
+          this.savedPaths.push({ path: resolved, kind: 'symlink', target: await fs.readlink(resolved) });
+        } else {
+          const snapshot = await this.snapshotStore.saveFile(resolved, {
+            operationId: operation.id,
+            session: this.undoManager.session,
+            reason: 'pre-undo'
+          });
+          this.savedPaths.push({ path: resolved, kind: 'file', snapshot, mode: stat.mode });
+        }
+      }
+    }
+
+    // What is inside a directory, so rollback can bring it back should an
+    // undo replace it (a forced tree restore). A tree covers the
+    // directories under it, and one too large to save is only recreated.
+    const directories = this.savedPaths.filter(saved => saved.kind === 'directory');
+    for (const saved of directories) {
+      if (directories.some(other => saved.path.startsWith(other.path + path.sep))) continue;
+      const tree = await this.snapshotStore.saveTree(saved.path, {
+        session: this.undoManager.session,
+        reason: 'pre-undo'
+      });
+      if (tree) saved.tree = tree;
+    }
+  }
+
+  /**
+   * Undo operations in the given order
+   * @param {Array} operations - Operations to undo, most recent first
+   * @param {Function} onResult - Called with (operation, result) after each step
+   * @returns {Object} Outcome with per-operation results
+   */
+  async run(operations, onResult = () => {}) {
+    await this.prepare(operations);
+
+    let interrupted = false;
+    const onInterrupt = () => {
+      interrupted = true;
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const results = [];
+    let failed = false;
+
+    try {
+      for (const operation of operations) {
+        if (interrupted) break;
+
+        let result;
+        try {
+          result = await this.undoManager.undo(operation, { conflictMode: this.conflictMode });
+        } catch (error) {
+          result = {
+            success: false,
+            message: `Failed to undo ${operation.type}: ${error.message}`
+          };
+        }
+
+        results.push({ operation, result });
+        await onResult(operation, result);
+
+        if (!result.success) {
+          failed = true;
+          if (!this.allowPartial) break;
+        }
+      }
+
+      let rolledBack = false;
+      if ((failed || interrupted) && !this.allowPartial) {
+        await this.rollback();
+        rolledBack = true;
+      }
+
+      const successCount = results.filter(r => r.result.success).length;
+      return {
+        success: !rolledBack && successCount > 0,
+        rolledBack,
+        interrupted,
+        successCount: rolledBack ? 0 : successCount,
+        failCount: results.length - successCount,
+        skippedCount: operations.length - results.length,
+        results,
+        undoneOperations: rolledBack
+          ? []
+          : results.filter(r => r.result.success).map(r => r.operation)
+      };
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+    }
+  }
+
+  /**
+   * Put every saved path back the way it was before the transaction
+   */
+  async rollback() {
+    await UndoTransaction.restorePaths(this.savedPaths, this.snapshotStore);
+  }
+
+  /**
+   * Put paths recorded by prepare() back the way they were
+   * @param {Array} savedPaths - { path, kind: 'file'|'directory'|'symlink'|'missing', snapshot, mode, target, tree }
+   */
+  static async restorePaths(savedPaths, snapshotStore) {
+    // Parents first when recreating, deepest first when removing
+    const byDepth = [...savedPaths].sort((a, b) => a.path.length - b.path.length);
+
+    for (const saved of byDepth.filter(s => s.kind === 'directory')) {
+      if (saved.tree) {
+        await UndoTransaction.removeUnsaved(saved.path, saved.tree);
+        await snapshotStore.restoreTree(saved.path, saved.tree, saved.mode ?? null);
+      } else {
+        await fs.mkdir(saved.path, { recursive: true });
+      }
+    }
+
+    for (const saved of byDepth.filter(s => s.kind === 'file')) {
+      await fs.rm(saved.path, { recursive: true, force: true });
+      await fs.mkdir(path.dirname(saved.path), { recursive: true });
+      await fs.writeFile(saved.path, await snapshotStore.read(saved.snapshot, null), { mode: saved.mode });
+    }
+
+    for (const saved of byDepth.filter(s => s.kind === 'symlink')) {
+      await fs.rm(saved.path, { recursive: true, force: true });
+      await fs.mkdir(path.dirname(saved.path), { recursive: true });
+      await fs.symlink(saved.target, saved.path);
+    }
+
+    for (const saved of byDepth.filter(s => s.kind === 'missing').reverse()) {
+      await fs.rm(saved.path, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Remove what is under dirPath now but not in the tree saved of it, or
+   * is there as another type, so restoring the tree leaves it as it was
+   */
+  static async removeUnsaved(dirPath, tree) {
+    const saved = new Map(tree.map(entry => [entry.path, entry.type]));
+    const pending = [''];
+
+    while (pending.length > 0) {
+      const dir = pending.shift();
+      const names = await fs.readdir(path.join(dirPath, dir)).catch(() => []);
+      for (const name of names) {
+        const relativePath = dir ? path.join(dir, name) : name;
+        const fullPath = path.join(dirPath, relativePath);
+        const stat = await fs.lstat(fullPath);
+        const type = stat.isDirectory() ? 'directory' : stat.isSymbolicLink() ? 'symlink' : 'file';
+
+        if (saved.get(relativePath) !== type) {
+          await fs.rm(fullPath, { recursive: true, force: true });
+        } else if (type === 'directory') {
+          pending.push(relativePath);
+        }
+      }
+    }
+  }
+}
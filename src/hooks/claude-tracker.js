@@ -1,92 +1,267 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
+import path from 'path';
+import { statSync, existsSync } from 'fs';
+import { randomUUID } from 'crypto';
 import { SessionTracker } from '../core/SessionTracker.js';
+import { SnapshotStore } from '../core/SnapshotStore.js';
 import { Operation, OperationType } from '../core/Operation.js';
+import { ClaudeSessionParser } from '../core/ClaudeSessionParser.js';
+import { hashContent } from '../utils/hash.js';
+import { analyzeCommand } from '../utils/shell.js';
+
+/**
+ * Claude Code runs this as a PreToolUse hook and passes the tool call as
+ * JSON on stdin: { session_id, cwd, hook_event_name, tool_name, tool_input, ... }
+ */
+async function readHookInput() {
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return JSON.parse(data || '{}');
+}
 
 async function trackOperation() {
   try {
-    const input = JSON.parse(process.argv[2] || '{}');
+    const hookInput = await readHookInput();
+    // File contents must be read before the tool changes them
+    if (hookInput.hook_event_name && hookInput.hook_event_name !== 'PreToolUse') return;
+    
+    const input = {
+      tool: hookInput.tool_name,
+      parameters: hookInput.tool_input || {},
+      cwd: hookInput.cwd
+    };
     
-    let sessionId = await SessionTracker.getCurrentSession();
+    // Local sessions follow Claude Code's, so each conversation can be undone on its own
+    let sessionId = hookInput.session_id || await SessionTracker.getCurrentSession();
     if (!sessionId) {
       sessionId = new Date().toISOString().replace(/[:.]/g, '-');
+    }
+    if (sessionId !== await SessionTracker.getCurrentSession()) {
       await SessionTracker.setCurrentSession(sessionId);
     }
     
     const tracker = new SessionTracker(sessionId);
     await tracker.init();
     
-    let operation = null;
+    const operations = [];
     
-    if (input.tool === 'Write' && input.parameters?.file_path) {
-      operation = new Operation(OperationType.FILE_CREATE, {
-        filePath: input.parameters.file_path,
-        content: input.parameters.content || ''
-      });
-    } else if (input.tool === 'Edit' && input.parameters?.file_path) {
-      let originalContent = '';
-      try {
-        originalContent = await fs.readFile(input.parameters.file_path, 'utf8');
-      } catch (e) {}
-      
-      operation = new Operation(OperationType.FILE_EDIT, {
-        filePath: input.parameters.file_path,
-        originalContent,
-        newContent: input.parameters.new_string || ''
-      });
-    } else if (input.tool === 'Bash' && input.parameters?.command) {
-      const command = input.parameters.command;
-      
-      if (command.includes('rm ') && command.includes('-f')) {
-        const match = command.match(/rm\s+.*?\s+([^\s]+)$/);
-        if (match) {
-          const filePath = match[1];
-          let content = '';
-          try {
-            content = await fs.readFile(filePath, 'utf8');
-          } catch (e) {}
-          
-          operation = new Operation(OperationType.FILE_DELETE, {
-            filePath,
-            content
+    if (input.tool === 'Bash' && input.parameters?.command) {
+      operations.push(...await trackBashCommand(input.parameters.command, input.cwd || process.cwd()));
+    } else if (FILE_TOOLS[input.tool]) {
+      const operation = await trackFileTool(input.tool, input.parameters, hookInput.tool_use_id);
+      if (operation) operations.push(operation);
+    }
+    
+    for (const op of operations) {
+      await tracker.addOperation(op);
+    }
+  } catch (error) {
+    console.error('Failed to track operation:', error.message);
+  }
+}
+
+// How each file tool's result reports the file as it was before the call
+const FILE_TOOLS = {
+  Write: { pathKey: 'file_path', toResult: (pre) => pre.exists ? { type: 'update', originalFile: pre.content } : { type: 'create' } },
+  Edit: { pathKey: 'file_path', toResult: (pre) => ({ originalFile: pre.content }) },
+  MultiEdit: { pathKey: 'file_path', toResult: (pre) => ({ originalFileContents: pre.content }) },
+  NotebookEdit: { pathKey: 'notebook_path', toResult: (pre) => ({ original_file: pre.content }) }
+};
+
+/**
+ * What a path holds before a tool changes it: whether it exists, its type
+ * and mode, and the content of a file, the target of a symlink or the
+ * entries of a directory
+ */
+async function capturePath(filePath) {
+  let stat;
+  try {
+    stat = await fs.lstat(filePath);
+  } catch (e) {
+    return { exists: false };
+  }
+  
+  const preImage = { exists: true, mode: stat.mode & 0o7777 };
+  if (stat.isSymbolicLink()) {
+    return { ...preImage, type: 'symlink', target: await fs.readlink(filePath) };
+  }
+  if (stat.isDirectory()) {
+    const entries = await fs.readdir(filePath, { withFileTypes: true }).catch(() => []);
+    return {
+      ...preImage,
+      type: 'directory',
+      entries: entries.map(entry => ({
+        name: entry.name,
+        type: entry.isDirectory() ? 'directory' : entry.isSymbolicLink() ? 'symlink' : 'file'
+      }))
+    };
+  }
+  return { ...preImage, type: 'file', content: await fs.readFile(filePath, 'utf8').catch(() => null) };
+}
+
+/**
+ * Record a Write, Edit, MultiEdit or NotebookEdit the way the session
+ * parser does once Claude Code reports the result, with the file as it is
+ * now standing in for the result's copy of the original
+ */
+async function trackFileTool(tool, parameters, toolUseId) {
+  const { pathKey, toResult } = FILE_TOOLS[tool];
+  if (!parameters[pathKey]) return null;
+  
+  const preImage = await capturePath(parameters[pathKey]);
+  const toolUse = { id: toolUseId || randomUUID(), name: tool, input: parameters };
+  const operation = new ClaudeSessionParser().extractOperation(toolUse, new Date(), toResult(preImage));
+  if (!operation) return null;
+  
+  const { content, ...rest } = preImage;
+  operation.data.preImage = rest;
+  return operation;
+}
+
+/**
+ * The hook runs before the command does, so files it is about to delete or
+ * overwrite can still be read and kept for undo
+ */
+async function trackBashCommand(command, cwd) {
+  const isDirectory = (filePath) => {
+    try {
+      return statSync(filePath).isDirectory();
+    } catch (e) {
+      return false;
+    }
+  };
+  const readFile = (filePath) => fs.readFile(filePath, 'utf8').catch(() => null);
+  // Paths written earlier in the same command no longer look like this by the time it reaches them
+  const written = new Set();
+  const capture = async (filePath) => written.has(filePath) ? null : await capturePath(filePath);
+  const withoutContent = ({ content, ...preImage }) => preImage;
+  
+  const snapshotStore = new SnapshotStore();
+  await snapshotStore.init();
+  
+  const { effects, unanalyzed } = analyzeCommand(command, { cwd, isDirectory });
+  const operations = [];
+  const otherEffects = [];
+  const fileOperations = new Map();
+  
+  for (const effect of effects) {
+    switch (effect.kind) {
+      case 'delete':
+      case 'rmdir': {
+        const preImage = await capture(effect.path);
+        written.add(effect.path);
+        if (preImage?.type === 'directory' || effect.kind === 'rmdir') {
+          const operation = new Operation(OperationType.DIRECTORY_DELETE, {
+            dirPath: effect.path,
+            ...(effect.recursive && { recursive: true }),
+            ...(preImage && { preImage }),
+            command
           });
+          // Everything under it, so undo brings the directory back as it was
+          const tree = preImage && await snapshotStore.saveTree(effect.path, { operationId: operation.id, reason: 'pre-delete' });
+          if (tree) operation.data.tree = tree;
+          operations.push(operation);
+        } else {
+          operations.push(new Operation(OperationType.FILE_DELETE, {
+            filePath: effect.path,
+            content: preImage?.content ?? '',
+            ...(preImage && { preImage: withoutContent(preImage) }),
+            command
+          }));
         }
-      } else if (command.includes('mv ')) {
-        const match = command.match(/mv\s+([^\s]+)\s+([^\s]+)$/);
-        if (match) {
-          operation = new Operation(OperationType.FILE_RENAME, {
-            oldPath: match[1],
-            newPath: match[2]
-          });
+        break;
+      }
+      case 'rename': {
+        // Moving onto an existing file replaces it, so keep that file too
+        const preImage = await capture(effect.from);
+        const targetPreImage = await capture(effect.to);
+        written.add(effect.from);
+        written.add(effect.to);
+        operations.push(new Operation(OperationType.FILE_RENAME, {
+          oldPath: effect.from,
+          newPath: effect.to,
+          ...(preImage && { preImage: withoutContent(preImage) }),
+          ...(targetPreImage && { targetPreImage }),
+          command
+        }));
+        break;
+      }
+      case 'mkdir':
+        if (!isDirectory(effect.path)) {
+          // mkdir -p also makes the missing parents, which undo removes too
+          const createdDirs = [effect.path];
+          for (let dir = path.dirname(effect.path); effect.parents && !existsSync(dir); dir = path.dirname(dir)) {
+            createdDirs.push(dir);
+          }
+          operations.push(new Operation(OperationType.DIRECTORY_CREATE, {
+            dirPath: effect.path,
+            preImage: { exists: false },
+            ...(createdDirs.length > 1 && { createdDirs }),
+            command
+          }));
         }
-      } else if (command.includes('mkdir')) {
-        const match = command.match(/mkdir\s+.*?\s+([^\s]+)$/);
-        if (match) {
-          operation = new Operation(OperationType.DIRECTORY_CREATE, {
-            dirPath: match[1]
-          });
+        break;
+      case 'write':
+      case 'edit':
+      case 'touch':
+      case 'copy': {
+        const filePath = effect.to || effect.path;
+        if (effect.kind === 'copy' && (effect.recursive || isDirectory(effect.from))) {
+          otherEffects.push(effect);
+          break;
         }
-      } else if (command.includes('rmdir') || (command.includes('rm') && command.includes('-r'))) {
-        const match = command.match(/rm(?:dir)?\s+.*?\s+([^\s]+)$/);
-        if (match) {
-          operation = new Operation(OperationType.DIRECTORY_DELETE, {
-            dirPath: match[1]
-          });
+        const earlier = fileOperations.get(filePath);
+        if (earlier) {
+          // The earlier operation's pre-image already covers this file, but not its final content
+          ['content', 'afterContent', 'afterHash'].forEach(key => delete earlier.data[key]);
+          if (earlier.type === OperationType.FILE_CREATE) earlier.data.content = '';
+          break;
         }
-      } else {
-        operation = new Operation(OperationType.BASH_COMMAND, {
-          command
-        });
+        const preImage = await capture(filePath);
+        // Touching an existing file leaves its content alone
+        if (preImage?.exists && effect.kind === 'touch') break;
+        // A source written earlier in the same command doesn't hold its final content yet
+        const content = effect.kind === 'copy' && !written.has(effect.from) ? await readFile(effect.from) : null;
+        written.add(filePath);
+        if (preImage?.exists) {
+          fileOperations.set(filePath, new Operation(OperationType.FILE_OVERWRITE, {
+            filePath,
+            ...(typeof preImage.content === 'string' && { beforeContent: preImage.content }),
+            ...(content !== null && { content, afterContent: content, afterHash: hashContent(content) }),
+            preImage: withoutContent(preImage),
+            command
+          }));
+        } else if (preImage) {
+          fileOperations.set(filePath, new Operation(OperationType.FILE_CREATE, {
+            filePath,
+            content: content ?? '',
+            beforeContent: null,
+            ...(content !== null && { afterContent: content, afterHash: hashContent(content) }),
+            preImage,
+            command
+          }));
+        } else {
+          otherEffects.push(effect);
+          break;
+        }
+        operations.push(fileOperations.get(filePath));
+        break;
       }
+      default:
+        otherEffects.push(effect);
     }
-    
-    if (operation) {
-      await tracker.addOperation(operation);
-    }
-  } catch (error) {
-    console.error('Failed to track operation:', error.message);
   }
+  
+  if (operations.length === 0 || otherEffects.length > 0 || unanalyzed.length > 0) {
+    operations.push(new Operation(OperationType.BASH_COMMAND, {
+      command,
+      ...(otherEffects.length > 0 && { effects: otherEffects }),
+      ...(unanalyzed.length > 0 && { unanalyzed })
+    }));
+  }
+  return operations;
 }
 
-trackOperation();
\ No newline at end of file
+trackOperation();
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { languages } from './languages.js';
+import { updateJSON } from '../utils/state.js';
 
 class I18n {
   constructor() {
@@ -25,9 +26,10 @@ class I18n {
 
   async saveConfig() {
     try {
-      await fs.mkdir(path.dirname(this.configFile), { recursive: true });
-      const config = { language: this.currentLanguage };
-      await fs.writeFile(this.configFile, JSON.stringify(config, null, 2));
+      // Keep any other settings stored alongside the language
+      await updateJSON(this.configFile, {}, config => {
+        config.language = this.currentLanguage;
+      });
     } catch (error) {
       console.error('Failed to save language config:', error.message);
     }
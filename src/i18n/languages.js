@@ -44,6 +44,7 @@ export const languages = {
       // Operation types
       'op.file_create': 'file_create',
       'op.file_edit': 'file_edit',
+      'op.file_overwrite': 'file_overwrite',
       'op.file_delete': 'file_delete',
       'op.file_rename': 'file_rename',
       'op.directory_create': 'directory_create',
@@ -54,11 +55,17 @@ export const languages = {
       'action.will_delete_file': 'Will delete file:',
       'action.will_revert_file': 'Will revert file:',
       'action.will_restore_file': 'Will restore file:',
+      'action.will_restore_previous': 'Will restore previous content of:',
+      'action.will_revert_cell': 'Will revert notebook cell {cell} in:',
+      'conflict.file_changed': '{file} was changed after Claude edited it',
       'action.will_rename_back': 'Will rename back:',
       'action.will_remove_directory': 'Will remove directory:',
       'action.will_restore_directory': 'Will restore directory:',
       'action.cannot_undo_bash': 'Cannot auto-undo bash command:',
       'action.manual_intervention': 'Manual intervention required',
+      'action.bash_changes': 'Changed by the command:',
+      'action.bash_not_analyzed': 'Not analyzed:',
+      'action.will_revert_bash': 'Will revert the files changed by:',
       
       // Headers
       'header.operations_claude': 'Operations from Claude Code session:',
@@ -77,6 +84,7 @@ export const languages = {
       'status.current_content': 'Current content:',
       'status.content_to_restore': 'Content to restore:',
       'status.original_not_available': '(Original content not available from session)',
+      'status.no_changes': '(No changes)',
       'status.content_not_available': '(Content not available from session)',
       'status.completed': 'Completed: {success} successful, {failed} failed',
       
@@ -138,6 +146,7 @@ export const languages = {
       // Operation types
       'op.file_create': 'ファイル作成',
       'op.file_edit': 'ファイル編集',
+      'op.file_overwrite': 'ファイル上書き',
       'op.file_delete': 'ファイル削除',
       'op.file_rename': 'ファイル名変更',
       'op.directory_create': 'ディレクトリ作成',
@@ -148,11 +157,17 @@ export const languages = {
       'action.will_delete_file': 'ファイルを削除します:',
       'action.will_revert_file': 'ファイルを元に戻します:',
       'action.will_restore_file': 'ファイルを復元します:',
+      'action.will_restore_previous': '以前の内容を復元します:',
+      'action.will_revert_cell': 'ノートブックのセル {cell} を元に戻します:',
+      'conflict.file_changed': '{file} は Claude の編集後に変更されています',
       'action.will_rename_back': '名前を元に戻します:',
       'action.will_remove_directory': 'ディレクトリを削除します:',
       'action.will_restore_directory': 'ディレクトリを復元します:',
       'action.cannot_undo_bash': 'bashコマンドを自動で元に戻せません:',
       'action.manual_intervention': '手動での対応が必要です',
+      'action.bash_changes': 'コマンドによる変更:',
+      'action.bash_not_analyzed': '解析できません:',
+      'action.will_revert_bash': 'コマンドが変更したファイルを元に戻します:',
       
       // Headers
       'header.operations_claude': 'Claude Codeセッションの操作:',
@@ -171,6 +186,7 @@ export const languages = {
       'status.current_content': '現在の内容:',
       'status.content_to_restore': '復元する内容:',
       'status.original_not_available': '（セッションから元の内容を取得できません）',
+      'status.no_changes': '（変更なし）',
       'status.content_not_available': '（セッションから内容を取得できません）',
       'status.completed': '完了: {success}個成功、{failed}個失敗',
       
@@ -232,6 +248,7 @@ export const languages = {
       // Operation types
       'op.file_create': 'création_fichier',
       'op.file_edit': 'édition_fichier',
+      'op.file_overwrite': 'écrasement_fichier',
       'op.file_delete': 'suppression_fichier',
       'op.file_rename': 'renommage_fichier',
       'op.directory_create': 'création_répertoire',
@@ -242,11 +259,17 @@ export const languages = {
       'action.will_delete_file': 'Va supprimer le fichier :',
       'action.will_revert_file': 'Va annuler les modifications du fichier :',
       'action.will_restore_file': 'Va restaurer le fichier :',
+      'action.will_restore_previous': 'Va restaurer le contenu précédent de :',
+      'action.will_revert_cell': 'Va annuler la cellule {cell} du notebook :',
+      'conflict.file_changed': '{file} a été modifié après la modification par Claude',
       'action.will_rename_back': 'Va renommer en arrière :',
       'action.will_remove_directory': 'Va supprimer le répertoire :',
       'action.will_restore_directory': 'Va restaurer le répertoire :',
       'action.cannot_undo_bash': 'Impossible d\'annuler automatiquement la commande bash :',
       'action.manual_intervention': 'Intervention manuelle requise',
+      'action.bash_changes': 'Modifié par la commande :',
+      'action.bash_not_analyzed': 'Non analysé :',
+      'action.will_revert_bash': 'Rétablira les fichiers modifiés par :',
 
       // Headers
       'header.operations_claude': 'Opérations de la session Claude Code :',
@@ -265,6 +288,7 @@ export const languages = {
       'status.current_content': 'Contenu actuel :',
       'status.content_to_restore': 'Contenu à restaurer :',
       'status.original_not_available': '(Contenu original non disponible depuis la session)',
+      'status.no_changes': '(Aucun changement)',
       'status.content_not_available': '(Contenu non disponible depuis la session)',
       'status.completed': 'Terminé : {success} réussi(s), {failed} échoué(s)',
 
@@ -326,6 +350,7 @@ export const languages = {
       // Operation types
       'op.file_create': 'creación_archivo',
       'op.file_edit': 'edición_archivo',
+      'op.file_overwrite': 'sobrescritura_archivo',
       'op.file_delete': 'eliminación_archivo',
       'op.file_rename': 'renombrar_archivo',
       'op.directory_create': 'creación_directorio',
@@ -336,11 +361,17 @@ export const languages = {
       'action.will_delete_file': 'Se eliminará el archivo:',
       'action.will_revert_file': 'Se revertirá el archivo:',
       'action.will_restore_file': 'Se restaurará el archivo:',
+      'action.will_restore_previous': 'Se restaurará el contenido anterior de:',
+      'action.will_revert_cell': 'Se revertirá la celda {cell} del notebook:',
+      'conflict.file_changed': '{file} se modificó después de la edición de Claude',
       'action.will_rename_back': 'Se renombrará de vuelta:',
       'action.will_remove_directory': 'Se eliminará el directorio:',
       'action.will_restore_directory': 'Se restaurará el directorio:',
       'action.cannot_undo_bash': 'No se puede deshacer automáticamente el comando bash:',
       'action.manual_intervention': 'Intervención manual requerida',
+      'action.bash_changes': 'Cambiado por el comando:',
+      'action.bash_not_analyzed': 'No analizado:',
+      'action.will_revert_bash': 'Revertirá los archivos cambiados por:',
 
       // Headers
       'header.operations_claude': 'Operaciones de la sesión de Claude Code:',
@@ -359,6 +390,7 @@ export const languages = {
       'status.current_content': 'Contenido actual:',
       'status.content_to_restore': 'Contenido a restaurar:',
       'status.original_not_available': '(Contenido original no disponible desde la sesión)',
+      'status.no_changes': '(Sin cambios)',
       'status.content_not_available': '(Contenido no disponible desde la sesión)',
       'status.completed': 'Completado: {success} exitoso(s), {failed} fallido(s)',
 
@@ -420,6 +452,7 @@ export const languages = {
       // Operation types
       'op.file_create': 'Datei_erstellen',
       'op.file_edit': 'Datei_bearbeiten',
+      'op.file_overwrite': 'Datei_überschreiben',
       'op.file_delete': 'Datei_löschen',
       'op.file_rename': 'Datei_umbenennen',
       'op.directory_create': 'Verzeichnis_erstellen',
@@ -430,11 +463,17 @@ export const languages = {
       'action.will_delete_file': 'Wird Datei löschen:',
       'action.will_revert_file': 'Wird Datei zurücksetzen:',
       'action.will_restore_file': 'Wird Datei wiederherstellen:',
+      'action.will_restore_previous': 'Wird vorherigen Inhalt wiederherstellen:',
+      'action.will_revert_cell': 'Wird Notebook-Zelle {cell} zurücksetzen in:',
+      'conflict.file_changed': '{file} wurde nach der Bearbeitung durch Claude geändert',
       'action.will_rename_back': 'Wird zurück umbenennen:',
       'action.will_remove_directory': 'Wird Verzeichnis entfernen:',
       'action.will_restore_directory': 'Wird Verzeichnis wiederherstellen:',
       'action.cannot_undo_bash': 'Kann bash Befehl nicht automatisch rückgängig machen:',
       'action.manual_intervention': 'Manuelle Intervention erforderlich',
+      'action.bash_changes': 'Durch den Befehl geändert:',
+      'action.bash_not_analyzed': 'Nicht analysiert:',
+      'action.will_revert_bash': 'Stellt die Dateien wieder her, die geändert wurden durch:',
 
       // Headers
       'header.operations_claude': 'Operationen aus der Claude Code Sitzung:',
@@ -453,6 +492,7 @@ export const languages = {
       'status.current_content': 'Aktueller Inhalt:',
       'status.content_to_restore': 'Wiederherzustellender Inhalt:',
       'status.original_not_available': '(Originalinhalt nicht aus Sitzung verfügbar)',
+      'status.no_changes': '(Keine Änderungen)',
       'status.content_not_available': '(Inhalt nicht aus Sitzung verfügbar)',
       'status.completed': 'Abgeschlossen: {success} erfolgreich, {failed} fehlgeschlagen',
 
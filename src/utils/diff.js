@@ -0,0 +1,204 @@
+// Above this many edits the diff gives up on finding a minimal script and
+// reports the remaining lines as replaced, keeping memory bounded
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines. Joining the result with '\n' gives back the input.
+ */
+export function splitLines(text) {
+  return text.split('\n');
+}
+
+/**
+ * Myers' O(ND) shortest edit script between two line arrays.
+ * Returns a list of { type: 'equal'|'delete'|'insert', oldIndex, newIndex, line }.
+ */
+export function diffLines(oldLines, newLines) {
+  // Common prefix and suffix never take part in the search
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const edits = [];
+  for (let i = 0; i < start; i++) {
+    edits.push({ type: 'equal', oldIndex: i, newIndex: i, line: oldLines[i] });
+  }
+
+  edits.push(...myers(oldLines, newLines, start, oldEnd, start, newEnd));
+
+  for (let i = 0; i < oldLines.length - oldEnd; i++) {
+    edits.push({ type: 'equal', oldIndex: oldEnd + i, newIndex: newEnd + i, line: oldLines[oldEnd + i] });
+  }
+
+  return edits;
+}
+
+function myers(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  if (n === 0 && m === 0) return [];
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = []; // v[-d..d] for every d, used to walk back the path
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(trace, a, b, aStart, bStart, n, m);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  // Too different to diff precisely: everything left is replaced
+  const edits = [];
+  for (let i = 0; i < n; i++) {
+    edits.push({ type: 'delete', oldIndex: aStart + i, newIndex: null, line: a[aStart + i] });
+  }
+  for (let j = 0; j < m; j++) {
+    edits.push({ type: 'insert', oldIndex: null, newIndex: bStart + j, line: b[bStart + j] });
+  }
+  return edits;
+}
+
+function backtrack(trace, a, b, aStart, bStart, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const at = (row, kk) => row[kk + (row.length - 1) / 2];
+
+    if (d === 0) {
+      while (x > 0 && y > 0) {
+        x--;
+        y--;
+        edits.push({ type: 'equal', oldIndex: aStart + x, newIndex: bStart + y, line: a[aStart + x] });
+      }
+      break;
+    }
+
+    const prev = trace[d - 1];
+    const prevK = (k === -d || (k !== d && at(prev, k - 1) < at(prev, k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prev, prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      edits.push({ type: 'equal', oldIndex: aStart + x, newIndex: bStart + y, line: a[aStart + x] });
+    }
+
+    if (x === prevX) {
+      y--;
+      edits.push({ type: 'insert', oldIndex: null, newIndex: bStart + y, line: b[bStart + y] });
+    } else {
+      x--;
+      edits.push({ type: 'delete', oldIndex: aStart + x, newIndex: null, line: a[aStart + x] });
+    }
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Map each old line index to the new line index it is matched with
+ */
+function matchLines(oldLines, newLines) {
+  const matches = new Array(oldLines.length).fill(undefined);
+  for (const edit of diffLines(oldLines, newLines)) {
+    if (edit.type === 'equal') {
+      matches[edit.oldIndex] = edit.newIndex;
+    }
+  }
+  return matches;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Three-way merge of two texts that both derive from base.
+ * Changes made on only one side are taken; overlapping changes that differ
+ * are written out between conflict markers.
+ * @returns {{ content: string, conflicts: number }}
+ */
+export function merge3(base, ours, theirs, labels = {}) {
+  const { lines, conflicts } = mergeLines(splitLines(base), splitLines(ours), splitLines(theirs), labels);
+  return { content: lines.join('\n'), conflicts };
+}
+
+/**
+ * Line-array version of merge3
+ * @returns {{ lines: Array, conflicts: number }}
+ */
+export function mergeLines(baseLines, oursLines, theirsLines, labels = {}) {
+  const { ours: oursLabel = 'current', theirs: theirsLabel = 'undo' } = labels;
+  const toOurs = matchLines(baseLines, oursLines);
+  const toTheirs = matchLines(baseLines, theirsLines);
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  while (i < baseLines.length || j < oursLines.length || k < theirsLines.length) {
+    // Line unchanged on both sides
+    if (i < baseLines.length && toOurs[i] === j && toTheirs[i] === k) {
+      output.push(baseLines[i]);
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+
+    // Next base line both sides kept marks the end of this chunk
+    let nextI = i;
+    while (nextI < baseLines.length &&
+      (toOurs[nextI] === undefined || toTheirs[nextI] === undefined)) {
+      nextI++;
+    }
+    const nextJ = nextI < baseLines.length ? toOurs[nextI] : oursLines.length;
+    const nextK = nextI < baseLines.length ? toTheirs[nextI] : theirsLines.length;
+
+    const baseChunk = baseLines.slice(i, nextI);
+    const oursChunk = oursLines.slice(j, nextJ);
+    const theirsChunk = theirsLines.slice(k, nextK);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      output.push(...theirsChunk);
+    } else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...oursChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    i = nextI;
+    j = nextJ;
+    k = nextK;
+  }
+
+  return { lines: output, conflicts };
+}
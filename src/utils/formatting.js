@@ -12,4 +12,101 @@ export function formatDistance(date) {
   if (hours < 24) return i18n.t('time.hours_ago', { hours });
   const days = Math.floor(hours / 24);
   return i18n.t('time.days_ago', { days });
-}
\ No newline at end of file
+}
+
+/**
+ * Name a subagent by its type and the task it was given
+ */
+export function formatAgent(agent) {
+  const type = agent.type || 'subagent';
+  return agent.description ? `${type}: ${agent.description}` : type;
+}
+
+/**
+ * Describe a file change found in a shell command, e.g. "wrote out.txt"
+ */
+export function formatShellEffect(effect) {
+  switch (effect.kind) {
+    case 'write':
+      return `${effect.append ? 'appended to' : 'wrote'} ${effect.path}`;
+    case 'edit':
+      return `edited ${effect.path}`;
+    case 'copy':
+      return `copied ${effect.from} → ${effect.to}`;
+    case 'touch':
+      return `touched ${effect.path}`;
+    case 'rename':
+      return `moved ${effect.from} → ${effect.to}`;
+    case 'mkdir':
+      return `created directory ${effect.path}`;
+    case 'delete':
+    case 'rmdir':
+      return `deleted ${effect.path}`;
+    default:
+      return `${effect.kind} ${effect.path}`;
+  }
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Parse a size such as "500M", "2G" or "1048576" into bytes
+ */
+export function parseSize(size) {
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+  const power = ' kmgt'.indexOf(match[2].toLowerCase() || ' ');
+  return Math.floor(parseFloat(match[1]) * Math.pow(1024, power));
+}
+
+/**
+ * Parse a duration such as "30d", "12h" or "45m" into milliseconds.
+ * A bare number is taken as days.
+ */
+export function parseDuration(duration) {
+  const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return parseFloat(match[1]) * unitMs[match[2].toLowerCase() || 'd'];
+}
+
+/**
+ * Parse a point in time: "14:32" or "14:32:05" (today), "2h ago", or
+ * anything Date.parse accepts such as "2026-03-01 14:32"
+ * @returns {Date}
+ */
+export function parseTime(value, now = new Date()) {
+  const text = String(value).trim();
+
+  const clock = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+    const time = new Date(now);
+    time.setHours(Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), 0);
+    return time;
+  }
+
+  const ago = text.match(/^(.+?)\s+ago$/i);
+  if (ago) {
+    return new Date(now.getTime() - parseDuration(ago[1]));
+  }
+
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return new Date(parsed);
+}
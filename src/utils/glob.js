@@ -0,0 +1,77 @@
+import path from 'path';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regular expression source for a glob over '/'-separated paths.
+ * `**` spans any number of directories, `*` and `?` stay within one,
+ * and [abc], [!abc] and {a,b} work as in the shell.
+ */
+function globToSource(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" may also match no directory at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const members = pattern.slice(i + 1, end);
+      source += members[0] === '!'
+        ? `[^${members.slice(1).replace(/\\/g, '\\\\')}]`
+        : `[${members.replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(c);
+    }
+  }
+
+  return source + ')'.repeat(braces);
+}
+
+export function globToRegExp(pattern) {
+  return new RegExp(`^${globToSource(pattern)}$`);
+}
+
+/**
+ * Build a test for paths matching a glob. A relative glob is taken from
+ * baseDir, and a glob that matches a directory matches everything in it,
+ * so `src/api` works like `src/api/**`.
+ * @returns {Function} filePath => boolean
+ */
+export function createPathMatcher(pattern, baseDir = process.cwd()) {
+  const toPosix = (filePath) => filePath.split(path.sep).join('/');
+  const glob = toPosix(pattern).replace(/\/+$/, '');
+  const base = toPosix(path.resolve(baseDir)).replace(/\/$/, '');
+  const relative = glob.replace(/^\.(\/|$)/, '');
+  const regex = glob.startsWith('/')
+    ? globToRegExp(glob)
+    : new RegExp(`^${escapeRegExp(base)}${relative ? `/${globToSource(relative)}` : ''}$`);
+
+  return (filePath) => {
+    let current = path.resolve(baseDir, filePath);
+    for (;;) {
+      if (regex.test(toPosix(current))) return true;
+      const parent = path.dirname(current);
+      if (parent === current) return false;
+      current = parent;
+    }
+  };
+}
@@ -0,0 +1,8 @@
+import crypto from 'crypto';
+
+/**
+ * SHA-256 of file content, used to tell whether a file changed
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
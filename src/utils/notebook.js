@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+
+/**
+ * Parse the JSON of a Jupyter notebook
+ */
+export function parseNotebook(text) {
+  const notebook = JSON.parse(text);
+  if (!notebook || !Array.isArray(notebook.cells)) {
+    throw new Error('no cells found');
+  }
+  return notebook;
+}
+
+/**
+ * Serialize a notebook the way the file was written, so untouched cells
+ * don't show up as changes: same indentation and trailing newline
+ */
+export function formatNotebook(notebook, originalText = '') {
+  const indent = /^\{\r?\n([ \t]+)/.exec(originalText)?.[1] ?? ' ';
+  return JSON.stringify(notebook, null, indent) + (originalText.endsWith('\n') ? '\n' : '');
+}
+
+/**
+ * Source of a cell as one string; notebooks may store it as a list of lines
+ */
+export function getCellSource(cell) {
+  return Array.isArray(cell.source) ? cell.source.join('') : (cell.source ?? '');
+}
+
+/**
+ * Set a cell's source, keeping the list-of-lines form if the cell used it
+ */
+export function setCellSource(cell, source) {
+  cell.source = Array.isArray(cell.source)
+    ? source.match(/[^\n]*\n|[^\n]+$/g) || []
+    : source;
+}
+
+/**
+ * Index of a cell by id. Cells of notebooks without ids are referred to
+ * as "cell-<index>", as NotebookEdit does.
+ * @returns {number} The index, or -1 if there is no such cell
+ */
+export function findCellIndex(notebook, cellId) {
+  if (cellId === null || cellId === undefined) return -1;
+
+  const index = notebook.cells.findIndex(cell => cell.id === cellId);
+  if (index !== -1) return index;
+
+  const match = /^cell-(\d+)$/.exec(cellId);
+  if (match && Number(match[1]) < notebook.cells.length && !notebook.cells[Number(match[1])].id) {
+    return Number(match[1]);
+  }
+  return -1;
+}
+
+/**
+ * Index of the cell a NotebookEdit insert added. Without the new cell's id
+ * it is looked for right after the cell it was inserted after, then
+ * anywhere as long as only one cell has its source.
+ * @returns {number} The index, or -1 if it cannot be found
+ */
+export function findInsertedCell(notebook, { cellId, anchorCellId, newSource }) {
+  if (cellId) return findCellIndex(notebook, cellId);
+
+  const expected = anchorCellId ? findCellIndex(notebook, anchorCellId) + 1 : 0;
+  if (expected > 0 || !anchorCellId) {
+    const cell = notebook.cells[expected];
+    if (cell && getCellSource(cell) === newSource) return expected;
+  }
+
+  const matches = notebook.cells
+    .map((cell, index) => getCellSource(cell) === newSource ? index : -1)
+    .filter(index => index !== -1);
+  return matches.length === 1 ? matches[0] : -1;
+}
+
+/**
+ * A new cell like NotebookEdit inserts, with an id if the notebook uses them
+ */
+export function createCell(notebook, cellType, source, id = null) {
+  const usesIds = notebook.nbformat > 4 || (notebook.nbformat === 4 && notebook.nbformat_minor >= 5) ||
+    notebook.cells.some(cell => cell.id);
+  const cell = {
+    cell_type: cellType,
+    ...(usesIds ? { id: id || crypto.randomBytes(4).toString('hex') } : {}),
+    metadata: {},
+    source
+  };
+  if (cellType === 'code') {
+    cell.execution_count = null;
+    cell.outputs = [];
+  }
+  return cell;
+}
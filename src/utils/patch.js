@@ -0,0 +1,308 @@
+import { diffLines, mergeLines } from './diff.js';
+
+// Context lines either side of a change, as in `diff -u`
+const DEFAULT_CONTEXT = 3;
+
+// How many context lines at each end of a hunk may be ignored when it
+// does not match exactly, like `patch --fuzz`
+const DEFAULT_FUZZ = 2;
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+/**
+ * Split text into lines that keep their '\n', so a missing newline at the
+ * end of the file is part of the last line
+ */
+function splitKeepingNewlines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Build unified-diff hunks turning oldText into newText.
+ * Hunks have the same shape as Claude Code's structuredPatch:
+ * { oldStart, oldLines, newStart, newLines, lines: [' ctx', '-old', '+new'] }
+ * A line without a trailing newline is followed by "\ No newline at end of file".
+ */
+export function createPatch(oldText, newText, context = DEFAULT_CONTEXT) {
+  const edits = diffLines(splitKeepingNewlines(oldText), splitKeepingNewlines(newText));
+
+  // Line positions before each edit, so hunks can start anywhere
+  const oldPos = [];
+  const newPos = [];
+  let o = 0;
+  let n = 0;
+  for (const edit of edits) {
+    oldPos.push(o);
+    newPos.push(n);
+    if (edit.type !== 'insert') o++;
+    if (edit.type !== 'delete') n++;
+  }
+  oldPos.push(o);
+  newPos.push(n);
+
+  const changes = edits.map((edit, index) => edit.type === 'equal' ? -1 : index).filter(index => index >= 0);
+  const prefix = { equal: ' ', delete: '-', insert: '+' };
+  const hunks = [];
+  let c = 0;
+
+  while (c < changes.length) {
+    // Changes closer together than twice the context share a hunk
+    let last = c;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= 2 * context) {
+      last++;
+    }
+
+    const start = Math.max(0, changes[c] - context);
+    const end = Math.min(edits.length, changes[last] + context + 1);
+    const slice = edits.slice(start, end);
+    const oldLines = slice.filter(edit => edit.type !== 'insert').length;
+    const newLines = slice.filter(edit => edit.type !== 'delete').length;
+
+    const lines = [];
+    for (const edit of slice) {
+      lines.push(prefix[edit.type] + edit.line.replace(/\n$/, ''));
+      if (!edit.line.endsWith('\n')) lines.push(NO_NEWLINE);
+    }
+
+    hunks.push({
+      // An empty side starts at the line before, as in diff -u
+      oldStart: oldLines === 0 ? oldPos[start] : oldPos[start] + 1,
+      oldLines,
+      newStart: newLines === 0 ? newPos[start] : newPos[start] + 1,
+      newLines,
+      lines
+    });
+
+    c = last + 1;
+  }
+
+  return hunks;
+}
+
+/**
+ * Hunks that undo the given ones
+ */
+export function reversePatch(hunks) {
+  const swap = { '-': '+', '+': '-' };
+  return hunks.map(hunk => ({
+    oldStart: hunk.newStart,
+    oldLines: hunk.newLines,
+    newStart: hunk.oldStart,
+    newLines: hunk.oldLines,
+    lines: hunk.lines.map(line => (swap[line[0]] || line[0]) + line.slice(1))
+  }));
+}
+
+/**
+ * The runs of changed lines in hunks, without their context.
+ * Positions are 1-based and ends exclusive, so a pure insertion has
+ * oldStart === oldEnd at the line it was inserted before.
+ * @returns {Array} { oldStart, oldEnd, newStart, newEnd, removed, added }
+ */
+export function getChangedRanges(hunks) {
+  const ranges = [];
+
+  for (const hunk of hunks) {
+    // An empty side starts at the line before
+    let oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    let newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+    let current = null;
+
+    for (const line of hunk.lines) {
+      if (line.startsWith('\\')) continue;
+      if (line[0] === ' ') {
+        current = null;
+        oldLine++;
+        newLine++;
+        continue;
+      }
+      if (!current) {
+        // Hunks without context can split one change in two
+        const previous = ranges[ranges.length - 1];
+        current = previous?.oldEnd === oldLine && previous.newEnd === newLine
+          ? previous
+          : { oldStart: oldLine, oldEnd: oldLine, newStart: newLine, newEnd: newLine, removed: [], added: [] };
+        if (current !== previous) ranges.push(current);
+      }
+      if (line[0] === '-') {
+        current.removed.push(line.slice(1));
+        current.oldEnd = ++oldLine;
+      } else {
+        current.added.push(line.slice(1));
+        current.newEnd = ++newLine;
+      }
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Render hunks as a unified diff for one file, in the form `git apply`
+ * and `patch -p1` accept. A null path stands for a file that does not exist.
+ */
+export function formatPatch(hunks, oldPath, newPath = oldPath, mode = '100644') {
+  // Creating or deleting an empty file still needs its header
+  if (hunks.length === 0 && oldPath !== null && newPath !== null) return '';
+
+  const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+  const header = [
+    `diff --git a/${oldPath ?? newPath} b/${newPath ?? oldPath}`,
+    ...(oldPath === null ? [`new file mode ${mode}`] : []),
+    ...(newPath === null ? [`deleted file mode ${mode}`] : []),
+    `--- ${oldPath === null ? '/dev/null' : `a/${oldPath}`}`,
+    `+++ ${newPath === null ? '/dev/null' : `b/${newPath}`}`
+  ];
+
+  const body = hunks.flatMap(hunk => [
+    `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`,
+    ...hunk.lines
+  ]);
+
+  return [...header, ...body].join('\n') + '\n';
+}
+
+/**
+ * Apply hunks to text that may have changed since the patch was made.
+ * Each hunk is looked for near where it is expected, first exactly and
+ * then ignoring up to `fuzz` context lines at either end. A hunk that
+ * still cannot be placed is three-way merged with the lines where it
+ * should have gone, and anything that clashes is written out between
+ * conflict markers.
+ * @returns {{ content: string, applied: number, conflicts: number }}
+ */
+export function applyPatch(text, hunks, { fuzz = DEFAULT_FUZZ, labels } = {}) {
+  const lines = splitKeepingNewlines(text);
+  const output = [];
+  let cursor = 0; // lines before this are already copied to output
+  let offset = 0; // how far the file has shifted from the hunk positions
+  let applied = 0;
+  let conflicts = 0;
+
+  for (const hunk of hunks) {
+    // An empty old side means "insert after line oldStart"
+    const hunkStart = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const expected = hunkStart + offset;
+    const match = locateHunk(lines, hunk, expected, cursor, fuzz);
+
+    if (match) {
+      output.push(...lines.slice(cursor, match.index), ...match.replacement);
+      cursor = match.index + match.length;
+      offset = match.index - match.skipped - hunkStart;
+      applied++;
+      continue;
+    }
+
+    const { oldSide, newSide } = hunkSides(hunk.lines);
+    const start = Math.min(Math.max(expected, cursor), lines.length);
+    const region = lines.slice(start, start + oldSide.length);
+    const merged = mergeHunk(oldSide, region, newSide, labels);
+
+    output.push(...lines.slice(cursor, start), ...merged.lines);
+    cursor = start + region.length;
+    if (merged.conflicts > 0) {
+      conflicts += merged.conflicts;
+    } else {
+      applied++;
+    }
+  }
+
+  output.push(...lines.slice(cursor));
+  return { content: output.join(''), applied, conflicts };
+}
+
+/**
+ * Old and new text of a hunk as newline-terminated lines
+ */
+function hunkSides(hunkLines) {
+  const oldSide = [];
+  const newSide = [];
+  let previous = null;
+
+  for (const line of hunkLines) {
+    if (line.startsWith('\\')) {
+      // The line before has no newline, on whichever side it belongs to
+      if (previous !== '+') oldSide[oldSide.length - 1] = oldSide[oldSide.length - 1]?.replace(/\n$/, '');
+      if (previous !== '-') newSide[newSide.length - 1] = newSide[newSide.length - 1]?.replace(/\n$/, '');
+      continue;
+    }
+    previous = line[0];
+    if (line[0] !== '+') oldSide.push(line.slice(1) + '\n');
+    if (line[0] !== '-') newSide.push(line.slice(1) + '\n');
+  }
+
+  return { oldSide, newSide };
+}
+
+/**
+ * Three-way merge a hunk that could not be placed with the lines it should replace
+ */
+function mergeHunk(oldSide, region, newSide, labels) {
+  const strip = (lines) => lines.map(line => line.replace(/\n$/, ''));
+  const merged = mergeLines(strip(oldSide), strip(region), strip(newSide), labels);
+
+  // Every line gets its newline back except a final one that never had it
+  const endsWithoutNewline = region.length > 0 && !region[region.length - 1].endsWith('\n');
+  const lines = merged.lines.map((line, i) =>
+    endsWithoutNewline && i === merged.lines.length - 1 ? line : line + '\n');
+
+  return { lines, conflicts: merged.conflicts };
+}
+
+/**
+ * Find where a hunk applies, trying more fuzz only when less fails
+ */
+function locateHunk(lines, hunk, expected, minIndex, fuzz) {
+  const changeLines = hunk.lines.filter(line => !line.startsWith('\\'));
+  const leadingContext = changeLines.findIndex(line => line[0] !== ' ');
+  const trailingContext = [...changeLines].reverse().findIndex(line => line[0] !== ' ');
+
+  for (let level = 0; level <= fuzz; level++) {
+    const skipStart = Math.min(level, Math.max(leadingContext, 0));
+    const skipEnd = Math.min(level, Math.max(trailingContext, 0));
+    if (level > 0 && skipStart === 0 && skipEnd === 0) break;
+
+    const { oldSide, newSide } = hunkSides(trimContext(hunk.lines, skipStart, skipEnd));
+    // A hunk with nothing left to match would apply anywhere
+    if (oldSide.length === 0 && hunk.oldLines > 0) break;
+
+    const index = findLines(lines, oldSide, expected + skipStart, minIndex);
+    if (index !== -1) {
+      return { index, length: oldSide.length, replacement: newSide, skipped: skipStart };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop context lines from the ends of a hunk, along with any
+ * "\ No newline" markers attached to them
+ */
+function trimContext(hunkLines, skipStart, skipEnd) {
+  const trimmed = [...hunkLines];
+  for (let i = 0; i < skipStart; i++) {
+    trimmed.shift();
+    if (trimmed[0]?.startsWith('\\')) trimmed.shift();
+  }
+  for (let i = 0; i < skipEnd; i++) {
+    if (trimmed[trimmed.length - 1]?.startsWith('\\')) trimmed.pop();
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+/**
+ * Index of needle in lines, searching outward from near
+ */
+function findLines(lines, needle, near, minIndex) {
+  const matchesAt = (index) => index >= minIndex &&
+    index + needle.length <= lines.length &&
+    needle.every((line, i) => lines[index + i] === line);
+
+  const maxDistance = Math.max(near, lines.length - near);
+  for (let distance = 0; distance <= maxDistance; distance++) {
+    if (matchesAt(near - distance)) return near - distance;
+    if (distance > 0 && matchesAt(near + distance)) return near + distance;
+  }
+  return -1;
+}
@@ -0,0 +1,794 @@
+import os from 'os';
+import path from 'path';
+
+/**
+ * Static analysis of the POSIX shell commands Claude runs through its Bash
+ * tool: which files a command deletes, moves, copies, creates or writes.
+ * Anything whose effect cannot be known without running it (expansions,
+ * globs, loops, unknown programs) is reported as unanalyzed, never guessed.
+ */
+
+export class ShellSyntaxError extends Error {}
+
+// Longest first, so ">>" is not read as two ">"
+const REDIRECT_OPERATORS = ['&>>', '<<<', '<<-', '&>', '>>', '>|', '>&', '<&', '<<', '<>', '>', '<'];
+const CONTROL_OPERATORS = ['&&', '||', ';;', '|&', ';', '|', '&', '(', ')'];
+
+// Redirections that write to their target
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>', '>&']);
+const HARMLESS_TARGETS = new Set(['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty']);
+
+// Reserved words that open and close compound commands
+const COMPOUND_CLOSERS = { if: 'fi', for: 'done', while: 'done', until: 'done', select: 'done', case: 'esac', '{': '}', '(': ')' };
+const LEADING_KEYWORDS = new Set(['then', 'do', 'else', 'elif', '!']);
+
+// Programs that leave the file system alone, apart from their redirections
+const READ_ONLY_COMMANDS = new Set([
+  'ls', 'cat', 'head', 'tail', 'less', 'more', 'grep', 'egrep', 'fgrep', 'rg', 'ag', 'wc', 'echo', 'printf',
+  'pwd', 'which', 'type', 'file', 'stat', 'du', 'df', 'diff', 'cmp', 'sort', 'uniq', 'cut', 'tr', 'jq',
+  'true', 'false', 'test', '[', 'date', 'whoami', 'printenv', 'tree', 'basename', 'dirname', 'realpath',
+  'readlink', 'sleep', 'sha256sum', 'sha1sum', 'md5sum', 'find', 'env', 'column', 'nl', 'od', 'xxd', 'hexdump'
+]);
+const FIND_WRITE_ACTIONS = new Set(['-delete', '-exec', '-execdir', '-ok', '-okdir', '-fprint', '-fprint0', '-fprintf', '-fls']);
+
+const READ_ONLY_GIT_COMMANDS = new Set([
+  'status', 'diff', 'log', 'show', 'branch', 'add', 'commit', 'fetch', 'remote', 'rev-parse', 'ls-files',
+  'blame', 'grep', 'config', 'tag', 'reflog', 'describe', 'shortlog', 'push', 'cat-file', 'ls-tree', 'rev-list'
+]);
+
+/**
+ * Split a command line into words, operators and redirections.
+ * Words carry their value with quotes removed, plus whether any part of
+ * them depends on an expansion ($var, $(...), `...`), runs a command
+ * substitution ($(...), `...`) or is a glob.
+ * Heredoc bodies and comments are skipped.
+ * @throws {ShellSyntaxError} for unterminated quotes and substitutions
+ */
+export function tokenize(command) {
+  const tokens = [];
+  const heredocs = []; // delimiters whose bodies start after the next newline
+  let expectDelimiter = null;
+  let word = null;
+  let i = 0;
+
+  const startWord = () => {
+    if (!word) {
+      word = { type: 'word', value: '', quoted: false, dynamic: false, substitution: false, glob: false, tilde: false, start: i };
+    }
+  };
+  const endWord = () => {
+    if (!word) return;
+    word.end = i;
+    if (word.brace && /\{[^}]*(,|\.\.)[^}]*\}/.test(command.slice(word.start, i))) word.glob = true;
+    delete word.brace;
+    tokens.push(word);
+    if (expectDelimiter) {
+      heredocs.push({ delimiter: word.value, stripTabs: expectDelimiter === '<<-' });
+      expectDelimiter = null;
+    }
+    word = null;
+  };
+
+  while (i < command.length) {
+    const c = command[i];
+
+    if (c === '\\') {
+      if (command[i + 1] === '\n') {
+        i += 2; // Line continuation
+        continue;
+      }
+      startWord();
+      word.value += command[i + 1] ?? '';
+      word.quoted = true;
+      i += 2;
+      continue;
+    }
+
+    if (c === "'") {
+      startWord();
+      const close = command.indexOf("'", i + 1);
+      if (close === -1) throw new ShellSyntaxError('unterminated single quote');
+      word.value += command.slice(i + 1, close);
+      word.quoted = true;
+      i = close + 1;
+      continue;
+    }
+
+    if (c === '"') {
+      startWord();
+      word.quoted = true;
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && '$`"\\\n'.includes(command[i + 1])) {
+          if (command[i + 1] !== '\n') word.value += command[i + 1];
+          i += 2;
+        } else if (command[i] === '$' || command[i] === '`') {
+          const expansion = skipExpansion(command, i);
+          word.dynamic = word.dynamic || expansion.dynamic;
+          word.substitution = word.substitution || expansion.substitution === true;
+          word.value += command.slice(i, expansion.end);
+          i = expansion.end;
+        } else {
+          word.value += command[i++];
+        }
+      }
+      if (i >= command.length) throw new ShellSyntaxError('unterminated double quote');
+      i++;
+      continue;
+    }
+
+    if (c === '$' || c === '`') {
+      startWord();
+      const expansion = skipExpansion(command, i);
+      word.dynamic = word.dynamic || expansion.dynamic;
+      word.substitution = word.substitution || expansion.substitution === true;
+      word.value += command.slice(i, expansion.end);
+      i = expansion.end;
+      continue;
+    }
+
+    if (c === '#' && !word) {
+      while (i < command.length && command[i] !== '\n') i++;
+      continue;
+    }
+
+    if (c === ' ' || c === '\t') {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (c === '\n') {
+      endWord();
+      tokens.push({ type: 'operator', value: ';', start: i, end: i + 1 });
+      i++;
+      for (const heredoc of heredocs.splice(0)) {
+        i = skipHeredoc(command, i, heredoc);
+      }
+      continue;
+    }
+
+    const redirect = REDIRECT_OPERATORS.find(op => command.startsWith(op, i));
+    if (redirect) {
+      // A word of digits right before the operator is the file descriptor
+      let fd = null;
+      if (word && !word.quoted && /^\d+$/.test(word.value) && word.start + word.value.length === i) {
+        fd = Number(word.value);
+        word = null;
+      } else {
+        endWord();
+      }
+      tokens.push({ type: 'redirect', value: redirect, fd, start: i, end: i + redirect.length });
+      if (redirect === '<<' || redirect === '<<-') expectDelimiter = redirect;
+      i += redirect.length;
+      continue;
+    }
+
+    const operator = CONTROL_OPERATORS.find(op => command.startsWith(op, i));
+    if (operator) {
+      endWord();
+      tokens.push({ type: 'operator', value: operator, start: i, end: i + operator.length });
+      i += operator.length;
+      continue;
+    }
+
+    startWord();
+    if ('*?['.includes(c)) word.glob = true;
+    if (c === '{' && word.value !== '') word.brace = true;
+    if (c === '{' && word.value === '' && command[i + 1] && !/\s/.test(command[i + 1])) word.brace = true;
+    if (c === '~' && word.value === '' && !word.quoted) word.tilde = true;
+    word.value += c;
+    i++;
+  }
+
+  endWord();
+  return tokens;
+}
+
+/**
+ * End of a $name, ${...}, $(...), $((...)) or `...` starting at i,
+ * whether it really is an expansion (a lone "$" is just a dollar sign)
+ * and whether it runs a command
+ */
+function skipExpansion(command, i) {
+  if (command[i] === '`') {
+    let j = i + 1;
+    while (j < command.length && command[j] !== '`') {
+      j += command[j] === '\\' ? 2 : 1;
+    }
+    if (j >= command.length) throw new ShellSyntaxError('unterminated backquote');
+    return { end: j + 1, dynamic: true, substitution: true };
+  }
+
+  const next = command[i + 1];
+  if (next === '(') {
+    return { end: skipBalanced(command, i + 1, '(', ')'), dynamic: true, substitution: command[i + 2] !== '(' };
+  }
+  if (next === '{') return { end: skipBalanced(command, i + 1, '{', '}'), dynamic: true };
+  if (next && /[A-Za-z_]/.test(next)) {
+    let j = i + 1;
+    while (j < command.length && /\w/.test(command[j])) j++;
+    return { end: j, dynamic: true };
+  }
+  if (next && /[0-9@*#?$!-]/.test(next)) return { end: i + 2, dynamic: true };
+  return { end: i + 1, dynamic: false };
+}
+
+function skipBalanced(command, i, open, close) {
+  let depth = 0;
+  for (let j = i; j < command.length; j++) {
+    const c = command[j];
+    if (c === '\\') {
+      j++;
+    } else if (c === "'") {
+      j = command.indexOf("'", j + 1);
+      if (j === -1) break;
+    } else if (c === '"') {
+      j++;
+      while (j < command.length && command[j] !== '"') j += command[j] === '\\' ? 2 : 1;
+    } else if (c === open) {
+      depth++;
+    } else if (c === close && --depth === 0) {
+      return j + 1;
+    }
+  }
+  throw new ShellSyntaxError(`unterminated ${open === '(' ? '$(' : '${'}`);
+}
+
+function skipHeredoc(command, i, { delimiter, stripTabs }) {
+  while (i < command.length) {
+    const lineEnd = command.indexOf('\n', i);
+    const line = command.slice(i, lineEnd === -1 ? command.length : lineEnd);
+    i = lineEnd === -1 ? command.length : lineEnd + 1;
+    if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+  }
+  return i;
+}
+
+/**
+ * Split a command line into simple commands: words and redirections, with
+ * the operator that follows each one and where it sits in the source
+ * @returns {Array} { words, redirects, operator, start, end }
+ */
+export function parseCommands(command) {
+  const tokens = tokenize(command);
+  const commands = [];
+  let current = null;
+
+  const finish = (operator) => {
+    if (current) {
+      current.operator = operator;
+      commands.push(current);
+      current = null;
+    }
+  };
+  const begin = (token) => {
+    if (!current) current = { words: [], redirects: [], operator: null, start: token.start, end: token.end };
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+
+    if (token.type === 'operator' && (token.value === '(' || token.value === ')')) {
+      // Subshell parentheses are reported as their own "commands" so
+      // compound commands can be matched up
+      finish(null);
+      commands.push({ words: [{ ...token, type: 'word', quoted: false }], redirects: [], operator: null, start: token.start, end: token.end });
+    } else if (token.type === 'operator') {
+      finish(token.value);
+    } else if (token.type === 'redirect') {
+      begin(token);
+      const target = tokens[k + 1]?.type === 'word' ? tokens[++k] : null;
+      current.redirects.push({ op: token.value, fd: token.fd, target });
+      current.end = (target || token).end;
+    } else {
+      begin(token);
+      current.words.push(token);
+      current.end = token.end;
+    }
+  }
+
+  finish(null);
+  return commands;
+}
+
+/**
+ * Work out what a shell command does to the file system.
+ * Relative paths are resolved against cwd, following any `cd` in the
+ * command; without a known cwd they are reported as unanalyzed.
+ * @param {Object} options - { cwd, home, isDirectory(path, word) } where isDirectory
+ *   decides whether an existing mv/cp destination or an rm -r operand is a
+ *   directory (default: trailing "/")
+ * @returns {Object} { effects, unanalyzed, cwd } where each effect is
+ *   { kind: 'delete'|'rmdir'|'rename'|'copy'|'mkdir'|'touch'|'write'|'edit', path | from, to, command }
+ *   and each unanalyzed part is { command, reason }; cwd is the directory the command ends in
+ */
+export function analyzeCommand(command, options = {}) {
+  const state = {
+    cwd: options.cwd ?? null,
+    home: options.home ?? os.homedir(),
+    isDirectory: options.isDirectory ?? ((filePath, raw) => raw.endsWith('/')),
+    effects: [],
+    unanalyzed: []
+  };
+
+  let commands;
+  try {
+    commands = parseCommands(command);
+  } catch (error) {
+    return { effects: [], unanalyzed: [{ command: command.trim(), reason: `cannot parse: ${error.message}` }], cwd: state.cwd };
+  }
+
+  const open = []; // compound commands not closed yet
+  let compoundStart = null;
+
+  for (let k = 0; k < commands.length; k++) {
+    const simple = commands[k];
+    const words = [...simple.words];
+    while (words.length > 1 && !words[0].quoted && LEADING_KEYWORDS.has(words[0].value)) words.shift();
+    const first = words[0] && !words[0].quoted ? words[0].value : null;
+
+    if (Object.hasOwn(COMPOUND_CLOSERS, first ?? '') && open[open.length - 1] !== 'case') {
+      if (open.length === 0) compoundStart = simple.start;
+      open.push(first);
+    } else if (open.length > 0 && first === COMPOUND_CLOSERS[open[open.length - 1]]) {
+      open.pop();
+    }
+
+    if (compoundStart !== null) {
+      if (open.length === 0) {
+        state.unanalyzed.push({
+          command: command.slice(compoundStart, simple.end).trim(),
+          reason: 'compound commands (loops, conditionals, subshells) are not analyzed'
+        });
+        compoundStart = null;
+      }
+      continue;
+    }
+
+    const previous = commands[k - 1];
+    const inPipeline = simple.operator === '|' || simple.operator === '|&' ||
+      previous?.operator === '|' || previous?.operator === '|&';
+    analyzeSimpleCommand(simple, command.slice(simple.start, simple.end).trim(), inPipeline, state);
+  }
+
+  if (compoundStart !== null) {
+    state.unanalyzed.push({ command: command.slice(compoundStart).trim(), reason: 'unterminated compound command' });
+  }
+
+  return { effects: state.effects, unanalyzed: state.unanalyzed, cwd: state.cwd };
+}
+
+function analyzeSimpleCommand(simple, text, inPipeline, state) {
+  const effect = (kind, fields) => state.effects.push({ kind, ...fields, command: text });
+  const skip = (reason) => state.unanalyzed.push({ command: text, reason });
+
+  // Commands run by $(...) or `...` can do anything, wherever they appear
+  // (arguments, assignments, redirections), and are not looked into
+  const substituted = [...simple.words, ...simple.redirects.map(redirect => redirect.target)]
+    .filter(word => word?.substitution);
+  for (const word of substituted) {
+    skip(`"${word.value}" runs a command substitution, which is not analyzed`);
+  }
+
+  // Where a word points, or null after reporting why it cannot be known
+  const resolve = (word) => {
+    if (word.substitution) return null;
+    if (word.dynamic) {
+      skip(`"${word.value}" depends on shell expansion`);
+      return null;
+    }
+    if (word.glob) {
+      skip(`"${word.value}" is a glob pattern`);
+      return null;
+    }
+    let value = word.value;
+    if (word.tilde && (value === '~' || value.startsWith('~/'))) {
+      value = state.home + value.slice(1);
+    }
+    if (path.isAbsolute(value)) return path.resolve(value);
+    if (state.cwd === null) {
+      skip(`"${value}" is relative and the working directory is unknown`);
+      return null;
+    }
+    return path.resolve(state.cwd, value);
+  };
+
+  for (const { op, target } of simple.redirects) {
+    if (!WRITE_REDIRECTS.has(op) || !target) continue;
+    // 2>&1 and >&- duplicate or close descriptors rather than open files
+    if (op === '>&' && /^(\d+|-)$/.test(target.value)) continue;
+    if (!target.dynamic && HARMLESS_TARGETS.has(target.value)) continue;
+    const filePath = resolve(target);
+    if (filePath) effect('write', { path: filePath, append: op === '>>' || op === '&>>' });
+  }
+
+  const words = unwrapCommand(simple.words, skip);
+  if (!words || words.length === 0) return;
+
+  const name = words[0];
+  if (name.dynamic || name.glob) {
+    skip(`the command name "${name.value}" depends on shell expansion`);
+    return;
+  }
+
+  const program = path.basename(name.value);
+  const args = words.slice(1);
+
+  switch (program) {
+    case 'cd':
+    case 'pushd': {
+      // Commands in a pipeline run in a subshell, so a cd there changes nothing
+      if (inPipeline) return;
+      const target = args.find(arg => arg.value !== '--' && !(arg.value.startsWith('-') && arg.value !== '-'));
+      if (!target) {
+        state.cwd = state.home;
+      } else if (target.value === '-' || target.dynamic || target.glob ||
+          (!path.isAbsolute(target.value) && !target.tilde && state.cwd === null)) {
+        state.cwd = null;
+      } else {
+        state.cwd = resolve(target);
+      }
+      return;
+    }
+
+    case 'popd':
+      if (!inPipeline) state.cwd = null;
+      return;
+
+    case 'rm': {
+      const { flags, operands } = splitOptions(args);
+      const recursive = hasFlag(flags, 'r', 'R', '--recursive');
+      for (const operand of operands) {
+        const filePath = resolve(operand);
+        // -r says nothing about whether this operand is a directory
+        if (filePath) effect('delete', { path: filePath, recursive, directory: recursive && state.isDirectory(filePath, operand.value) });
+      }
+      return;
+    }
+
+    case 'rmdir': {
+      const { operands } = splitOptions(args);
+      for (const operand of operands) {
+        const filePath = resolve(operand);
+        if (filePath) effect('rmdir', { path: filePath });
+      }
+      return;
+    }
+
+    case 'mv':
+    case 'cp': {
+      const { flags, operands, values } = splitOptions(args, ['-t', '--target-directory', '-S', '--suffix']);
+      const targets = transferTargets(operands, values['-t'] ?? values['--target-directory'],
+        hasFlag(flags, 'T', '--no-target-directory'), resolve, state, skip);
+      const recursive = program === 'cp' && hasFlag(flags, 'r', 'R', 'a', '--recursive', '--archive');
+      for (const { from, to } of targets) {
+        if (program === 'mv') {
+          effect('rename', { from, to });
+        } else {
+          effect('copy', { from, to, recursive });
+        }
+      }
+      return;
+    }
+
+    case 'mkdir': {
+      const { flags, operands } = splitOptions(args, ['-m', '--mode']);
+      const parents = hasFlag(flags, 'p', '--parents');
+      for (const operand of operands) {
+        const filePath = resolve(operand);
+        if (filePath) effect('mkdir', { path: filePath, parents });
+      }
+      return;
+    }
+
+    case 'touch': {
+      const { flags, operands } = splitOptions(args, ['-d', '--date', '-t', '-r', '--reference']);
+      if (hasFlag(flags, 'c', '--no-create')) return;
+      for (const operand of operands) {
+        const filePath = resolve(operand);
+        if (filePath) effect('touch', { path: filePath });
+      }
+      return;
+    }
+
+    case 'tee': {
+      const { flags, operands } = splitOptions(args);
+      for (const operand of operands) {
+        const filePath = resolve(operand);
+        if (filePath) effect('write', { path: filePath, append: hasFlag(flags, 'a', '--append') });
+      }
+      return;
+    }
+
+    case 'sed':
+      analyzeSed(args, resolve, effect);
+      return;
+
+    case 'git':
+      analyzeGit(args, resolve, effect, skip, state);
+      return;
+
+    case 'find':
+      if (args.some(arg => !arg.quoted && FIND_WRITE_ACTIONS.has(arg.value))) {
+        skip('find with -delete or -exec runs actions that are not analyzed');
+      }
+      return;
+
+    case 'xargs':
+      skip('xargs takes its arguments from input');
+      return;
+
+    default:
+      if (!READ_ONLY_COMMANDS.has(program)) {
+        skip(`"${program}" is not a command ccundo can analyze`);
+      }
+  }
+}
+
+/**
+ * Drop variable assignments and wrappers like sudo, env and nohup that run
+ * the rest of the line as the real command
+ */
+function unwrapCommand(words, skip) {
+  let rest = [...words];
+  const isAssignment = (word) => !word.quoted && /^[A-Za-z_]\w*=/.test(word.value);
+
+  while (rest.length > 0) {
+    if (isAssignment(rest[0])) {
+      rest.shift();
+      continue;
+    }
+
+    const program = rest[0].value;
+    if (['command', 'builtin', 'exec', 'nohup', 'time'].includes(program)) {
+      rest.shift();
+      while (rest[0]?.value.startsWith('-')) rest.shift();
+    } else if (program === 'sudo' || program === 'nice' || program === 'timeout') {
+      const withValue = { sudo: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t'], nice: ['-n'], timeout: ['-s', '-k', '--signal', '--kill-after'] }[program];
+      rest.shift();
+      while (rest[0]?.value.startsWith('-')) {
+        const option = rest.shift().value;
+        if (withValue.includes(option)) rest.shift();
+      }
+      if (program === 'timeout') rest.shift(); // The duration
+    } else if (program === 'env') {
+      rest.shift();
+      while (rest[0] && (rest[0].value.startsWith('-') || isAssignment(rest[0]))) {
+        const option = rest.shift().value;
+        if (option === '-u' || option === '--unset' || option === '-C' || option === '--chdir') {
+          if (option === '-C' || option === '--chdir') {
+            skip('env --chdir changes the working directory');
+            return null;
+          }
+          rest.shift();
+        }
+      }
+      // Plain "env" just prints the environment
+      if (rest.length === 0) return [];
+    } else {
+      break;
+    }
+  }
+  return rest;
+}
+
+/**
+ * Separate options from operands. Options listed in withValue take the next
+ * word (or "=value") as their value; "--" ends the options.
+ * @returns {Object} { flags: Set of short letters and long options, operands, values }
+ */
+function splitOptions(args, withValue = []) {
+  const flags = new Set();
+  const operands = [];
+  const values = {};
+  let optionsDone = false;
+
+  for (let k = 0; k < args.length; k++) {
+    const arg = args[k];
+    if (optionsDone || arg.quoted || !arg.value.startsWith('-') || arg.value === '-') {
+      operands.push(arg);
+    } else if (arg.value === '--') {
+      optionsDone = true;
+    } else if (arg.value.startsWith('--')) {
+      const [name, value] = arg.value.split(/=(.*)/s);
+      flags.add(name);
+      if (withValue.includes(name)) values[name] = value !== undefined ? { ...arg, value } : args[++k];
+    } else if (withValue.includes(arg.value.slice(0, 2))) {
+      const name = arg.value.slice(0, 2);
+      values[name] = arg.value.length > 2 ? { ...arg, value: arg.value.slice(2) } : args[++k];
+    } else {
+      for (const letter of arg.value.slice(1)) flags.add(letter);
+    }
+  }
+  return { flags, operands, values };
+}
+
+function hasFlag(flags, ...names) {
+  return names.some(name => flags.has(name));
+}
+
+/**
+ * Source and destination pairs for mv and cp
+ */
+function transferTargets(operands, targetDirectory, noTargetDirectory, resolve, state, skip) {
+  if (targetDirectory) {
+    const dir = resolve(targetDirectory);
+    if (!dir) return [];
+    return operands
+      .map(operand => ({ from: resolve(operand), name: path.basename(operand.value) }))
+      .filter(({ from }) => from)
+      .map(({ from, name }) => ({ from, to: path.join(dir, name) }));
+  }
+
+  if (operands.length < 2) {
+    skip('missing destination');
+    return [];
+  }
+
+  const destination = operands[operands.length - 1];
+  const to = resolve(destination);
+  if (!to) return [];
+
+  const sources = operands.slice(0, -1);
+  const intoDirectory = !noTargetDirectory && (sources.length > 1 || state.isDirectory(to, destination.value));
+  return sources
+    .map(source => ({ from: resolve(source), name: path.basename(source.value) }))
+    .filter(({ from }) => from)
+    .map(({ from, name }) => ({ from, to: intoDirectory ? path.join(to, name) : to }));
+}
+
+/**
+ * sed only writes files when editing in place (-i[SUFFIX] or --in-place);
+ * with a suffix it also leaves a backup of each file
+ */
+function analyzeSed(args, resolve, effect) {
+  let inPlace = false;
+  let suffix = '';
+  let hasScript = false;
+  const operands = [];
+
+  for (let k = 0; k < args.length; k++) {
+    const arg = args[k];
+    const value = arg.value;
+
+    if (arg.quoted || !value.startsWith('-') || value === '-') {
+      operands.push(arg);
+    } else if (value === '--') {
+      operands.push(...args.slice(k + 1));
+      break;
+    } else if (value.startsWith('--')) {
+      if (value === '--in-place' || value.startsWith('--in-place=')) {
+        inPlace = true;
+        suffix = value.split('=')[1] || '';
+      } else if (value === '--expression' || value === '--file') {
+        hasScript = true;
+        k++;
+      } else if (value.startsWith('--expression=') || value.startsWith('--file=')) {
+        hasScript = true;
+      }
+    } else {
+      // Short options can be combined; i, e, f and l swallow the rest of the word
+      for (let c = 1; c < value.length; c++) {
+        const letter = value[c];
+        if (letter === 'i') {
+          inPlace = true;
+          suffix = value.slice(c + 1);
+          break;
+        }
+        if (letter === 'e' || letter === 'f' || letter === 'l') {
+          if (letter !== 'l') hasScript = true;
+          if (c === value.length - 1) k++;
+          break;
+        }
+      }
+    }
+  }
+
+  if (!inPlace) return;
+
+  const files = hasScript ? operands : operands.slice(1);
+  for (const file of files) {
+    const filePath = resolve(file);
+    if (!filePath) continue;
+    effect('edit', { path: filePath });
+    if (suffix) {
+      effect('write', { path: suffix.includes('*') ? path.join(path.dirname(filePath), suffix.replace(/\*/g, path.basename(filePath))) : filePath + suffix, append: false });
+    }
+  }
+}
+
+/**
+ * The git subcommands that change files in the working tree
+ */
+function analyzeGit(args, resolve, effect, skip, state) {
+  let k = 0;
+  let cwd = state.cwd;
+
+  // Global options come before the subcommand
+  while (k < args.length && args[k].value.startsWith('-')) {
+    const option = args[k].value;
+    if (option === '-C') {
+      const dir = args[k + 1];
+      if (!dir || dir.dynamic) {
+        skip('git -C with an unknown directory');
+        return;
+      }
+      cwd = cwd === null && !path.isAbsolute(dir.value) ? null : path.resolve(cwd || '/', dir.value);
+      k += 2;
+    } else if (option === '-c') {
+      k += 2;
+    } else {
+      k++;
+    }
+  }
+
+  const subcommand = args[k]?.value;
+  const rest = args.slice(k + 1);
+  // git -C changes where paths are resolved from, for this command only
+  const resolveInGit = (word) => {
+    const saved = state.cwd;
+    state.cwd = cwd;
+    try {
+      return resolve(word);
+    } finally {
+      state.cwd = saved;
+    }
+  };
+
+  switch (subcommand) {
+    case undefined:
+      return;
+
+    case 'rm': {
+      const { flags, operands } = splitOptions(rest);
+      if (hasFlag(flags, '--cached', 'n', '--dry-run')) return;
+      const recursive = hasFlag(flags, 'r');
+      for (const operand of operands) {
+        const filePath = resolveInGit(operand);
+        if (filePath) effect('delete', { path: filePath, recursive, directory: recursive && state.isDirectory(filePath, operand.value) });
+      }
+      return;
+    }
+
+    case 'mv': {
+      const { flags, operands } = splitOptions(rest);
+      if (hasFlag(flags, 'n', '--dry-run')) return;
+      const savedCwd = state.cwd;
+      state.cwd = cwd;
+      const targets = transferTargets(operands, null, false, resolve, state, skip);
+      state.cwd = savedCwd;
+      for (const { from, to } of targets) effect('rename', { from, to });
+      return;
+    }
+
+    case 'checkout': {
+      const separator = rest.findIndex(arg => arg.value === '--' && !arg.quoted);
+      if (separator === -1) {
+        skip('git checkout without "--" may switch branches');
+        return;
+      }
+      for (const operand of rest.slice(separator + 1)) {
+        const filePath = resolveInGit(operand);
+        if (filePath) effect('edit', { path: filePath });
+      }
+      return;
+    }
+
+    case 'restore': {
+      const { flags, operands } = splitOptions(rest, ['-s', '--source']);
+      // --staged alone only touches the index
+      if (hasFlag(flags, 'S', '--staged') && !hasFlag(flags, 'W', '--worktree')) return;
+      for (const operand of operands) {
+        const filePath = resolveInGit(operand);
+        if (filePath) effect('edit', { path: filePath });
+      }
+      return;
+    }
+
+    default:
+      if (!READ_ONLY_GIT_COMMANDS.has(subcommand)) {
+        skip(`"git ${subcommand}" is not a git command ccundo can analyze`);
+      }
+  }
+}
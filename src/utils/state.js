@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// A lock file that can't be read is assumed to be left by a crashed writer once it is this old
+const STALE_LOCK_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const uniqueSuffix = () => `${process.pid}.${Date.now()}.${Math.floor(Math.random() * 1e9)}`;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock can be broken: its process is gone, or it can't be read
+ * and is old. A lock whose process is alive is never broken.
+ * @returns {string|null} The lock file's content when it is stale
+ */
+async function readStaleLock(lockFile) {
+  let data;
+  let stat;
+  try {
+    [data, stat] = await Promise.all([
+      fs.readFile(lockFile, 'utf8'),
+      fs.stat(lockFile)
+    ]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let pid = null;
+  try {
+    pid = JSON.parse(data).pid;
+  } catch (error) {
+    // Left half-written by a crashed process
+  }
+  if (Number.isInteger(pid)) {
+    return isProcessAlive(pid) ? null : data;
+  }
+  return Date.now() - stat.mtimeMs > STALE_LOCK_MS ? data : null;
+}
+
+/**
+ * Remove a stale lock, unless another process has replaced it since it
+ * was found stale. Moving it aside first means only one process breaks it.
+ */
+async function breakLock(lockFile, staleData) {
+  const aside = `${lockFile}.${uniqueSuffix()}.stale`;
+  try {
+    await fs.rename(lockFile, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  try {
+    if (await fs.readFile(aside, 'utf8') === staleData) return;
+
+    // A live lock taken after we looked, whose owner still believes it
+    // holds it: put it back, waiting for anyone who took the empty slot
+    // in the meantime to let go, rather than leave two owners
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (true) {
+      try {
+        await fs.link(aside, lockFile);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        if (Date.now() > deadline) {
+          throw new Error(`Could not put back the live lock ${lockFile}: another process took it while it was moved aside`);
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  } finally {
+    await fs.rm(aside, { force: true });
+  }
+}
+
+/**
+ * Run fn while holding an advisory lock on file.
+ * The lock is a sibling "<file>.lock" holding the owner's pid. It is
+ * written to a temp file and linked into place, so it never exists
+ * without its pid; locks left by dead processes are broken automatically.
+ */
+export async function withLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const tempFile = `${lockFile}.${uniqueSuffix()}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+
+  try {
+    while (true) {
+      try {
+        await fs.link(tempFile, lockFile);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const staleData = await readStaleLock(lockFile);
+        if (staleData !== null) {
+          await breakLock(lockFile, staleData);
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock on ${file}`);
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  } finally {
+    await fs.rm(tempFile, { force: true });
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+/**
+ * Write data to file via a temp file and rename, so readers only ever see
+ * the old or the new contents. The previous version is kept as "<file>.bak".
+ */
+export async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${uniqueSuffix()}.tmp`;
+
+  try {
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.copyFile(file, `${file}.bak`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+export async function writeJSON(file, value) {
+  await writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Read and parse a JSON state file
+ * @returns {Object} { value }, with defaultValue for a missing file, or { error } if it is corrupt
+ */
+async function parseFile(file, defaultValue) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { value: clone(defaultValue) };
+    throw error;
+  }
+
+  try {
+    return { value: JSON.parse(data) };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Put the last good ".bak" copy in place of a corrupt state file. The
+ * caller holds the file's lock, and the file is read again under it, as
+ * another process may have recovered or rewritten it in the meantime.
+ */
+async function recover(file, defaultValue) {
+  const { value, error: parseError } = await parseFile(file, defaultValue);
+  if (!parseError) return value;
+
+  const corruptFile = `${file}.corrupt-${Date.now()}`;
+  await fs.rename(file, corruptFile);
+
+  let recovered = clone(defaultValue);
+  let source = 'defaults';
+  try {
+    recovered = JSON.parse(await fs.readFile(`${file}.bak`, 'utf8'));
+    source = 'last good backup';
+    await writeFileAtomic(file, JSON.stringify(recovered, null, 2));
+  } catch (e) {
+    // No usable backup
+  }
+
+  console.error(`ccundo: ${file} was corrupt (${parseError.message}); restored from ${source}. ` +
+    `The damaged file was kept as ${corruptFile}`);
+  return recovered;
+}
+
+/**
+ * Read a JSON state file.
+ * A missing file yields defaultValue. A corrupt (e.g. truncated) file is
+ * moved aside to "<file>.corrupt-<time>" and the last good ".bak" copy is
+ * used instead; only if there is none does it fall back to defaultValue.
+ */
+export async function readJSON(file, defaultValue) {
+  const { value, error } = await parseFile(file, defaultValue);
+  if (!error) return value;
+  return await withLock(file, () => recover(file, defaultValue));
+}
+
+/**
+ * Read-modify-write a JSON state file under its lock.
+ * updater receives the current value and returns the new one (or mutates it
+ * and returns undefined). Returns the value that was written.
+ */
+export async function updateJSON(file, defaultValue, updater) {
+  return await withLock(file, async () => {
+    // The lock is held already, so a corrupt file is recovered directly
+    const { value, error } = await parseFile(file, defaultValue);
+    const current = error ? await recover(file, defaultValue) : value;
+    const result = await updater(current);
+    const next = result === undefined ? current : result;
+    await writeJSON(file, next);
+    return next;
+  });
+}
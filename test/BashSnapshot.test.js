@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BashSnapshot } from '../src/core/BashSnapshot.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { UndoManager } from '../src/core/UndoManager.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('BashSnapshot', () => {
+  let dir;
+  let project;
+  let bashSnapshot;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-bash-'));
+    project = path.join(dir, 'project');
+    await fs.mkdir(path.join(project, 'src'), { recursive: true });
+    await fs.mkdir(path.join(project, 'node_modules'));
+
+    const store = new SnapshotStore({ baseDir: path.join(dir, 'snapshots') });
+    bashSnapshot = new BashSnapshot({ baseDir: path.join(dir, 'bash'), snapshotStore: store });
+    await bashSnapshot.init();
+  });
+
+  const write = (name, content) => fs.writeFile(path.join(project, name), content);
+  const read = (name) => fs.readFile(path.join(project, name), 'utf8').catch(() => null);
+
+  test('records what a command created, modified and deleted, and undoes it', async () => {
+    await write('src/app.js', 'v1');
+    await write('notes.txt', 'keep me');
+    await write('node_modules/dep.js', 'ignored');
+    const session = path.join(dir, 'sessions', 'session.jsonl');
+
+    await bashSnapshot.before({ toolUseId: 'toolu_1', root: project, command: 'codegen', sessionFile: session });
+    await write('src/app.js', 'v2');
+    await write('src/gen.js', 'generated');
+    await write('node_modules/dep.js', 'changed');
+    await fs.rm(path.join(project, 'notes.txt'));
+    const record = await bashSnapshot.after({ toolUseId: 'toolu_1' });
+
+    expect(record.changes.map(change => [path.relative(project, change.path), change.change])).toEqual([
+      ['notes.txt', 'deleted'],
+      [path.join('src', 'app.js'), 'modified'],
+      [path.join('src', 'gen.js'), 'created']
+    ]);
+    expect(await bashSnapshot.getRecords(session)).toEqual({ toolu_1: record });
+
+    const undoManager = new UndoManager({ snapshotStore: bashSnapshot.snapshotStore });
+    const op = new Operation(OperationType.BASH_COMMAND, { command: 'codegen', root: project, changes: record.changes });
+
+    await write('src/gen.js', 'edited since');
+    expect((await undoManager.undo(op)).message).toMatch(/gen\.js changed since/);
+    expect(await read('src/app.js')).toBe('v2');
+
+    const result = await undoManager.undo(op, { conflictMode: 'force' });
+    expect(result.success).toBe(true);
+    expect([await read('src/app.js'), await read('notes.txt'), await read('src/gen.js')]).toEqual(['v1', 'keep me', null]);
+
+    // Every file the undo replaced is backed up, not just the last
+    const backups = {};
+    for (const backup of result.backups) {
+      const store = bashSnapshot.snapshotStore;
+      backups[path.relative(project, backup.path)] = await store.read(await store.get(backup.snapshotId), 'utf8');
+    }
+    expect(backups).toEqual({ [path.join('src', 'app.js')]: 'v2', [path.join('src', 'gen.js')]: 'edited since' });
+  });
+
+  test('only rereads files whose size or mtime changed', async () => {
+    const time = new Date('2025-07-01T10:00:00Z');
+    await write('a.txt', 'a');
+    await fs.utimes(path.join(project, 'a.txt'), time, time);
+    await bashSnapshot.before({ toolUseId: 'toolu_1', root: project });
+    await bashSnapshot.after({ toolUseId: 'toolu_1' });
+
+    // Same size and mtime: the indexed hash is trusted without reading the file
+    await write('a.txt', 'b');
+    await fs.utimes(path.join(project, 'a.txt'), time, time);
+    await bashSnapshot.before({ toolUseId: 'toolu_2', root: project });
+    await write('a.txt', 'cc');
+    const record = await bashSnapshot.after({ toolUseId: 'toolu_2' });
+
+    expect(record.changes).toHaveLength(1);
+    expect(await bashSnapshot.snapshotStore.read(record.changes[0].before)).toBe('a');
+  });
+
+  test('keeps the index entries of commands scanning at the same time', async () => {
+    const entry = hash => ({ size: 1, mtimeMs: 0, mode: 0o644, hash });
+    await bashSnapshot.updateIndex(project, {}, { 'gone.txt': entry('0') });
+
+    await Promise.all([
+      bashSnapshot.updateIndex(project, { 'gone.txt': entry('0') }, { 'a.txt': entry('a') }),
+      bashSnapshot.updateIndex(project, {}, { 'b.txt': entry('b') })
+    ]);
+
+    expect([...await bashSnapshot.listIndexedHashes()].sort()).toEqual(['a', 'b']);
+  });
+});
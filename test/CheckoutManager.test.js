@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CheckoutManager } from '../src/core/CheckoutManager.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('CheckoutManager', () => {
+  let dir;
+  let manager;
+
+  const at = (operation, time) => {
+    operation.timestamp = new Date(time);
+    return operation;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-checkout-'));
+    manager = new CheckoutManager({
+      localSession: 'test',
+      snapshotStore: new SnapshotStore({ baseDir: path.join(dir, 'state', 'snapshots') })
+    });
+    manager.checkoutsFile = path.join(dir, 'state', 'checkouts.json');
+    await manager.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('goes back to a point in one step and forward again', async () => {
+    const a = path.join(dir, 'a.txt');
+    const b = path.join(dir, 'b.txt');
+    await fs.writeFile(a, 'two');
+    await fs.writeFile(b, 'new');
+    const operations = [
+      at(new Operation(OperationType.FILE_CREATE, { filePath: a, content: 'one' }), '2026-03-01T14:00:00Z'),
+      at(new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'one', newString: 'two' }), '2026-03-01T14:40:00Z'),
+      at(new Operation(OperationType.FILE_CREATE, { filePath: b, content: 'new' }), '2026-03-01T14:50:00Z')
+    ];
+
+    const point = { time: new Date('2026-03-01T14:32:00Z'), turn: null, label: '14:32' };
+    const toUndo = manager.getOperationsAfter(operations, point);
+    expect(toUndo.map(op => op.id)).toEqual([operations[2].id, operations[1].id]);
+
+    const outcome = await manager.checkout(toUndo, point);
+    expect(outcome.success).toBe(true);
+    expect(await fs.readFile(a, 'utf8')).toBe('one');
+    await expect(fs.access(b)).rejects.toThrow();
+
+    const [checkout] = await manager.getCheckouts();
+    expect(checkout.id).toBe(outcome.checkout.id);
+    expect(checkout.operations).toEqual(toUndo.map(op => op.id));
+
+    const result = await manager.undoCheckout(checkout);
+    expect(result.success).toBe(true);
+    expect(await fs.readFile(a, 'utf8')).toBe('two');
+    expect(await fs.readFile(b, 'utf8')).toBe('new');
+    expect(await manager.getCheckouts()).toEqual([]);
+  });
+
+  test('will not jump forward over files changed since the checkout unless forced', async () => {
+    const a = path.join(dir, 'a.txt');
+    await fs.writeFile(a, 'after');
+    const edit = at(new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'before', newString: 'after' }), '2026-03-01T15:00:00Z');
+    const point = { time: new Date('2026-03-01T14:00:00Z'), turn: null, label: '14:00' };
+
+    const { checkout } = await manager.checkout(manager.getOperationsAfter([edit], point), point);
+    await fs.writeFile(a, 'mine');
+
+    const refused = await manager.undoCheckout(checkout);
+    expect(refused.success).toBe(false);
+    expect(refused.changed).toEqual([a]);
+    expect(await fs.readFile(a, 'utf8')).toBe('mine');
+
+    const forced = await manager.undoCheckout(checkout, { force: true });
+    expect(forced.success).toBe(true);
+    expect(await fs.readFile(a, 'utf8')).toBe('after');
+    expect(await manager.snapshotStore.read(await manager.snapshotStore.get(forced.backups[0].snapshotId))).toBe('mine');
+  });
+
+  test('records nothing when a checkout fails partway, leaving no checkout to undo', async () => {
+    const a = path.join(dir, 'a.txt');
+    await fs.writeFile(a, 'two');
+    const operations = [
+      at(new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'one', newString: 'two' }), '2026-03-01T14:40:00Z'),
+      // The file it edited is gone, so undoing this one fails
+      at(new Operation(OperationType.FILE_EDIT, { filePath: path.join(dir, 'gone.txt'), oldString: 'x', newString: 'y' }), '2026-03-01T14:50:00Z')
+    ];
+    const point = { time: new Date('2026-03-01T14:00:00Z'), turn: null, label: '14:00' };
+
+    const outcome = await manager.checkout(manager.getOperationsAfter(operations, point), point);
+
+    expect(outcome).toMatchObject({ success: false, rolledBack: true });
+    expect(outcome.checkout).toBeUndefined();
+    expect(await fs.readFile(a, 'utf8')).toBe('two');
+    expect(await manager.getCheckout()).toBeNull();
+  });
+
+  test('jumps forward over a checkout that skipped operations it could not undo', async () => {
+    const a = path.join(dir, 'a.txt');
+    await fs.writeFile(a, 'two');
+    const operations = [
+      at(new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'one', newString: 'two' }), '2026-03-01T14:40:00Z'),
+      at(new Operation(OperationType.BASH_COMMAND, { command: 'ls -la' }), '2026-03-01T14:45:00Z'),
+      at(new Operation(OperationType.FILE_DELETE, { filePath: path.join(dir, 'build.log'), content: '', command: 'rm build.log' }), '2026-03-01T14:50:00Z')
+    ];
+    const point = { time: new Date('2026-03-01T14:00:00Z'), turn: null, label: '14:00' };
+
+    const outcome = await manager.checkout(manager.getOperationsAfter(operations, point), point);
+    expect(outcome.success).toBe(true);
+    expect(outcome.results.filter(r => r.result.skipped)).toHaveLength(2);
+    expect(await fs.readFile(a, 'utf8')).toBe('one');
+
+    const result = await manager.undoCheckout(await manager.getCheckout(outcome.checkout.id.slice(0, 8)));
+    expect(result).toMatchObject({ success: true, backups: [] });
+    expect(await fs.readFile(a, 'utf8')).toBe('two');
+    await expect(fs.access(path.join(dir, 'build.log'))).rejects.toThrow();
+    expect(await manager.getCheckouts()).toEqual([]);
+  });
+});
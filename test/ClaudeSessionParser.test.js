@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ClaudeSessionParser } from '../src/core/ClaudeSessionParser.js';
+import { OperationType } from '../src/core/Operation.js';
+
+async function writeSession(entries) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-session-'));
+  const file = path.join(dir, 'session.jsonl');
+  await fs.writeFile(file, entries.map(e => JSON.stringify(e)).join('\n'));
+  return file;
+}
+
+function toolUse(id, name, input, timestamp = '2025-07-01T10:00:00.000Z') {
+  return {
+    type: 'assistant',
+    timestamp,
+    message: { content: [{ type: 'tool_use', id, name, input }] }
+  };
+}
+
+function toolResult(id, toolUseResult, isError = false) {
+  return {
+    type: 'user',
+    message: { content: [{ type: 'tool_result', tool_use_id: id, content: '', is_error: isError }] },
+    toolUseResult
+  };
+}
+
+describe('ClaudeSessionParser', () => {
+  test('joins Edit tool_use with its tool_result snapshot', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'Edit', { file_path: '/a.js', old_string: 'x', new_string: 'y' }),
+      toolResult('toolu_1', { filePath: '/a.js', originalFile: 'x x', structuredPatch: [] })
+    ]);
+
+    const [op] = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(op.type).toBe(OperationType.FILE_EDIT);
+    expect(op.data.beforeContent).toBe('x x');
+    expect(op.data.afterContent).toBe('y x');
+    expect(op.data.structuredPatch).toEqual([]);
+  });
+
+  test('replays MultiEdit and replace_all edits exactly', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'MultiEdit', {
+        file_path: '/a.js',
+        edits: [
+          { old_string: 'a', new_string: '$&b', replace_all: true },
+          { old_string: 'c', new_string: 'd' }
+        ]
+      }),
+      toolResult('toolu_1', { filePath: '/a.js', originalFileContents: 'a c a c' })
+    ]);
+
+    const [op] = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(op.data.afterContent).toBe('$&b d $&b c');
+  });
+
+  test('records a missing pre-image for Write that created a file', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'Write', { file_path: '/new.js', content: 'hello' }),
+      toolResult('toolu_1', { type: 'create', filePath: '/new.js', content: 'hello' })
+    ]);
+
+    const [op] = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(op.data.beforeContent).toBeNull();
+    expect(op.data.afterContent).toBe('hello');
+  });
+
+  test('classifies a Write over an existing file as an overwrite', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'Write', { file_path: '/a.js', content: 'v1' }),
+      toolResult('toolu_1', { type: 'create', filePath: '/a.js', content: 'v1' }),
+      toolUse('toolu_2', 'Write', { file_path: '/a.js', content: 'v2' }),
+      toolResult('toolu_2', { type: 'update', filePath: '/a.js', content: 'v2' })
+    ]);
+
+    const [create, overwrite] = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(create.type).toBe(OperationType.FILE_CREATE);
+    expect(overwrite.type).toBe(OperationType.FILE_OVERWRITE);
+    // Not in the tool result, but known from the earlier Write
+    expect(overwrite.data.beforeContent).toBe('v1');
+    expect(overwrite.data.afterContent).toBe('v2');
+  });
+
+  test('skips tool calls that failed', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'Edit', { file_path: '/a.js', old_string: 'x', new_string: 'y' }),
+      toolResult('toolu_1', 'Error: String to replace not found', true)
+    ]);
+
+    const operations = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(operations).toHaveLength(0);
+  });
+
+  test('keeps operations without a tool_result', async () => {
+    const file = await writeSession([
+      toolUse('toolu_1', 'Edit', { file_path: '/a.js', old_string: 'x', new_string: 'y' })
+    ]);
+
+    const [op] = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(op.data.beforeContent).toBeUndefined();
+    expect(op.data.oldString).toBe('x');
+  });
+
+  test('links operations to the prompt at the start of their parentUuid chain', async () => {
+    const prompt = (uuid, content, extra = {}) => ({ type: 'user', uuid, parentUuid: null, message: { content }, ...extra });
+    const file = await writeSession([
+      prompt('p1', 'Rename the helper\nand update callers'),
+      { ...toolUse('toolu_1', 'Edit', { file_path: '/a.js', old_string: 'x', new_string: 'y' }), uuid: 'a1', parentUuid: 'p1' },
+      { ...toolResult('toolu_1'), uuid: 'r1', parentUuid: 'a1' },
+      prompt('m1', 'Caveat: injected by the harness', { isMeta: true, parentUuid: 'r1' }),
+      { ...toolUse('toolu_2', 'Edit', { file_path: '/b.js', old_string: 'x', new_string: 'y' }), uuid: 'a2', parentUuid: 'm1' },
+      prompt('p2', [{ type: 'text', text: 'Now add tests' }], { parentUuid: 'a2' }),
+      { ...toolUse('toolu_3', 'Write', { file_path: '/c.js', content: '' }), uuid: 'a3', parentUuid: 'p2' },
+      // A broken chain falls back to the latest prompt before it
+      toolUse('toolu_4', 'Write', { file_path: '/d.js', content: '' })
+    ]);
+
+    const parser = new ClaudeSessionParser();
+    const operations = await parser.readSessionOperations(file);
+    const prompts = await parser.readSessionPrompts(file);
+
+    expect(operations.map(op => op.data.promptId)).toEqual(['p1', 'p1', 'p2', 'p2']);
+    expect(prompts.map(p => [p.id, p.text])).toEqual([
+      ['p1', 'Rename the helper\nand update callers'],
+      ['p2', 'Now add tests']
+    ]);
+  });
+
+  test('includes subagent operations from agent transcripts and sidechain entries', async () => {
+    const task = (id, description) => toolUse(id, 'Task', { description, subagent_type: 'general-purpose', prompt: '...' });
+    const file = await writeSession([
+      { type: 'user', uuid: 'p1', message: { content: 'Split the module' } },
+      { ...task('toolu_task1', 'Move helpers'), uuid: 'a1', parentUuid: 'p1' },
+      // Older sessions keep the agent's conversation inline
+      { ...toolUse('toolu_inline', 'Write', { file_path: '/inline.js', content: '' }), isSidechain: true },
+      { ...toolResult('toolu_task1', { agentId: 'abc123' }), uuid: 'r1', parentUuid: 'a1' },
+      { ...task('toolu_task2', 'Write tests'), uuid: 'a2', parentUuid: 'r1' },
+      { ...toolResult('toolu_task2', { agentId: 'def456' }), uuid: 'r2', parentUuid: 'a2' },
+      { ...toolUse('toolu_main', 'Write', { file_path: '/main.js', content: '' }), uuid: 'a3', parentUuid: 'r2' }
+    ]);
+    const transcript = path.join(path.dirname(file), 'session', 'subagents', 'agent-def456.jsonl');
+    await fs.mkdir(path.dirname(transcript), { recursive: true });
+    await fs.writeFile(transcript, JSON.stringify({
+      ...toolUse('toolu_agent', 'Write', { file_path: '/agent.test.js', content: '' }),
+      isSidechain: true,
+      agentId: 'def456'
+    }));
+
+    const operations = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(operations.map(op => [op.id, op.data.agent?.description, op.data.promptId])).toEqual([
+      ['toolu_inline', 'Move helpers', 'p1'],
+      ['toolu_agent', 'Write tests', 'p1'],
+      ['toolu_main', undefined, 'p1']
+    ]);
+    expect(operations[1].data.agent).toMatchObject({ agentId: 'def456', type: 'general-purpose', depth: 1 });
+  });
+
+  test('splits a Bash call into the file operations it performed', async () => {
+    const bash = toolUse('toolu_1', 'Bash', { command: 'cd src && rm -rf old.js && mv a.js b.js && npm test > out.txt' });
+    const file = await writeSession([{ ...bash, cwd: '/repo' }, toolResult('toolu_1', { stdout: '' })]);
+
+    const ops = await new ClaudeSessionParser().readSessionOperations(file);
+
+    expect(ops.map(op => [op.id, op.type])).toEqual([
+      ['toolu_1:1', OperationType.FILE_DELETE],
+      ['toolu_1:2', OperationType.FILE_RENAME],
+      ['toolu_1:3', OperationType.BASH_COMMAND]
+    ]);
+    expect(ops[0].data.filePath).toBe('/repo/src/old.js');
+    expect(ops[1].data).toMatchObject({ oldPath: '/repo/src/a.js', newPath: '/repo/src/b.js' });
+    expect(ops[2].data.effects).toMatchObject([{ kind: 'write', path: '/repo/src/out.txt' }]);
+    expect(ops[2].data.unanalyzed).toMatchObject([{ command: 'npm test > out.txt' }]);
+  });
+});
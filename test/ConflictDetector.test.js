@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConflictDetector } from '../src/core/ConflictDetector.js';
+import { FileIdentity } from '../src/core/FileIdentity.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+import { merge3 } from '../src/utils/diff.js';
+
+describe('ConflictDetector', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-conflict-'));
+  });
+
+  function editOp(filePath, beforeContent, afterContent, timestamp) {
+    const op = new Operation(OperationType.FILE_EDIT, { filePath, beforeContent, afterContent });
+    op.timestamp = new Date(timestamp);
+    return op;
+  }
+
+  test('flags files changed after the last operation on them', async () => {
+    const changed = path.join(dir, 'changed.js');
+    const clean = path.join(dir, 'clean.js');
+    await fs.writeFile(changed, 'b\nuser edit\n');
+    await fs.writeFile(clean, 'y\n');
+
+    const ops = [
+      editOp(changed, 'a\n', 'b\n', '2025-07-01T10:00:00Z'),
+      editOp(clean, 'x\n', 'y\n', '2025-07-01T10:01:00Z')
+    ];
+    const conflicts = await ConflictDetector.detect(ops);
+
+    expect([...conflicts.keys()]).toEqual([ops[0].id]);
+    expect(conflicts.get(ops[0].id).filePath).toBe(changed);
+  });
+
+  test('compares against the newest operation on the file', async () => {
+    const file = path.join(dir, 'file.js');
+    await fs.writeFile(file, 'c\n');
+
+    const older = editOp(file, 'a\n', 'b\n', '2025-07-01T10:00:00Z');
+    const newer = editOp(file, 'b\n', 'c\n', '2025-07-01T10:01:00Z');
+
+    expect((await ConflictDetector.detect([older], [older, newer])).size).toBe(0);
+  });
+
+  test('follows a file renamed after the edit to where it is now', async () => {
+    const before = path.join(dir, 'a.js');
+    const after = path.join(dir, 'b.js');
+    await fs.writeFile(after, 'b\nuser edit\n');
+
+    const edit = editOp(before, 'a\n', 'b\n', '2025-07-01T10:00:00Z');
+    const rename = new Operation(OperationType.FILE_RENAME, { oldPath: before, newPath: after });
+    rename.timestamp = new Date('2025-07-01T10:01:00Z');
+    const active = [edit, rename];
+    const located = new FileIdentity(active).locate(edit);
+
+    const conflicts = await ConflictDetector.detect([located], active);
+    expect(conflicts.get(edit.id)).toMatchObject({ filePath: after, operationId: edit.id });
+
+    await fs.writeFile(after, 'b\n');
+    expect((await ConflictDetector.detect([located], active)).size).toBe(0);
+  });
+});
+
+describe('merge3', () => {
+  test('reverts one side while keeping unrelated changes', () => {
+    const base = 'one\nCLAUDE\nthree\nfour';
+    const ours = 'one\nCLAUDE\nthree\nfour\nuser';
+    const theirs = 'one\ntwo\nthree\nfour';
+
+    expect(merge3(base, ours, theirs)).toEqual({
+      content: 'one\ntwo\nthree\nfour\nuser',
+      conflicts: 0
+    });
+  });
+
+  test('marks overlapping changes as conflicts', () => {
+    const { content, conflicts } = merge3('a\nCLAUDE\nc', 'a\nUSER\nc', 'a\nb\nc');
+
+    expect(conflicts).toBe(1);
+    expect(content).toBe('a\n<<<<<<< current\nUSER\n=======\nb\n>>>>>>> undo\nc');
+  });
+});
@@ -0,0 +1,73 @@
+import { DependencyGraph } from '../src/core/DependencyGraph.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n');
+
+describe('DependencyGraph', () => {
+  let content;
+
+  beforeEach(() => {
+    content = { '/p/a.js': lines(30) };
+  });
+
+  // Edit a file as Claude Code would record it, with its before and after content
+  const edit = (filePath, change) => {
+    const beforeContent = content[filePath];
+    const afterContent = change(beforeContent);
+    content[filePath] = afterContent;
+    return new Operation(OperationType.FILE_EDIT, { filePath, beforeContent, afterContent });
+  };
+
+  test('keeps edits to other parts of a file independent, following them as lines move', () => {
+    const early = edit('/p/a.js', text => text.replace('line 10\n', 'claude 10\n'));
+    const elsewhere = edit('/p/a.js', text => text.replace('line 25\n', 'claude 25\n'));
+    const top = edit('/p/a.js', text => `header 1\nheader 2\n${text}`);
+    const same = edit('/p/a.js', text => text.replace('claude 10\n', 'claude 10 again\n'));
+    const graph = new DependencyGraph([early, elsewhere, top, same]);
+
+    expect(graph.getDependents(early)).toEqual([same]);
+    expect(graph.getUndoSet(early)).toEqual([same, early]);
+    expect(graph.getUndoSet(elsewhere)).toEqual([elsewhere]);
+    expect(graph.getUndoSet(top)).toEqual([top]);
+  });
+
+  test('ties edits to the file created before them and follows renames', () => {
+    const create = new Operation(OperationType.FILE_CREATE, { filePath: '/p/new.js', content: 'x' });
+    const editNew = new Operation(OperationType.FILE_EDIT, { filePath: '/p/new.js', oldString: 'x', newString: 'y' });
+    const unrelated = edit('/p/a.js', text => text.replace('line 1\n', 'claude 1\n'));
+    const rename = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/new.js', newPath: '/p/lib/new.js' });
+    const editMoved = new Operation(OperationType.FILE_EDIT, { filePath: '/p/lib/new.js', oldString: 'y', newString: 'z' });
+    const graph = new DependencyGraph([create, editNew, unrelated, rename, editMoved]);
+
+    expect(graph.getUndoSet(create)).toEqual([editMoved, rename, editNew, create]);
+    expect(graph.getUndoSet(unrelated)).toEqual([unrelated]);
+    // Moving the file doesn't tie an edit to the rename
+    expect(graph.getUndoSet(editNew)).toEqual([editMoved, editNew]);
+    // The moved file's identity is the one created as new.js
+    expect(graph.identity.getCurrentPath(graph.identity.getTouched(create)[0].id)).toBe('/p/lib/new.js');
+  });
+
+  test('compares the text of edits recorded only as strings', () => {
+    const early = new Operation(OperationType.FILE_EDIT, { filePath: '/p/b.js', oldString: 'let x;', newString: 'const x = 1;' });
+    const other = new Operation(OperationType.FILE_EDIT, { filePath: '/p/b.js', oldString: 'let y;', newString: 'const y = 2;' });
+    const same = new Operation(OperationType.FILE_EDIT, { filePath: '/p/b.js', oldString: '  const x = 1;', newString: 'const x = 3;' });
+    const graph = new DependencyGraph([early, other, same]);
+
+    expect(graph.getDependents(early)).toEqual([same]);
+    expect(graph.getUndoSet(other)).toEqual([other]);
+  });
+
+  test('ties work inside a directory to the operation that created or removed it', () => {
+    const mkdir = new Operation(OperationType.DIRECTORY_CREATE, { dirPath: '/p/lib' });
+    const create = new Operation(OperationType.FILE_CREATE, { filePath: '/p/lib/util.js', content: 'x' });
+    const unrelated = edit('/p/a.js', text => text.replace('line 1\n', 'claude 1\n'));
+    const editOld = new Operation(OperationType.FILE_EDIT, { filePath: '/p/old/a.js', oldString: 'a', newString: 'b' });
+    const rmdir = new Operation(OperationType.DIRECTORY_DELETE, { dirPath: '/p/old' });
+    const graph = new DependencyGraph([mkdir, create, unrelated, editOld, rmdir]);
+
+    expect(graph.getUndoSet(mkdir)).toEqual([create, mkdir]);
+    // Removing the directory a file is in depends on the edit to it
+    expect(graph.getUndoSet(editOld)).toEqual([rmdir, editOld]);
+    expect(graph.getUndoSet(unrelated)).toEqual([unrelated]);
+  });
+});
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileHistory } from '../src/core/FileHistory.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('FileHistory', () => {
+  test('rebuilds the content after each operation, following renames', async () => {
+    const create = new Operation(OperationType.FILE_CREATE, { filePath: '/p/a.js', content: 'one\n' });
+    // An edit recorded without the file's content is replayed on the revision before it
+    const edit = new Operation(OperationType.FILE_EDIT, { filePath: '/p/a.js', oldString: 'one', newString: 'two' });
+    const other = new Operation(OperationType.FILE_CREATE, { filePath: '/p/other.js', content: 'x' });
+    const rename = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/a.js', newPath: '/p/b.js' });
+    const moved = new Operation(OperationType.FILE_EDIT, {
+      filePath: '/p/b.js', oldString: 'two', newString: 'three', beforeContent: 'two\n', afterContent: 'three\n'
+    });
+    const history = new FileHistory([create, edit, other, rename, moved]);
+
+    const revisions = await history.getRevisions('/p/b.js');
+
+    expect(revisions.map(revision => revision.operation)).toEqual([null, create, edit, rename, moved]);
+    expect(revisions.map(revision => revision.after)).toEqual([null, 'one\n', 'two\n', 'two\n', 'three\n']);
+    expect(revisions.map(revision => revision.path)).toEqual(['/p/a.js', '/p/a.js', '/p/a.js', '/p/b.js', '/p/b.js']);
+    expect(revisions[2]).toMatchObject({ added: 1, removed: 1 });
+    // The old name finds the same file
+    expect((await history.getRevisions('/p/a.js')).length).toBe(5);
+  });
+
+  test('marks content nothing recorded as unknown until an operation records it again', async () => {
+    const edit = new Operation(OperationType.FILE_EDIT, { filePath: '/p/a.js', oldString: 'a', newString: 'b' });
+    const write = new Operation(OperationType.FILE_OVERWRITE, { filePath: '/p/a.js', content: 'd', beforeContent: 'c' });
+    const history = new FileHistory([edit, write]);
+
+    const revisions = await history.getRevisions('/p/a.js');
+
+    expect(revisions.map(revision => revision.after)).toEqual([undefined, undefined, 'd']);
+    expect(revisions[1]).toMatchObject({ added: null, removed: null });
+    expect(revisions[2]).toMatchObject({ before: 'c', added: 1, removed: 1 });
+  });
+
+  test('tells a renamed file from a new one under its old name, through directory moves and Bash changes', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-history-'));
+    try {
+      const store = new SnapshotStore({ baseDir: dir });
+      const before = await store.save('two\n');
+      const after = await store.save('three\n');
+
+      const create = new Operation(OperationType.FILE_CREATE, { filePath: '/p/a.js', content: 'two\n' });
+      const rename = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/a.js', newPath: '/p/b.js' });
+      const reused = new Operation(OperationType.FILE_CREATE, { filePath: '/p/a.js', content: 'new\n' });
+      const moveDir = new Operation(OperationType.FILE_RENAME, { oldPath: '/p', newPath: '/q' });
+      const sed = new Operation(OperationType.BASH_COMMAND, {
+        command: 'sed -i s/two/three/ /q/b.js',
+        changes: [{ path: '/q/b.js', change: 'modified', before, after }]
+      });
+      const history = new FileHistory([create, rename, reused, moveDir, sed]);
+      history.snapshotStore = store;
+
+      // Moving the directory is no revision of the file, but the revisions after it are at the new path
+      const revisions = await history.getRevisions('/q/b.js');
+      expect(revisions.map(revision => revision.operation)).toEqual([null, create, rename, sed]);
+      expect(revisions.map(revision => revision.path)).toEqual(['/p/a.js', '/p/a.js', '/p/b.js', '/q/b.js']);
+      expect(revisions.map(revision => revision.after)).toEqual([null, 'two\n', 'two\n', 'three\n']);
+      expect(await history.getRevisions('/p/b.js')).toEqual(revisions);
+
+      // a.js is now the file created after the rename, which also moved to /q
+      const reusedRevisions = await history.getRevisions('/q/a.js');
+      expect(reusedRevisions.map(revision => revision.operation)).toEqual([null, reused]);
+      expect(reusedRevisions.map(revision => revision.after)).toEqual([null, 'new\n']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,62 @@
+import { FileIdentity } from '../src/core/FileIdentity.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('FileIdentity', () => {
+  const create = new Operation(OperationType.FILE_CREATE, { filePath: '/p/a.js', content: 'a' });
+  const edit = new Operation(OperationType.FILE_EDIT, { filePath: '/p/a.js', oldString: 'a', newString: 'b' });
+  const rename = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/a.js', newPath: '/p/b.js' });
+  const moveDir = new Operation(OperationType.FILE_RENAME, { oldPath: '/p', newPath: '/q' });
+  const later = new Operation(OperationType.FILE_EDIT, { filePath: '/q/b.js', oldString: 'b', newString: 'c' });
+  const identity = new FileIdentity([create, edit, rename, moveDir, later]);
+
+  test('gives a file the same id under every name it has had', () => {
+    const [{ id }] = identity.getTouched(create);
+
+    expect(identity.getTouched(later)[0].id).toBe(id);
+    expect(identity.getPaths(id)).toEqual(['/p/a.js', '/p/b.js', '/q/b.js']);
+    expect(identity.getPathAt(id, 3)).toBe('/p/b.js');
+  });
+
+  test('points operations at where their file is, leaving out renames that are undone', () => {
+    expect(identity.locate(edit).data.filePath).toBe('/q/b.js');
+    expect(identity.locate(rename).data).toEqual({ oldPath: '/p/a.js', newPath: '/q/b.js' });
+    expect(identity.locate(later)).toBe(later);
+
+    // Undoing the renames too: the edit is undone after them, at its old path
+    const located = identity.locateAll([later, moveDir, rename, edit]);
+    expect(located.map(operation => operation.getAffectedPaths())).toEqual([
+      ['/q/b.js'], ['/p', '/q'], ['/p/a.js', '/p/b.js'], ['/p/a.js']
+    ]);
+    expect(identity.locate(edit, new Set([moveDir.id])).data.filePath).toBe('/p/b.js');
+  });
+
+  test('stops following a file at the first of its chained renames that is undone', () => {
+    const toB = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/a.js', newPath: '/p/b.js' });
+    const toC = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/b.js', newPath: '/p/c.js' });
+    const toD = new Operation(OperationType.FILE_RENAME, { oldPath: '/p/c.js', newPath: '/p/d.js' });
+    const chained = new FileIdentity([create, edit, toB, toC, toD]);
+
+    expect(chained.locate(edit).data.filePath).toBe('/p/d.js');
+    expect(chained.locate(edit, new Set([toD.id])).data.filePath).toBe('/p/c.js');
+    expect(chained.locate(edit, new Set([toD.id, toC.id])).data.filePath).toBe('/p/b.js');
+    expect(chained.locate(edit, new Set([toD.id, toC.id, toB.id])).data.filePath).toBe('/p/a.js');
+    expect(chained.locate(toB, new Set([toD.id])).data).toEqual({ oldPath: '/p/a.js', newPath: '/p/c.js' });
+
+    const located = chained.locateAll([toD, toC, toB, edit]);
+    expect(located.map(operation => operation.getAffectedPaths())).toEqual([
+      ['/p/c.js', '/p/d.js'], ['/p/b.js', '/p/c.js'], ['/p/a.js', '/p/b.js'], ['/p/a.js']
+    ]);
+  });
+
+  test('lists the paths an operation touched outside a set of files, following renames', () => {
+    const bash = new Operation(OperationType.BASH_COMMAND, {
+      command: 'sed -i s/c/d/ /q/b.js /q/c.js',
+      changes: [{ path: '/q/b.js', change: 'modified' }, { path: '/q/c.js', change: 'modified' }]
+    });
+    const withBash = new FileIdentity([create, edit, rename, moveDir, bash]);
+
+    // b.js was a.js once, so it counts; c.js never matched
+    expect(withBash.getPathsOutside(bash, filePath => filePath === '/p/a.js')).toEqual(['/q/c.js']);
+    expect(withBash.getPathsOutside(bash, filePath => filePath.startsWith('/q/'))).toEqual([]);
+  });
+});
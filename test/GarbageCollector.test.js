@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GarbageCollector } from '../src/core/GarbageCollector.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { BashSnapshot } from '../src/core/BashSnapshot.js';
+
+describe('GarbageCollector', () => {
+  let dir;
+  let store;
+  let gc;
+  let session;
+
+  const HOUR = 60 * 60 * 1000;
+
+  // Save content as a snapshot taken some hours ago
+  const snapshot = async (content, hoursAgo, meta = {}) => {
+    const entry = await store.save(content, { session, ...meta });
+    await store.updateManifest(manifest => {
+      manifest.snapshots.find(e => e.id === entry.id).createdAt = new Date(Date.now() - hoursAgo * HOUR).toISOString();
+    });
+    return entry;
+  };
+
+  const exists = filePath => fs.access(filePath).then(() => true).catch(() => false);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-gc-'));
+    store = new SnapshotStore({ baseDir: path.join(dir, 'snapshots') });
+    await store.init();
+    gc = new GarbageCollector({
+      snapshotStore: store,
+      bashSnapshot: new BashSnapshot({ baseDir: path.join(dir, 'bash'), snapshotStore: store })
+    });
+    gc.undoTracker.undoFile = path.join(dir, 'undone-operations.json');
+    gc.turnManager.turnsDir = path.join(dir, 'turns');
+    gc.legacyBackupDir = path.join(dir, 'backups');
+
+    session = path.join(dir, 'session.jsonl');
+    await fs.writeFile(session, '');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('gives each removed snapshot the reason it goes', async () => {
+    const orphaned = await snapshot('orphaned', 1, { session: path.join(dir, 'deleted.jsonl') });
+    const expired = await snapshot('expired', 48);
+    const overLimit = await snapshot('over-limit', 3);
+    const overSize = await snapshot('over-size', 2);
+    const kept = await snapshot('kept', 1);
+
+    const plan = await gc.plan({ maxAgeMs: 24 * HOUR, keepPerSession: 2, maxSizeBytes: kept.size });
+
+    expect(Object.fromEntries(plan.snapshots.map(entry => [entry.id, entry.gcReason]))).toEqual({
+      [orphaned.id]: 'orphaned',
+      [expired.id]: 'expired',
+      [overLimit.id]: 'over-limit',
+      [overSize.id]: 'over-size'
+    });
+    expect(plan.objects.map(object => object.hash).sort())
+      .toEqual([orphaned.hash, expired.hash, overLimit.hash, overSize.hash].sort());
+  });
+
+  test('keeps blobs that remaining snapshots or Bash indexes still use', async () => {
+    const deleted = path.join(dir, 'deleted.jsonl');
+    const shared = await snapshot('shared', 1, { session: deleted });
+    const kept = await snapshot('shared', 1);
+    const indexed = await snapshot('indexed', 1, { session: deleted });
+    const unused = await snapshot('unused', 1, { session: deleted });
+    await fs.mkdir(path.join(dir, 'bash', 'index'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'bash', 'index', 'project.json'), JSON.stringify({
+      files: { 'a.txt': { size: indexed.size, mtimeMs: 0, hash: indexed.hash } }
+    }));
+
+    const plan = await gc.plan();
+    expect(plan.snapshots.map(entry => entry.id).sort()).toEqual([shared.id, indexed.id, unused.id].sort());
+    expect(plan.objects.map(object => object.hash)).toEqual([unused.hash]);
+
+    await gc.apply(plan);
+
+    expect((await store.loadManifest()).snapshots.map(entry => entry.id)).toEqual([kept.id]);
+    expect(await exists(store.getObjectPath(kept.hash))).toBe(true);
+    expect(await exists(store.getObjectPath(indexed.hash))).toBe(true);
+    expect(await exists(store.getObjectPath(unused.hash))).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { HookInstaller } from '../src/core/HookInstaller.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+
+describe('HookInstaller', () => {
+  let dir;
+  let store;
+  let installer;
+  let settingsFile;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-hooks-'));
+    store = new SnapshotStore({ baseDir: path.join(dir, 'snapshots') });
+    installer = new HookInstaller({
+      projectDir: path.join(dir, 'project'),
+      userDir: path.join(dir, 'home', '.claude'),
+      trackerScript: '/opt/ccundo/src/hooks/claude-tracker.js',
+      cliScript: '/opt/ccundo/bin/ccundo.js',
+      snapshotStore: store
+    });
+    settingsFile = installer.getSettingsFile('project');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const readSettings = async () => JSON.parse(await fs.readFile(settingsFile, 'utf8'));
+
+  test('merges its hooks next to existing ones, backs up settings, and uninstalls cleanly', async () => {
+    const original = {
+      model: 'opus',
+      hooks: {
+        PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: 'audit-log' }] }],
+        Stop: [{ hooks: [{ type: 'command', command: 'ccundo group-turns' }] }]
+      }
+    };
+    await fs.mkdir(path.dirname(settingsFile), { recursive: true });
+    await fs.writeFile(settingsFile, JSON.stringify(original, null, 2));
+
+    const result = await installer.install('project');
+    expect(result.message).toContain('Installed 3');
+    expect(result.snapshotId).toBeDefined();
+
+    const settings = await readSettings();
+    expect(settings.model).toBe('opus');
+    expect(settings.hooks.Stop).toEqual(original.hooks.Stop);
+    expect(settings.hooks.PreToolUse).toEqual([
+      { matcher: 'Bash', hooks: [{ type: 'command', command: 'audit-log' }, { type: 'command', command: 'node "/opt/ccundo/bin/ccundo.js" bash-snapshot' }] },
+      { matcher: 'Write|Edit|MultiEdit|NotebookEdit|Bash', hooks: [{ type: 'command', command: 'node "/opt/ccundo/src/hooks/claude-tracker.js"' }] }
+    ]);
+    expect(settings.hooks.PostToolUse).toEqual([
+      { matcher: 'Bash', hooks: [{ type: 'command', command: 'node "/opt/ccundo/bin/ccundo.js" bash-snapshot' }] }
+    ]);
+    expect(await store.read(await store.get(result.snapshotId))).toBe(JSON.stringify(original, null, 2));
+
+    // Installing again changes nothing
+    expect((await installer.install('project')).message).toContain('already installed');
+
+    const status = await installer.status();
+    expect(status.find(entry => entry.scope === 'project').hooks).toHaveLength(3);
+    expect(status.find(entry => entry.scope === 'project').hooks.every(hook => hook.event && hook.matcher)).toBe(true);
+
+    expect((await installer.uninstall('project')).message).toContain('Removed 3');
+    expect(await readSettings()).toEqual(original);
+  });
+
+  test('installs to the uncommitted local settings unless told otherwise', async () => {
+    await installer.install();
+
+    const local = JSON.parse(await fs.readFile(path.join(dir, 'project', '.claude', 'settings.local.json'), 'utf8'));
+    expect(local.hooks.PreToolUse).toHaveLength(2);
+    await expect(fs.access(settingsFile)).rejects.toThrow();
+  });
+
+  test('runs Bash snapshots by path, replacing hooks that relied on ccundo being on the PATH', async () => {
+    const old = { matcher: 'Bash', hooks: [{ type: 'command', command: 'ccundo bash-snapshot' }] };
+    await fs.mkdir(path.dirname(settingsFile), { recursive: true });
+    await fs.writeFile(settingsFile, JSON.stringify({ hooks: { PreToolUse: [old], PostToolUse: [old] } }));
+
+    await installer.install('project');
+
+    const command = 'node "/opt/ccundo/bin/ccundo.js" bash-snapshot';
+    const settings = await readSettings();
+    expect(settings.hooks.PreToolUse.flatMap(group => group.hooks).map(hook => hook.command))
+      .toEqual(['node "/opt/ccundo/src/hooks/claude-tracker.js"', command]);
+    expect(settings.hooks.PostToolUse).toEqual([{ matcher: 'Bash', hooks: [{ type: 'command', command }] }]);
+  });
+
+  test('updates a tracker installed from another path and leaves invalid settings alone', async () => {
+    await installer.install('user', { bashSnapshots: false });
+    const moved = new HookInstaller({
+      userDir: path.join(dir, 'home', '.claude'),
+      trackerScript: '/usr/lib/ccundo/src/hooks/claude-tracker.js',
+      snapshotStore: store
+    });
+    await moved.install('user', { bashSnapshots: false });
+
+    const settings = JSON.parse(await fs.readFile(installer.getSettingsFile('user'), 'utf8'));
+    expect(settings.hooks.PreToolUse).toEqual([
+      { matcher: 'Write|Edit|MultiEdit|NotebookEdit|Bash', hooks: [{ type: 'command', command: 'node "/usr/lib/ccundo/src/hooks/claude-tracker.js"' }] }
+    ]);
+    expect((await moved.status()).find(entry => entry.scope === 'user').hooks[0].broken).toBe(true);
+
+    await fs.mkdir(path.dirname(settingsFile), { recursive: true });
+    await fs.writeFile(settingsFile, '{ "hooks": ');
+    await expect(installer.install('project')).rejects.toThrow('not valid JSON');
+    expect(await fs.readFile(settingsFile, 'utf8')).toBe('{ "hooks": ');
+  });
+});
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RedoManager } from '../src/core/RedoManager.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('RedoManager', () => {
+  let dir;
+  let redoManager;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-redo-'));
+    redoManager = new RedoManager({ snapshotStore: new SnapshotStore({ baseDir: path.join(dir, 'snapshots') }) });
+    await redoManager.init();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('redoes a full-content edit from local tracking with the post-image kept at undo', async () => {
+    const filePath = path.join(dir, 'app.js');
+    await fs.writeFile(filePath, 'v1');
+    const op = Operation.fromJSON(new Operation(OperationType.FILE_EDIT, { filePath, originalContent: 'v1' }).toJSON());
+
+    expect((await redoManager.redo(op)).success).toBe(false);
+
+    const snapshot = await redoManager.snapshotStore.save('v2', { filePath, operationId: op.id, reason: 'current' });
+    op.postImage = { snapshotId: snapshot.id };
+    const restored = Operation.fromJSON(op.toJSON());
+
+    expect((await redoManager.redo(restored)).success).toBe(true);
+    expect(await fs.readFile(filePath, 'utf8')).toBe('v2');
+
+    // Changed since the undo: redo would discard that change
+    await fs.writeFile(filePath, 'v1 and more');
+    const result = await redoManager.redo(restored);
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('changed since it was undone');
+  });
+});
@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+
+describe('SnapshotStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-snapshots-'));
+    store = new SnapshotStore({ baseDir: dir });
+    await store.init();
+  });
+
+  test('stores identical content once', async () => {
+    const a = await store.save('same', { filePath: '/a.js', reason: 'current' });
+    const b = await store.save('same', { filePath: '/b.js', reason: 'deleted' });
+
+    expect(a.hash).toBe(b.hash);
+    expect(a.id).not.toBe(b.id);
+    expect(await fs.readdir(path.join(dir, 'objects'))).toHaveLength(1);
+    expect(await store.list()).toHaveLength(2);
+  });
+
+  test('finds snapshots by operation, reason and id prefix', async () => {
+    const entry = await store.save('content', { operationId: 'toolu_1', reason: 'deleted' });
+
+    expect((await store.findLatest('toolu_1', 'deleted')).id).toBe(entry.id);
+    expect(await store.findLatest('toolu_1', 'current')).toBeNull();
+    expect((await store.get(entry.id.slice(0, 8))).id).toBe(entry.id);
+  });
+
+  test('restores content and snapshots what it replaces', async () => {
+    const file = path.join(dir, 'file.txt');
+    await fs.writeFile(file, 'new');
+    const entry = await store.save('old', { filePath: file });
+
+    const result = await store.restore(entry.id);
+
+    expect(result.success).toBe(true);
+    expect(await fs.readFile(file, 'utf8')).toBe('old');
+    const backup = await store.get(result.snapshotId);
+    expect(backup.reason).toBe('pre-restore');
+    expect(await store.read(backup)).toBe('new');
+  });
+
+  test('saves a directory tree and restores it with modes and symlinks', async () => {
+    const tree = path.join(dir, 'project', 'legacy');
+    await fs.mkdir(path.join(tree, 'bin'), { recursive: true });
+    await fs.mkdir(path.join(tree, 'empty'));
+    await fs.writeFile(path.join(tree, 'bin', 'run.sh'), 'echo hi', { mode: 0o755 });
+    await fs.writeFile(path.join(tree, 'big.dat'), 'x'.repeat(20));
+    await fs.symlink('bin/run.sh', path.join(tree, 'run'));
+
+    const entries = await store.saveTree(tree, { operationId: 'op1', reason: 'pre-delete' }, { maxFileSize: 10 });
+    expect(entries.map(entry => entry.path)).toEqual(['big.dat', 'bin', 'empty', 'run', path.join('bin', 'run.sh')]);
+    expect(await store.list({ operationId: 'op1' })).toHaveLength(1);
+    expect(await store.saveTree(tree, {}, { maxFiles: 2 })).toBeNull();
+
+    await fs.rm(tree, { recursive: true });
+    const result = await store.restoreTree(tree, entries, 0o750);
+
+    expect(result).toEqual({ restored: 4, missing: [path.join(tree, 'big.dat')] });
+    expect(await fs.readFile(path.join(tree, 'bin', 'run.sh'), 'utf8')).toBe('echo hi');
+    expect((await fs.stat(path.join(tree, 'bin', 'run.sh'))).mode & 0o777).toBe(0o755);
+    expect((await fs.stat(tree)).mode & 0o777).toBe(0o750);
+    expect(await fs.readlink(path.join(tree, 'run'))).toBe('bin/run.sh');
+    expect((await fs.stat(path.join(tree, 'empty'))).isDirectory()).toBe(true);
+  });
+});
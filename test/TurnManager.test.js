@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TurnManager } from '../src/core/TurnManager.js';
+
+describe('TurnManager', () => {
+  let dir;
+  let turnManager;
+
+  const writeSession = async (project, sessionId, toolUseIds) => {
+    const file = path.join(dir, 'projects', project, `${sessionId}.jsonl`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, toolUseIds.map(id => JSON.stringify({
+      type: 'assistant',
+      timestamp: '2025-07-01T10:00:00.000Z',
+      message: { content: [{ type: 'tool_use', id, name: 'Write', input: { file_path: `/${id}.js`, content: '' } }] }
+    })).join('\n'));
+    return file;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-turns-'));
+    turnManager = new TurnManager();
+    turnManager.configDir = dir;
+    turnManager.turnsDir = path.join(dir, 'turns');
+    turnManager.legacyTurnsFile = path.join(dir, 'turns.json');
+    turnManager.parser.claudeProjectsDir = path.join(dir, 'projects');
+  });
+
+  test('splits the legacy turns.json by the session of each turn', async () => {
+    const sessionA = await writeSession('-work-a', 'session-a', ['toolu_a1', 'toolu_a2']);
+    const sessionB = await writeSession('-work-b', 'session-b', ['toolu_b1']);
+    const turn = (id, operations) => ({
+      id, operations, description: id, timestamp: '2025-07-01T10:00:00.000Z',
+      startTime: '2025-07-01T10:00:00.000Z', endTime: null, completed: true
+    });
+    await fs.writeFile(turnManager.legacyTurnsFile, JSON.stringify({
+      turns: [turn('t1', ['toolu_a1']), turn('t2', ['toolu_b1']), turn('t3', ['toolu_a2']), turn('gone', ['toolu_x'])]
+    }));
+
+    await turnManager.migrateLegacyTurns();
+
+    const turnsIn = async (sessionFile) => {
+      const data = JSON.parse(await fs.readFile(turnManager.getTurnsFile(sessionFile), 'utf8'));
+      expect(data.session).toBe(sessionFile);
+      return data.turns.map(t => t.id);
+    };
+    expect(turnManager.getTurnsFile(sessionA)).toBe(path.join(dir, 'turns', '-work-a', 'session-a.json'));
+    expect(await turnsIn(sessionA)).toEqual(['t1', 't3']);
+    expect(await turnsIn(sessionB)).toEqual(['t2']);
+    expect((await turnManager.listSessions()).sort()).toEqual([sessionA, sessionB].sort());
+    await expect(fs.access(turnManager.legacyTurnsFile)).rejects.toThrow();
+    await fs.access(`${turnManager.legacyTurnsFile}.migrated`);
+  });
+});
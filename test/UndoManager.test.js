@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UndoManager } from '../src/core/UndoManager.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('UndoManager', () => {
+  let dir;
+  let undoManager;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-undo-'));
+    undoManager = new UndoManager();
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('restores what the local tracker captured before a delete or rename', async () => {
+    const empty = path.join(dir, 'empty.txt');
+    const link = path.join(dir, 'link');
+    const from = path.join(dir, 'a.txt');
+    const to = path.join(dir, 'b.txt');
+    await fs.writeFile(to, 'a');
+
+    const results = [
+      await undoManager.undo(new Operation(OperationType.FILE_DELETE, {
+        filePath: empty, content: '', preImage: { exists: true, type: 'file', mode: 0o600 }
+      })),
+      await undoManager.undo(new Operation(OperationType.FILE_DELETE, {
+        filePath: link, content: '', preImage: { exists: true, type: 'symlink', target: 'a.txt', mode: 0o777 }
+      })),
+      await undoManager.undo(new Operation(OperationType.FILE_RENAME, {
+        oldPath: from, newPath: to, targetPreImage: { exists: true, type: 'file', mode: 0o644, content: 'b' }
+      }))
+    ];
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(await fs.readFile(empty, 'utf8')).toBe('');
+    expect((await fs.stat(empty)).mode & 0o777).toBe(0o600);
+    expect(await fs.readlink(link)).toBe('a.txt');
+    expect(await fs.readFile(from, 'utf8')).toBe('a');
+    expect(await fs.readFile(to, 'utf8')).toBe('b');
+
+    // Without a pre-image an empty content means the session didn't record it, so it is skipped
+    const unknown = await undoManager.undo(new Operation(OperationType.FILE_DELETE, { filePath: path.join(dir, 'x'), content: '' }));
+    expect(unknown).toMatchObject({ success: true, skipped: true });
+    await expect(fs.access(path.join(dir, 'x'))).rejects.toThrow();
+  });
+
+  test('removes only the directories mkdir created, keeping ones with other entries', async () => {
+    const top = path.join(dir, 'out');
+    const leaf = path.join(top, 'x', 'y');
+    await fs.mkdir(leaf, { recursive: true });
+    await fs.writeFile(path.join(top, 'user.txt'), 'mine');
+
+    const result = await undoManager.undo(new Operation(OperationType.DIRECTORY_CREATE, {
+      dirPath: leaf, createdDirs: [leaf, path.join(top, 'x'), top]
+    }));
+
+    expect(result.success).toBe(true);
+    expect(result.message).toContain(`Directory kept: ${top}`);
+    expect(await fs.readdir(top)).toEqual(['user.txt']);
+  });
+
+  test('refuses to bring back a recursively deleted directory whose contents were not recorded', async () => {
+    const build = path.join(dir, 'build');
+    const recursive = await undoManager.undo(new Operation(OperationType.DIRECTORY_DELETE, { dirPath: build, recursive: true }));
+
+    expect(recursive.success).toBe(false);
+    expect(recursive.message).toMatch(/contents were not recorded/);
+    await expect(fs.access(build)).rejects.toThrow();
+
+    // rmdir only ever removes an empty directory, so there is nothing to lose
+    const empty = await undoManager.undo(new Operation(OperationType.DIRECTORY_DELETE, { dirPath: build }));
+    expect(empty.success).toBe(true);
+    expect(await fs.readdir(build)).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UndoPatch } from '../src/core/UndoPatch.js';
+import { UndoManager } from '../src/core/UndoManager.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('UndoPatch', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-patch-'));
+  });
+
+  test('combines operations on the same file and leaves the tree alone', async () => {
+    const file = path.join(dir, 'a.txt');
+    const created = path.join(dir, 'new.txt');
+    await fs.writeFile(file, 'one\nTWO\nTHREE\n');
+    await fs.writeFile(created, 'fresh\n');
+
+    const operations = [
+      new Operation(OperationType.FILE_EDIT, { filePath: file, beforeContent: 'one\nTWO\nthree\n', afterContent: 'one\nTWO\nTHREE\n' }),
+      new Operation(OperationType.FILE_EDIT, { filePath: file, beforeContent: 'one\ntwo\nthree\n', afterContent: 'one\nTWO\nthree\n' }),
+      new Operation(OperationType.FILE_CREATE, { filePath: created, content: 'fresh\n' })
+    ];
+
+    const undoPatch = new UndoPatch(new UndoManager(), { baseDir: dir });
+    for (const operation of operations) {
+      expect((await undoPatch.add(operation)).success).toBe(true);
+    }
+
+    expect(undoPatch.render()).toBe([
+      'diff --git a/a.txt b/a.txt',
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -1,3 +1,3 @@',
+      ' one',
+      '-TWO',
+      '-THREE',
+      '+two',
+      '+three',
+      'diff --git a/new.txt b/new.txt',
+      'deleted file mode 100644',
+      '--- a/new.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-fresh',
+      ''
+    ].join('\n'));
+    expect(await fs.readFile(file, 'utf8')).toBe('one\nTWO\nTHREE\n');
+    expect(await fs.readFile(created, 'utf8')).toBe('fresh\n');
+  });
+});
@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UndoManager } from '../src/core/UndoManager.js';
+import { UndoTransaction } from '../src/core/UndoTransaction.js';
+import { SnapshotStore } from '../src/core/SnapshotStore.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+
+describe('UndoTransaction', () => {
+  let dir;
+  let undoManager;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-transaction-'));
+    undoManager = new UndoManager({ snapshotStore: new SnapshotStore({ baseDir: path.join(dir, 'snapshots') }) });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('puts files and symlinks back as they were when a later operation fails', async () => {
+    const target = path.join(dir, 'target.txt');
+    const link = path.join(dir, 'link.txt');
+    const a = path.join(dir, 'a.txt');
+    await fs.writeFile(target, 'target');
+    await fs.symlink('target.txt', link);
+    await fs.writeFile(a, 'two');
+
+    const operations = [
+      new Operation(OperationType.FILE_CREATE, { filePath: link, content: 'target' }),
+      new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'one', newString: 'two' }),
+      // The file it edited is gone, so this one fails
+      new Operation(OperationType.FILE_EDIT, { filePath: path.join(dir, 'gone.txt'), oldString: 'x', newString: 'y' })
+    ];
+
+    const outcome = await new UndoTransaction(undoManager).run(operations);
+
+    expect(outcome).toMatchObject({ success: false, rolledBack: true, successCount: 0 });
+    expect(outcome.results.map(r => r.result.success)).toEqual([true, true, false]);
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readlink(link)).toBe('target.txt');
+    expect(await fs.readFile(target, 'utf8')).toBe('target');
+    expect(await fs.readFile(a, 'utf8')).toBe('two');
+  });
+
+  test('brings back what was inside a directory a forced undo replaced, when a later operation fails', async () => {
+    const out = path.join(dir, 'out');
+    await fs.mkdir(path.join(out, 'sub'), { recursive: true });
+    await fs.writeFile(path.join(out, 'sub', 'keep.txt'), 'mine');
+    const { hash } = await undoManager.snapshotStore.saveObject('old');
+
+    const operations = [
+      // Restoring the deleted directory puts a file where sub/ is now
+      new Operation(OperationType.DIRECTORY_DELETE, { dirPath: out, tree: [{ path: 'sub', type: 'file', mode: 0o644, size: 3, hash }] }),
+      new Operation(OperationType.FILE_EDIT, { filePath: path.join(dir, 'gone.txt'), oldString: 'x', newString: 'y' })
+    ];
+
+    const outcome = await new UndoTransaction(undoManager, { conflictMode: 'force' }).run(operations);
+
+    expect(outcome.results.map(r => r.result.success)).toEqual([true, false]);
+    expect(outcome.rolledBack).toBe(true);
+    expect(await fs.readFile(path.join(out, 'sub', 'keep.txt'), 'utf8')).toBe('mine');
+  });
+
+  test('skips commands that changed no files and deletes whose content was not recorded', async () => {
+    const a = path.join(dir, 'a.txt');
+    await fs.writeFile(a, 'two');
+
+    const operations = [
+      new Operation(OperationType.FILE_EDIT, { filePath: a, oldString: 'one', newString: 'two' }),
+      new Operation(OperationType.BASH_COMMAND, { command: 'ls -la' }),
+      new Operation(OperationType.FILE_DELETE, { filePath: path.join(dir, 'build.log'), content: '', command: 'rm -rf build.log' }),
+      new Operation(OperationType.FILE_CREATE, { filePath: a, content: 'one' })
+    ];
+
+    const outcome = await new UndoTransaction(undoManager).run(operations);
+
+    expect(outcome).toMatchObject({ success: true, rolledBack: false, failCount: 0 });
+    expect(outcome.results.map(r => r.result.skipped || false)).toEqual([false, true, true, false]);
+    await expect(fs.access(a)).rejects.toThrow();
+    await expect(fs.access(path.join(dir, 'build.log'))).rejects.toThrow();
+  });
+});
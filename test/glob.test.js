@@ -0,0 +1,23 @@
+import { createPathMatcher, globToRegExp } from '../src/utils/glob.js';
+
+describe('glob', () => {
+  test('keeps * within a directory and lets ** span any number', () => {
+    expect(globToRegExp('src/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/api/a.js')).toBe(false);
+    expect(globToRegExp('src/**/*.js').test('src/a.js')).toBe(true);
+    expect(globToRegExp('src/**/*.js').test('src/api/v1/a.js')).toBe(true);
+    expect(globToRegExp('*.{js,ts}').test('a.ts')).toBe(true);
+    expect(globToRegExp('[!a]?.md').test('b1.md')).toBe(true);
+    expect(globToRegExp('[!a]?.md').test('a1.md')).toBe(false);
+  });
+
+  test('matches relative to the base directory, including everything in a matching directory', () => {
+    const matches = createPathMatcher('src/api', '/project');
+
+    expect(matches('/project/src/api/users.js')).toBe(true);
+    expect(matches('/project/src/api/v1/users.js')).toBe(true);
+    expect(matches('/project/src/apis/users.js')).toBe(false);
+    expect(matches('/elsewhere/src/api/users.js')).toBe(false);
+    expect(createPathMatcher('./**/*.test.js', '/project')('/project/test/a.test.js')).toBe(true);
+  });
+});
@@ -0,0 +1,60 @@
+import { UndoManager } from '../src/core/UndoManager.js';
+import { Operation, OperationType } from '../src/core/Operation.js';
+import { parseNotebook, formatNotebook, findCellIndex } from '../src/utils/notebook.js';
+
+const cell = (id, source, extra = {}) => ({ cell_type: 'code', id, metadata: {}, source, execution_count: null, outputs: [], ...extra });
+const notebook = (cells) => formatNotebook({ cells, metadata: {}, nbformat: 4, nbformat_minor: 5 }, '{\n "cells": []\n}\n');
+const notebookEdit = (data) => new Operation(OperationType.NOTEBOOK_EDIT, { filePath: '/nb.ipynb', ...data });
+const sources = (text) => parseNotebook(text).cells.map(c => [c.id, [].concat(c.source).join('')]);
+
+describe('notebook edits', () => {
+  const undoManager = new UndoManager();
+
+  test('keeps the notebook formatting', () => {
+    const text = notebook([cell('a', ['x = 1\n', 'y = 2'])]);
+
+    expect(text.startsWith('{\n "cells": [\n  {')).toBe(true);
+    expect(formatNotebook(parseNotebook(text), text)).toBe(text);
+    expect(findCellIndex(parseNotebook(text), 'a')).toBe(0);
+    expect(findCellIndex({ cells: [{ source: '' }, { source: '' }] }, 'cell-1')).toBe(1);
+  });
+
+  test('reverts a replaced cell with its outputs and leaves other cells alone', () => {
+    const oldCell = cell('a', 'print(1)', { execution_count: 3, outputs: [{ output_type: 'stream', text: '1\n' }] });
+    const current = notebook([cell('a', 'print(2)'), cell('b', 'run later', { execution_count: 9 })]);
+    const op = notebookEdit({ editMode: 'replace', cellId: 'a', newSource: 'print(2)', oldCell, cellIndex: 0 });
+
+    const reverted = undoManager.getRevertedNotebook(op, current);
+
+    expect(parseNotebook(reverted.content).cells).toEqual([oldCell, cell('b', 'run later', { execution_count: 9 })]);
+    expect(reverted.cell).toEqual({ id: 'a', before: 'print(2)', after: 'print(1)' });
+  });
+
+  test('removes an inserted cell and restores a deleted one', () => {
+    const current = notebook([cell('a', 'first'), cell('new', 'inserted'), cell('c', 'last')]);
+    const insert = notebookEdit({ editMode: 'insert', cellId: null, anchorCellId: 'a', newSource: 'inserted' });
+    const afterInsertUndo = undoManager.getRevertedNotebook(insert, current).content;
+
+    expect(sources(afterInsertUndo)).toEqual([['a', 'first'], ['c', 'last']]);
+
+    const del = notebookEdit({ editMode: 'delete', cellId: 'b', oldCell: cell('b', 'middle'), cellIndex: 1 });
+    expect(sources(undoManager.getRevertedNotebook(del, afterInsertUndo).content))
+      .toEqual([['a', 'first'], ['b', 'middle'], ['c', 'last']]);
+  });
+
+  test('needs a conflict mode once the cell changed again', () => {
+    const current = notebook([cell('a', 'total = 0\ntotal += 2\nshow = True\nprint(total)\n')]);
+    const op = notebookEdit({
+      editMode: 'replace',
+      cellId: 'a',
+      newSource: 'total = 0\ntotal += 2\nshow = True\n',
+      oldCell: cell('a', 'total = 0\ntotal += 1\nshow = True\n')
+    });
+
+    expect(undoManager.getRevertedNotebook(op, current).error).toMatch(/changed since/);
+
+    const merged = undoManager.getRevertedNotebook(op, current, { conflictMode: 'merge' });
+    expect(merged.conflicts).toBe(0);
+    expect(sources(merged.content)).toEqual([['a', 'total = 0\ntotal += 1\nshow = True\nprint(total)\n']]);
+  });
+});
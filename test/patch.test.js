@@ -0,0 +1,52 @@
+import { createPatch, reversePatch, applyPatch } from '../src/utils/patch.js';
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`);
+
+describe('patch', () => {
+  const before = lines(20).join('\n');
+  const after = before.replace('line 10', 'claude 10');
+
+  test('builds hunks with context like structuredPatch', () => {
+    expect(createPatch(before, after)).toEqual([{
+      oldStart: 7,
+      oldLines: 7,
+      newStart: 7,
+      newLines: 7,
+      lines: [' line 7', ' line 8', ' line 9', '-line 10', '+claude 10', ' line 11', ' line 12', ' line 13']
+    }]);
+  });
+
+  test('reverts a change after unrelated edits moved it', () => {
+    const current = ['added at top', ...after.split('\n'), 'added at end'].join('\n');
+    const result = applyPatch(current, reversePatch(createPatch(before, after)));
+
+    expect(result).toEqual({
+      content: ['added at top', ...before.split('\n'), 'added at end'].join('\n'),
+      applied: 1,
+      conflicts: 0
+    });
+  });
+
+  test('tolerates changed context within the fuzz limit', () => {
+    const current = after.replace('line 7', 'edited 7');
+    const { content, conflicts } = applyPatch(current, reversePatch(createPatch(before, after)));
+
+    expect(conflicts).toBe(0);
+    expect(content).toBe(before.replace('line 7', 'edited 7'));
+  });
+
+  test('keeps track of a missing newline at the end of the file', () => {
+    const hunks = createPatch('a\nb\n', 'a\nc');
+
+    expect(hunks[0].lines).toEqual([' a', '-b', '+c', '\\ No newline at end of file']);
+    expect(applyPatch('a\nc', reversePatch(hunks)).content).toBe('a\nb\n');
+  });
+
+  test('marks a conflict when the changed lines were edited again', () => {
+    const current = after.replace('claude 10', 'user 10');
+    const { content, conflicts } = applyPatch(current, reversePatch(createPatch(before, after)));
+
+    expect(conflicts).toBe(1);
+    expect(content).toContain('<<<<<<< current\nuser 10\n=======\nline 10\n>>>>>>> undo');
+  });
+});
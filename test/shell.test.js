@@ -0,0 +1,70 @@
+import { tokenize, analyzeCommand } from '../src/utils/shell.js';
+
+const analyze = (command, options = {}) => analyzeCommand(command, { cwd: '/repo', home: '/home/me', ...options });
+const paths = ({ effects }) => effects.map(({ kind, path, from, to }) => (path ? [kind, path] : [kind, from, to]));
+
+describe('shell command analysis', () => {
+  test('tokenizes quotes, escapes, expansions and heredocs', () => {
+    const words = tokenize(`echo "a b" 'c $d' e\\ f "$HOME" > out <<'EOF'\nrm -rf /\nEOF\n`)
+      .filter(token => token.type === 'word');
+
+    expect(words.map(word => word.value)).toEqual(['echo', 'a b', 'c $d', 'e f', '$HOME', 'out', 'EOF']);
+    expect(words.map(word => word.dynamic)).toEqual([false, false, false, false, true, false, false]);
+  });
+
+  test('follows cd through chains and resolves quoted and multiple paths', () => {
+    const result = analyze(`rm "my file.txt" b.txt && cd src; rm -rf build/ && mv a.js b.js lib/`);
+
+    expect(paths(result)).toEqual([
+      ['delete', '/repo/my file.txt'],
+      ['delete', '/repo/b.txt'],
+      ['delete', '/repo/src/build'],
+      ['rename', '/repo/src/a.js', '/repo/src/lib/a.js'],
+      ['rename', '/repo/src/b.js', '/repo/src/lib/b.js']
+    ]);
+    expect(result.effects[2]).toMatchObject({ recursive: true, directory: true });
+    // -r alone doesn't make an operand a directory
+    expect(analyze('rm -rf build.log').effects[0]).toMatchObject({ recursive: true, directory: false });
+    expect(analyze('rm -rf build', { isDirectory: () => true }).effects[0].directory).toBe(true);
+    expect(result.cwd).toBe('/repo/src');
+  });
+
+  test('finds copies, touches, in-place edits, redirects and git checkouts', () => {
+    const result = analyze(
+      `cp a.txt b.txt && touch new.txt && sed -i 's/x/y/' c.js && cat > d.txt <<EOF\nhi\nEOF\n` +
+      `echo done >> log.txt 2>/dev/null; git checkout HEAD -- e.js`
+    );
+
+    expect(paths(result)).toEqual([
+      ['copy', '/repo/a.txt', '/repo/b.txt'],
+      ['touch', '/repo/new.txt'],
+      ['edit', '/repo/c.js'],
+      ['write', '/repo/d.txt'],
+      ['write', '/repo/log.txt'],
+      ['edit', '/repo/e.js']
+    ]);
+    expect(result.unanalyzed).toEqual([]);
+  });
+
+  test('labels what it cannot analyze instead of guessing', () => {
+    const result = analyze(`npm rm lodash && rm *.log $TMP/x && for f in a b; do rm $f; done && git checkout main`);
+
+    expect(result.effects).toEqual([]);
+    expect(result.unanalyzed.map(part => part.reason)).toEqual([
+      '"npm" is not a command ccundo can analyze',
+      '"*.log" is a glob pattern',
+      '"$TMP/x" depends on shell expansion',
+      'compound commands (loops, conditionals, subshells) are not analyzed',
+      'git checkout without "--" may switch branches'
+    ]);
+    expect(analyze('rm a', { cwd: null }).unanalyzed[0].reason).toMatch(/working directory is unknown/);
+    // Substitutions run commands of their own, even inside read-only ones and assignments
+    for (const command of ['echo $(rm -rf x)', 'FOO=$(mv a b) ls', 'cat `rm x` > out.txt', 'rm "$(cat list)"']) {
+      expect(analyze(command).unanalyzed.map(part => part.reason)).toEqual([
+        expect.stringMatching(/runs a command substitution/)
+      ]);
+    }
+    expect(analyze('echo $((1 + 2))').unanalyzed).toEqual([]);
+    expect(analyze('echo "oops').unanalyzed[0].reason).toMatch(/unterminated double quote/);
+  });
+});
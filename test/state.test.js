@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { readJSON, writeJSON, updateJSON, withLock } from '../src/utils/state.js';
+
+describe('state files', () => {
+  let file;
+
+  beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ccundo-state-'));
+    file = path.join(dir, 'state.json');
+  });
+
+  test('concurrent updates are not lost', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      updateJSON(file, { items: [] }, state => {
+        state.items.push(i);
+      })
+    ));
+
+    const state = await readJSON(file, null);
+    expect(state.items.sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  test('concurrent writes each use their own temp file', async () => {
+    const values = Array.from({ length: 10 }, (_, i) => ({ writer: i, data: 'x'.repeat(100000) }));
+
+    await Promise.all(values.map(value => writeJSON(file, value)));
+
+    expect(values).toContainEqual(JSON.parse(await fs.readFile(file, 'utf8')));
+    expect((await fs.readdir(path.dirname(file))).filter(f => f.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('recovers a truncated file from its backup', async () => {
+    await updateJSON(file, {}, () => ({ version: 1 }));
+    await updateJSON(file, {}, () => ({ version: 2 }));
+    await fs.writeFile(file, '{"version": 3');
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const state = await readJSON(file, {});
+
+    expect(state).toEqual({ version: 1 });
+    expect(spy).toHaveBeenCalled();
+    const files = await fs.readdir(path.dirname(file));
+    expect(files.some(f => f.startsWith('state.json.corrupt-'))).toBe(true);
+    spy.mockRestore();
+  });
+
+  test('recovers a corrupt file once when several readers find it', async () => {
+    await updateJSON(file, {}, () => ({ version: 1 }));
+    await updateJSON(file, {}, () => ({ version: 2 }));
+    await fs.writeFile(file, '{"version": 3');
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const states = await Promise.all(Array.from({ length: 5 }, () => readJSON(file, {})));
+
+    expect(states).toEqual(Array(5).fill({ version: 1 }));
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(await readJSON(file, {})).toEqual({ version: 1 });
+    const files = await fs.readdir(path.dirname(file));
+    expect(files.filter(f => f.startsWith('state.json.corrupt-'))).toHaveLength(1);
+    spy.mockRestore();
+  });
+
+  test('breaks a lock left by a dead process', async () => {
+    await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 12345 }));
+
+    const result = await withLock(file, async () => 'acquired');
+
+    expect(result).toBe('acquired');
+  });
+
+  test('waits for a lock whose process is alive, however old, or that is still being written', async () => {
+    const lockFile = `${file}.lock`;
+    const longAgo = new Date(Date.now() - 60000);
+
+    for (const content of [JSON.stringify({ pid: process.pid }), '']) {
+      await fs.writeFile(lockFile, content);
+      if (content) await fs.utimes(lockFile, longAgo, longAgo);
+
+      let acquired = false;
+      const waiting = withLock(file, async () => {
+        acquired = true;
+      });
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(acquired).toBe(false);
+
+      await fs.rm(lockFile);
+      await waiting;
+      expect(acquired).toBe(true);
+    }
+  });
+});